@@ -0,0 +1,687 @@
+const path = require('path');
+const moment = require('moment-timezone');
+const { ConfigSchema, readConfigFile } = require('./schema');
+
+// Eventos que podem ser enviados pelos canais de notificação
+const NOTIFICATION_EVENTS = ['error', 'recovery', 'escalation', 'daily_report', 'sla_report', 'slo', 'degraded', 'status_summary', 'budget', 'message'];
+
+// Níveis aceitos em LOG_LEVEL (os do winston)
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+/**
+ * Lista separada por vírgulas
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Lê uma política de alerta. O limite usa o formato "N/M" (alertar quando
+ * N das últimas M verificações falharem).
+ * @param {string} key - Caminho da política (ex: "monitor.alertPolicies.byType.TIMEOUT")
+ * @param {string} suffix - Sufixo das variáveis de ambiente (ex: "_TIMEOUT")
+ */
+function parseAlertPolicy(schema, key, suffix, defaults) {
+  const threshold = schema.string(`${key}.threshold`, `ALERT_THRESHOLD${suffix}`);
+  const policy = { ...defaults };
+
+  if (threshold) {
+    const match = /^(\d+)(?:\/(\d+))?$/.exec(threshold.trim());
+    const failures = match ? parseInt(match[1]) : 0;
+    const window = match && match[2] ? parseInt(match[2]) : failures;
+
+    if (failures < 1 || window < failures) {
+      schema.invalid(`${key}.threshold`, `ALERT_THRESHOLD${suffix}`, `use "N/M", com 1 <= N <= M (recebido: "${threshold}")`);
+    } else {
+      policy.failures = failures;
+      policy.window = window;
+    }
+  }
+
+  policy.confirmRetries = schema.integer(`${key}.confirmRetries`, `ALERT_CONFIRM_RETRIES${suffix}`, {
+    default: policy.confirmRetries,
+    min: 0,
+    max: 10
+  });
+
+  return policy;
+}
+
+/**
+ * Políticas de alerta: padrão e por tipo de erro (ALERT_THRESHOLD_<TIPO>)
+ */
+function buildAlertPolicies(schema) {
+  const defaultPolicy = parseAlertPolicy(schema, 'monitor.alertPolicies.default', '', { failures: 1, window: 1, confirmRetries: 0 });
+
+  const types = new Set(Object.keys(schema.env)
+    .map(key => key.match(/^ALERT_(?:THRESHOLD|CONFIRM_RETRIES)_([A-Z_]+)$/))
+    .filter(Boolean)
+    .map(([, type]) => type));
+  schema.keys('monitor.alertPolicies.byType').forEach(type => types.add(type));
+
+  // Erro de autenticação continua alertando na primeira falha, salvo configuração explícita
+  const byType = {
+    AUTH_ERROR: parseAlertPolicy(schema, 'monitor.alertPolicies.byType.AUTH_ERROR', '_AUTH_ERROR', { failures: 1, window: 1, confirmRetries: 0 })
+  };
+
+  types.forEach(type => {
+    if (!/^[A-Z_]+$/.test(type)) {
+      schema.error(`monitor.alertPolicies.byType.${type}`, schema.fileName, 'tipo de erro inválido (use letras maiúsculas e "_")');
+      return;
+    }
+
+    if (!byType[type]) {
+      byType[type] = parseAlertPolicy(schema, `monitor.alertPolicies.byType.${type}`, `_${type}`, defaultPolicy);
+    }
+  });
+
+  return { default: defaultPolicy, byType };
+}
+
+/**
+ * Eventos habilitados de um canal (NOTIFY_<CANAL>_EVENTS); padrão: todos
+ */
+function parseChannelEvents(schema, channel) {
+  const key = `notifications.${channel}.events`;
+  const env = `NOTIFY_${channel.toUpperCase()}_EVENTS`;
+  const events = schema.list(key, env, NOTIFICATION_EVENTS);
+
+  const unknownEvents = events.filter(event => !NOTIFICATION_EVENTS.includes(event));
+  if (unknownEvents.length > 0) {
+    schema.invalid(key, env, `eventos desconhecidos: ${unknownEvents.join(', ')}`);
+  }
+
+  return events;
+}
+
+// Dias da semana aceitos na agenda (MONITOR_SCHEDULE), sem acentos
+const WEEKDAYS = { dom: 0, seg: 1, ter: 2, qua: 3, qui: 4, sex: 5, sab: 6 };
+
+/**
+ * Converte "8", "08" ou "8:30" em minutos desde a meia-noite ("24" = fim do dia)
+ */
+function parseTimeOfDay(text) {
+  const [hours, minutes = '0'] = text.split(':');
+  const value = parseInt(hours) * 60 + parseInt(minutes);
+  return value >= 0 && value <= 24 * 60 ? value : null;
+}
+
+/**
+ * Agenda por dia da semana, ex: "seg-sex=8-22,sab=9-13" (dias omitidos não são monitorados)
+ * @param {Object} setting - { value, label } lido pelo esquema
+ * @param {string[]} errors - Recebe as entradas inválidas
+ * @returns {Object|null} { diaDaSemana: [{ start, end }] } em minutos, ou null sem agenda
+ */
+function parseSchedule({ value, label }, errors) {
+  if (!value) return null;
+
+  const schedule = {};
+  const normalized = value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+  parseList(normalized).forEach(entry => {
+    const match = /^([a-z]{3})(?:-([a-z]{3}))?=([\d:]+)-([\d:]+)$/.exec(entry);
+    const first = WEEKDAYS[match?.[1]];
+    const last = match?.[2] ? WEEKDAYS[match[2]] : first;
+    const start = match ? parseTimeOfDay(match[3]) : null;
+    const end = match ? parseTimeOfDay(match[4]) : null;
+
+    if (first === undefined || last === undefined || start === null || end === null) {
+      errors.push(`${label}: agenda inválida "${entry}" (use dia-dia=início-fim, ex: seg-sex=8-22)`);
+      return;
+    }
+
+    // Intervalos como "sex-seg" passam pelo fim de semana
+    for (let day = first; ; day = (day + 1) % 7) {
+      (schedule[day] = schedule[day] || []).push({ start, end });
+      if (day === last) break;
+    }
+  });
+
+  return schedule;
+}
+
+/**
+ * Perfis de intervalo por horário, ex: "pico=8-22/5,noite=22-8/60"
+ * (o primeiro perfil que cobre o horário vale; fora deles, CHECK_INTERVAL_MINUTES)
+ * @returns {Object[]} [{ name, start, end, intervalMinutes }] com horários em minutos
+ */
+function parseScheduleProfiles({ value, label }, errors) {
+  return parseList(value).map(entry => {
+    const match = /^([\w-]+)=([\d:]+)-([\d:]+)\/(\d+)$/.exec(entry);
+    const start = match ? parseTimeOfDay(match[2]) : null;
+    const end = match ? parseTimeOfDay(match[3]) : null;
+    const intervalMinutes = match ? parseInt(match[4]) : 0;
+
+    if (start === null || end === null || start === end || intervalMinutes < 1) {
+      errors.push(`${label}: perfil inválido "${entry}" (use nome=início-fim/minutos, ex: pico=8-22/5)`);
+      return null;
+    }
+
+    return { name: match[1], start, end, intervalMinutes };
+  }).filter(Boolean);
+}
+
+/**
+ * Feriados próprios, ex: "2024-02-13,25/01=Aniversário de SP" (DD/MM se repete todo ano)
+ */
+function parseCustomHolidays({ value, label }, errors) {
+  return parseList(value).map(entry => {
+    const [date, name] = entry.split('=').map(part => part.trim());
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date) && moment(date, 'YYYY-MM-DD', true).isValid()) {
+      return { date, name: name || 'Feriado' };
+    }
+
+    if (/^\d{2}\/\d{2}$/.test(date) && moment(`2000-${date.split('/').reverse().join('-')}`, 'YYYY-MM-DD', true).isValid()) {
+      return { monthDay: date.split('/').reverse().join('-'), name: name || 'Feriado' };
+    }
+
+    errors.push(`${label}: feriado inválido "${entry}" (use AAAA-MM-DD ou DD/MM)`);
+    return null;
+  }).filter(Boolean);
+}
+
+/**
+ * Janelas de manutenção separadas por ";", cada uma no formato
+ * "início|fim|ação|motivo|alvos" (ex: "2024-03-10 02:00|2024-03-10 06:00|skip|Manutenção For4")
+ */
+function parseMaintenanceWindows({ value, label }, errors) {
+  return (value || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [start, end, action = 'skip', reason, targets] = entry.split('|').map(field => field.trim());
+      const formats = ['YYYY-MM-DD HH:mm', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DD'];
+      const startAt = moment.tz(start || '', formats, true, 'America/Sao_Paulo');
+      const endAt = moment.tz(end || '', formats, true, 'America/Sao_Paulo');
+
+      if (!startAt.isValid() || !endAt.isValid() || !endAt.isAfter(startAt) || !['skip', 'silence'].includes(action)) {
+        errors.push(`${label}: janela inválida "${entry}" (use início|fim|skip ou silence|motivo|alvos)`);
+        return null;
+      }
+
+      return {
+        start: startAt.toISOString(),
+        end: endAt.toISOString(),
+        // 'skip' = não verificar; 'silence' = verificar sem alertar
+        action,
+        reason: reason || 'Manutenção programada',
+        // Sem alvos, vale para todos
+        targets: parseList(targets)
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Objetivos de nível de serviço (SLOS), separados por ";" no formato
+ * "nome|método|objetivo %|latência máx. (ms)|janela (dias)"
+ * (ex: "pix-criacao|pix|99.5|3000|30"; latência vazia = apenas sucesso)
+ */
+function parseSlos({ value, label }, errors) {
+  return (value || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, method, objective, latencyMs, windowDays = '30'] = entry.split('|').map(field => field.trim());
+      const slo = {
+        name,
+        method,
+        objective: parseFloat(objective),
+        latencyMs: latencyMs ? parseInt(latencyMs) : null,
+        windowDays: parseInt(windowDays)
+      };
+
+      const valid = name && ['pix', 'card'].includes(method) &&
+        slo.objective > 0 && slo.objective < 100 &&
+        (slo.latencyMs === null || slo.latencyMs > 0) &&
+        slo.windowDays > 0;
+
+      if (!valid) {
+        errors.push(`${label}: SLO inválido "${entry}" (use nome|pix ou card|objetivo %|latência ms|janela em dias)`);
+        return null;
+      }
+
+      return slo;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Níveis de escalonamento (ESCALATION_LEVEL_<N>_* ou "escalation.levels" no
+ * arquivo, com N como chave), na ordem de N
+ */
+function buildEscalationLevels(schema) {
+  const numbers = new Set();
+
+  for (let level = 1; schema.env[`ESCALATION_LEVEL_${level}_AFTER_MINUTES`]; level++) {
+    numbers.add(level);
+  }
+
+  schema.keys('escalation.levels').forEach(key => {
+    if (/^[1-9]\d*$/.test(key)) {
+      numbers.add(parseInt(key));
+    } else {
+      schema.error(`escalation.levels.${key}`, schema.fileName, 'o nível deve ser um número inteiro positivo');
+    }
+  });
+
+  return [...numbers].sort((a, b) => a - b).map(level => {
+    const key = name => `escalation.levels.${level}.${name}`;
+    const env = name => `ESCALATION_LEVEL_${level}_${name}`;
+
+    return {
+      level,
+      afterMinutes: schema.integer(key('afterMinutes'), env('AFTER_MINUTES'), { default: 0, min: 0, max: 10080 }),
+      telegramChatId: schema.string(key('telegramChatId'), env('TELEGRAM_CHAT_ID')),
+      channels: schema.list(key('channels'), env('CHANNELS'))
+    };
+  });
+}
+
+/**
+ * Monta a lista de alvos monitorados (contas/ambientes For4): os de
+ * FOR4_TARGETS e os de "targets" no arquivo. Sem nenhum, existe um único
+ * alvo "default" com as configurações gerais.
+ */
+function buildTargets(schema, config) {
+  const names = [...new Set([
+    ...parseList(schema.env.FOR4_TARGETS),
+    ...schema.keys('targets')
+  ])];
+
+  if (names.length === 0) {
+    return [{
+      name: 'default',
+      label: 'For4',
+      isDefault: true,
+      apiUrl: config.for4.apiUrl,
+      secretKey: config.for4.secretKey,
+      intervalMinutes: config.monitor.intervalMinutes,
+      amount: config.testTransaction.amount,
+      startHour: config.monitor.startHour,
+      endHour: config.monitor.endHour,
+      schedule: config.calendar.schedule,
+      profiles: config.calendar.profiles,
+      telegramChatId: config.telegram.chatId,
+      fileSuffix: ''
+    }];
+  }
+
+  return names.map(name => {
+    // Ex: FOR4_TARGET_STAGING_SECRET_KEY ou targets.staging.secretKey
+    const prefix = `FOR4_TARGET_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const key = field => `targets.${name}.${field}`;
+    const schedule = schema.text(key('schedule'), `${prefix}SCHEDULE`);
+    const profiles = schema.text(key('scheduleProfiles'), `${prefix}SCHEDULE_PROFILES`);
+
+    return {
+      name,
+      label: schema.string(key('label'), `${prefix}LABEL`, name),
+      isDefault: false,
+      apiUrl: schema.string(key('apiUrl'), `${prefix}API_URL`, config.for4.apiUrl),
+      secretKey: schema.string(key('secretKey'), `${prefix}SECRET_KEY`),
+      intervalMinutes: schema.integer(key('intervalMinutes'), `${prefix}INTERVAL_MINUTES`, {
+        default: config.monitor.intervalMinutes,
+        min: 1,
+        max: 1440
+      }),
+      amount: schema.integer(key('amount'), `${prefix}AMOUNT`, { default: config.testTransaction.amount, min: 1 }),
+      startHour: schema.integer(key('startHour'), `${prefix}START_HOUR`, { default: config.monitor.startHour, min: 0, max: 24 }),
+      endHour: schema.integer(key('endHour'), `${prefix}END_HOUR`, { default: config.monitor.endHour, min: 0, max: 24 }),
+      schedule: schedule.value ? parseSchedule(schedule, schema.errors) : config.calendar.schedule,
+      profiles: profiles.value ? parseScheduleProfiles(profiles, schema.errors) : config.calendar.profiles,
+      telegramChatId: schema.string(key('telegramChatId'), `${prefix}TELEGRAM_CHAT_ID`, config.telegram.chatId),
+      fileSuffix: `-${name}`
+    };
+  });
+}
+
+/**
+ * Regras que envolvem mais de uma configuração (obrigatórias conforme o que
+ * está habilitado, limites relacionados e canais)
+ */
+function validate(schema, config) {
+  const required = (key, env, value) => {
+    if (Array.isArray(value) ? value.length === 0 : !value) {
+      schema.error(key, env, 'obrigatório');
+    }
+  };
+
+  config.targets.forEach(target => {
+    if (target.isDefault) {
+      required('for4.secretKey', 'FOR4_SECRET_KEY', target.secretKey);
+      return;
+    }
+
+    if (!/^[a-z0-9_-]+$/i.test(target.name)) {
+      schema.error(`targets.${target.name}`, null, 'nome de alvo inválido (use letras, números, "-" ou "_")');
+    }
+
+    required(`targets.${target.name}.secretKey`, `FOR4_TARGET_${target.name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_SECRET_KEY`, target.secretKey);
+  });
+
+  // Telegram só é obrigatório quando as notificações por ele estão habilitadas
+  if (config.telegram.enabled && (config.notifications.channels.includes('telegram') || config.telegram.pollingEnabled)) {
+    required('telegram.botToken', 'TELEGRAM_BOT_TOKEN', config.telegram.botToken);
+    required('telegram.chatId', 'TELEGRAM_CHAT_ID', config.telegram.chatId);
+  }
+
+  // Cartão de teste só é obrigatório com a verificação de cartão habilitada
+  if (config.card.enabled) {
+    const envs = { number: 'NUMBER', expirationMonth: 'EXPIRATION_MONTH', expirationYear: 'EXPIRATION_YEAR', cvv: 'CVV' };
+    Object.entries(envs).forEach(([field, env]) => {
+      required(`card.testCard.${field}`, `CARD_TEST_${env}`, config.card.testCard[field]);
+    });
+  }
+
+  const sloNames = config.slo.objectives.map(slo => slo.name);
+  if (new Set(sloNames).size !== sloNames.length) {
+    schema.invalid('slo.objectives', 'SLOS', `nomes repetidos: ${sloNames.join(', ')}`);
+  }
+
+  config.slo.objectives
+    .filter(slo => slo.windowDays > config.history.retentionDays)
+    .forEach(slo => schema.invalid('slo.objectives', 'SLOS',
+      `janela do SLO "${slo.name}" (${slo.windowDays} dias) maior que a retenção do histórico (history.retentionDays: ${config.history.retentionDays})`));
+
+  const { latency } = config.monitor;
+  if (latency.warningMs && latency.criticalMs && latency.criticalMs <= latency.warningMs) {
+    schema.invalid('monitor.latency.criticalMs', 'LATENCY_CRITICAL_MS', `deve ser maior que monitor.latency.warningMs (${latency.warningMs})`);
+  }
+
+  if (latency.criticalFactor <= latency.warningFactor) {
+    schema.invalid('monitor.latency.criticalFactor', 'LATENCY_BASELINE_CRITICAL_FACTOR', `deve ser maior que monitor.latency.warningFactor (${latency.warningFactor})`);
+  }
+
+  // Cada canal de notificação precisa do seu destino
+  const channelRequirements = {
+    telegram: [],
+    slack: [['webhookUrl', 'SLACK_WEBHOOK_URL']],
+    discord: [['webhookUrl', 'DISCORD_WEBHOOK_URL']],
+    email: [['host', 'SMTP_HOST'], ['from', 'SMTP_FROM'], ['to', 'SMTP_TO']],
+    webhook: [['url', 'NOTIFY_WEBHOOK_URL']]
+  };
+
+  config.notifications.channels.forEach(channel => {
+    if (!channelRequirements[channel]) {
+      schema.invalid('notifications.channels', 'NOTIFY_CHANNELS', `canal desconhecido: ${channel} (use ${Object.keys(channelRequirements).join(', ')})`);
+      return;
+    }
+
+    channelRequirements[channel].forEach(([field, env]) => {
+      required(`notifications.${channel}.${field}`, env, config.notifications[channel][field]);
+    });
+  });
+
+  // Níveis de escalonamento: destino configurado e canais habilitados em NOTIFY_CHANNELS
+  if (config.escalation.enabled) {
+    if (config.escalation.levels.length === 0) {
+      schema.error('escalation.levels', 'ESCALATION_LEVEL_1_AFTER_MINUTES', 'obrigatório com o escalonamento habilitado');
+    }
+
+    config.escalation.levels.forEach(({ level, telegramChatId, channels }) => {
+      if (!telegramChatId && channels.length === 0) {
+        schema.error(`escalation.levels.${level}`, `ESCALATION_LEVEL_${level}_TELEGRAM_CHAT_ID ou _CHANNELS`, 'informe um chat do Telegram ou canais');
+      }
+
+      const unknownChannels = channels.filter(channel => channel === 'telegram' || !config.notifications.channels.includes(channel));
+      if (unknownChannels.length > 0) {
+        schema.invalid(`escalation.levels.${level}.channels`, `ESCALATION_LEVEL_${level}_CHANNELS`,
+          `canais fora de notifications.channels: ${unknownChannels.join(', ')} (para Telegram use telegramChatId)`);
+      }
+    });
+  }
+}
+
+/**
+ * Lê a configuração: variáveis de ambiente e, se CONFIG_FILE estiver
+ * definido, o arquivo YAML ou JSON, cujos valores têm precedência.
+ * @param {Object} env - Variáveis de ambiente (padrão: process.env)
+ * @returns {Object} { config, errors } - errors lista todos os problemas encontrados
+ */
+function loadConfig(env = process.env) {
+  const configFile = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+  const errors = [];
+  let file = {};
+
+  if (configFile) {
+    try {
+      file = readConfigFile(configFile);
+    } catch (error) {
+      errors.push(`CONFIG_FILE (${configFile}): ${error.code === 'ENOENT' ? 'arquivo não encontrado' : error.message}`);
+    }
+  }
+
+  const schema = new ConfigSchema({ file, fileName: configFile && path.basename(configFile), env });
+  const str = (key, envName, defaultValue) => schema.string(key, envName, defaultValue);
+  const int = (key, envName, options) => schema.integer(key, envName, options);
+  const num = (key, envName, options) => schema.number(key, envName, options);
+  const bool = (key, envName, defaultValue) => schema.boolean(key, envName, defaultValue);
+
+  const config = {
+    // API For4
+    for4: {
+      apiUrl: str('for4.apiUrl', 'FOR4_API_URL', 'https://example.com.br/api/v1'),
+      secretKey: str('for4.secretKey', 'FOR4_SECRET_KEY'),
+      endpoints: {
+        createToken: '/transaction.createCardToken',
+        purchase: '/transaction.purchase',
+        getPayment: '/transaction.getPayment'
+      }
+    },
+
+    // Telegram
+    telegram: {
+      botToken: str('telegram.botToken', 'TELEGRAM_BOT_TOKEN'),
+      chatId: str('telegram.chatId', 'TELEGRAM_CHAT_ID'),
+      enabled: bool('telegram.enabled', 'ENABLE_NOTIFICATIONS', false),
+      pollingEnabled: bool('telegram.pollingEnabled', 'TELEGRAM_POLLING_ENABLED', false),
+      pollingTimeoutSeconds: int('telegram.pollingTimeoutSeconds', 'TELEGRAM_POLLING_TIMEOUT_SECONDS', { default: 30, min: 1, max: 50 }),
+      logTailLines: int('telegram.logTailLines', 'TELEGRAM_LOG_TAIL_LINES', { default: 30, min: 1, max: 500 }),
+      // Gráficos PNG anexados aos relatórios (sendPhoto)
+      chartsEnabled: bool('telegram.chartsEnabled', 'TELEGRAM_CHARTS_ENABLED', true),
+      adminUserIds: schema.list('telegram.adminUserIds', 'TELEGRAM_ADMIN_USER_IDS')
+    },
+
+    // Canais de notificação (Telegram, Slack, Discord, e-mail, webhook)
+    notifications: {
+      channels: schema.list('notifications.channels', 'NOTIFY_CHANNELS', ['telegram']),
+      events: NOTIFICATION_EVENTS,
+      telegram: {
+        events: parseChannelEvents(schema, 'telegram')
+      },
+      slack: {
+        webhookUrl: str('notifications.slack.webhookUrl', 'SLACK_WEBHOOK_URL'),
+        events: parseChannelEvents(schema, 'slack')
+      },
+      discord: {
+        webhookUrl: str('notifications.discord.webhookUrl', 'DISCORD_WEBHOOK_URL'),
+        events: parseChannelEvents(schema, 'discord')
+      },
+      email: {
+        host: str('notifications.email.host', 'SMTP_HOST'),
+        port: int('notifications.email.port', 'SMTP_PORT', { default: 587, min: 1, max: 65535 }),
+        secure: bool('notifications.email.secure', 'SMTP_SECURE', false),
+        user: str('notifications.email.user', 'SMTP_USER'),
+        pass: str('notifications.email.pass', 'SMTP_PASS'),
+        from: str('notifications.email.from', 'SMTP_FROM'),
+        to: schema.list('notifications.email.to', 'SMTP_TO'),
+        events: parseChannelEvents(schema, 'email')
+      },
+      webhook: {
+        url: str('notifications.webhook.url', 'NOTIFY_WEBHOOK_URL'),
+        // Segredo da assinatura HMAC-SHA256 (cabeçalho X-Signature)
+        secret: str('notifications.webhook.secret', 'NOTIFY_WEBHOOK_SECRET'),
+        events: parseChannelEvents(schema, 'webhook')
+      }
+    },
+
+    // Agenda: dias da semana, feriados e janelas de manutenção
+    calendar: {
+      profiles: parseScheduleProfiles(schema.text('calendar.profiles', 'SCHEDULE_PROFILES'), schema.errors),
+      schedule: parseSchedule(schema.text('calendar.schedule', 'MONITOR_SCHEDULE'), schema.errors),
+      holidays: {
+        national: bool('calendar.holidays.national', 'HOLIDAYS_NATIONAL', false),
+        custom: parseCustomHolidays(schema.text('calendar.holidays.custom', 'HOLIDAYS_CUSTOM'), schema.errors),
+        // 'skip' = não verificar; 'silence' = verificar sem alertar
+        action: schema.oneOf('calendar.holidays.action', 'HOLIDAY_ACTION', ['skip', 'silence'], 'skip')
+      },
+      maintenanceWindows: parseMaintenanceWindows(schema.text('calendar.maintenanceWindows', 'MAINTENANCE_WINDOWS', ';'), schema.errors)
+    },
+
+    // Escalonamento de alertas não reconhecidos
+    escalation: {
+      enabled: bool('escalation.enabled', 'ESCALATION_ENABLED', false),
+      levels: buildEscalationLevels(schema)
+    },
+
+    // Monitor
+    monitor: {
+      intervalMinutes: int('monitor.intervalMinutes', 'CHECK_INTERVAL_MINUTES', { default: 15, min: 1, max: 1440 }),
+      requestTimeout: int('monitor.requestTimeout', 'REQUEST_TIMEOUT_MS', { default: 30000, min: 1000, max: 300000 }),
+      notificationCooldownMinutes: int('monitor.notificationCooldownMinutes', 'NOTIFICATION_COOLDOWN_MINUTES', { default: 30, min: 1, max: 1440 }),
+      startHour: int('monitor.startHour', 'MONITOR_START_HOUR', { min: 0, max: 24 }),
+      endHour: int('monitor.endHour', 'MONITOR_END_HOUR', { min: 0, max: 24 }),
+      lifecycle: {
+        enabled: bool('monitor.lifecycle.enabled', 'LIFECYCLE_CHECK_ENABLED', false),
+        readBackDelayMs: int('monitor.lifecycle.readBackDelayMs', 'LIFECYCLE_READBACK_DELAY_MS', { default: 5000, min: 0, max: 60000 })
+      },
+      alertPolicies: buildAlertPolicies(schema),
+      // Intervalo menor durante incidentes, até a recuperação ser confirmada
+      incident: {
+        enabled: bool('monitor.incident.enabled', 'ADAPTIVE_INTERVAL_ENABLED', false),
+        intervalMinutes: int('monitor.incident.intervalMinutes', 'INCIDENT_INTERVAL_MINUTES', { default: 3, min: 1, max: 1440 }),
+        // Gasto extra máximo (R$) por incidente com as verificações adicionais
+        maxExtraSpend: num('monitor.incident.maxExtraSpend', 'INCIDENT_MAX_EXTRA_SPEND', { default: 50, min: 0 }),
+        recoveryChecks: int('monitor.incident.recoveryChecks', 'INCIDENT_RECOVERY_CHECKS', { default: 2, min: 1, max: 20 })
+      },
+      pixCode: {
+        // Valida o BR Code (estrutura EMV, CRC16 e campos) e a imagem do QR Code
+        enabled: bool('monitor.pixCode.enabled', 'PIX_CODE_VALIDATION_ENABLED', true),
+        qrImageEnabled: bool('monitor.pixCode.qrImageEnabled', 'PIX_QR_IMAGE_CHECK_ENABLED', true)
+      },
+      // Latência degradada: verificações com sucesso, mas lentas
+      latency: {
+        enabled: bool('monitor.latency.enabled', 'LATENCY_ALERTS_ENABLED', false),
+        // Limites fixos (ms) da média recente; vazio = sem limite
+        warningMs: int('monitor.latency.warningMs', 'LATENCY_WARNING_MS', { min: 1 }),
+        criticalMs: int('monitor.latency.criticalMs', 'LATENCY_CRITICAL_MS', { min: 1 }),
+        // Múltiplos da linha de base do horário (mesma hora nos dias anteriores)
+        warningFactor: num('monitor.latency.warningFactor', 'LATENCY_BASELINE_WARNING_FACTOR', { default: 2, min: 1 }),
+        criticalFactor: num('monitor.latency.criticalFactor', 'LATENCY_BASELINE_CRITICAL_FACTOR', { default: 3, min: 1 }),
+        baselineMinDays: int('monitor.latency.baselineMinDays', 'LATENCY_BASELINE_MIN_DAYS', { default: 3, min: 1, max: 60 }),
+        // Verificações com sucesso consideradas na média recente
+        windowChecks: int('monitor.latency.windowChecks', 'LATENCY_WINDOW_CHECKS', { default: 3, min: 1, max: 50 })
+      }
+    },
+
+    // Verificação de cartão de crédito (tokenização + compra opcional)
+    card: {
+      enabled: bool('card.enabled', 'CARD_CHECK_ENABLED', false),
+      purchaseEnabled: bool('card.purchaseEnabled', 'CARD_PURCHASE_ENABLED', false),
+      // Sem esta opção a compra é enviada em modo de teste (testMode: true)
+      realCharge: bool('card.realCharge', 'CARD_PURCHASE_REAL_CHARGE', false),
+      expectedStatuses: schema.list('card.expectedStatuses', 'CARD_EXPECTED_STATUSES', ['APPROVED']),
+      testCard: {
+        number: str('card.testCard.number', 'CARD_TEST_NUMBER'),
+        holderName: str('card.testCard.holderName', 'CARD_TEST_HOLDER_NAME', 'FOR4 MONITOR'),
+        expirationMonth: str('card.testCard.expirationMonth', 'CARD_TEST_EXPIRATION_MONTH'),
+        expirationYear: str('card.testCard.expirationYear', 'CARD_TEST_EXPIRATION_YEAR'),
+        cvv: str('card.testCard.cvv', 'CARD_TEST_CVV')
+      }
+    },
+
+    // Postbacks (callbacks da For4)
+    postback: {
+      enabled: bool('postback.enabled', 'POSTBACK_ENABLED', false),
+      url: str('postback.url', 'WEBHOOK_URL'),
+      path: str('postback.path', 'POSTBACK_PATH', '/postback'),
+      secret: str('postback.secret', 'POSTBACK_SECRET'),
+      deadlineMinutes: int('postback.deadlineMinutes', 'POSTBACK_DEADLINE_MINUTES', { default: 5, min: 1, max: 1440 }),
+      expectedStatuses: schema.list('postback.expectedStatuses', 'POSTBACK_EXPECTED_STATUSES', ['PENDING'])
+    },
+
+    // API HTTP local
+    api: {
+      enabled: bool('api.enabled', 'API_ENABLED', false),
+      host: str('api.host', 'API_HOST', '127.0.0.1'),
+      port: int('api.port', 'API_PORT', { default: 3000, min: 1, max: 65535 }),
+      token: str('api.token', 'API_TOKEN')
+    },
+
+    // Orçamento do monitoramento (valores em reais; vazio = sem limite)
+    budget: {
+      daily: num('budget.daily', 'BUDGET_DAILY', { min: 0.01 }),
+      monthly: num('budget.monthly', 'BUDGET_MONTHLY', { min: 0.01 }),
+      warnPercent: int('budget.warnPercent', 'BUDGET_WARN_PERCENT', { default: 80, min: 1, max: 100 }),
+      // 'stretch' = aumenta o intervalo; 'cheap' = usa verificações sem custo
+      action: schema.oneOf('budget.action', 'BUDGET_ACTION', ['stretch', 'cheap'], 'stretch'),
+      intervalMultiplier: int('budget.intervalMultiplier', 'BUDGET_INTERVAL_MULTIPLIER', { default: 4, min: 1, max: 100 })
+    },
+
+    // SLOs com alertas de consumo do orçamento de erros (burn rate) em duas janelas
+    slo: {
+      objectives: parseSlos(schema.text('slo.objectives', 'SLOS', ';'), schema.errors),
+      // Consumo rápido: janelas de 1h e 5min; lento: 6h e 30min
+      fastBurnRate: num('slo.fastBurnRate', 'SLO_FAST_BURN_RATE', { default: 14.4, min: 1 }),
+      slowBurnRate: num('slo.slowBurnRate', 'SLO_SLOW_BURN_RATE', { default: 6, min: 1 })
+    },
+
+    // Histórico de verificações (data/history, uma partição JSONL por dia)
+    history: {
+      retentionDays: int('history.retentionDays', 'HISTORY_RETENTION_DAYS', { default: 400, min: 1, max: 3650 })
+    },
+
+    // Horários dos relatórios agendados (expressões cron)
+    schedules: {
+      dailyReport: schema.cron('schedules.dailyReport', 'DAILY_REPORT_CRON', '55 23 * * *'),
+      weeklyReport: schema.cron('schedules.weeklyReport', 'WEEKLY_REPORT_CRON', '5 0 * * 1'),
+      monthlyReport: schema.cron('schedules.monthlyReport', 'MONTHLY_REPORT_CRON', '10 0 1 * *'),
+      statusSummary: schema.cron('schedules.statusSummary', 'STATUS_SUMMARY_CRON', '0 */6 * * *')
+    },
+
+    // Transação de Teste
+    testTransaction: {
+      amount: 500, // R$ 5,00 - valor mínimo
+      item: {
+        unitPrice: 500,
+        title: 'Health Check PIX - For4 Monitor',
+        quantity: 1,
+        tangible: false
+      }
+    },
+
+    // Sistema
+    system: {
+      env: str('system.env', 'NODE_ENV', 'development'),
+      logLevel: schema.oneOf('system.logLevel', 'LOG_LEVEL', LOG_LEVELS, 'info'),
+      timezone: 'America/Sao_Paulo',
+      // Arquivo de configuração (recarregado com SIGHUP ou ao ser alterado)
+      configFile,
+      configWatch: configFile !== null && bool('system.configWatch', 'CONFIG_WATCH', true)
+    },
+
+    // Diretórios
+    paths: {
+      logs: './logs',
+      data: './data'
+    }
+  };
+
+  config.targets = buildTargets(schema, config);
+
+  validate(schema, config);
+  schema.checkUnknownKeys();
+
+  return { config, errors: [...errors, ...schema.errors] };
+}
+
+module.exports = {
+  loadConfig
+};
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const YAML = require('yaml');
+
+/**
+ * Lê o arquivo de configuração (CONFIG_FILE): JSON pela extensão .json, YAML nos demais
+ * @returns {Object} Conteúdo do arquivo (objeto vazio se estiver vazio)
+ */
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+
+  if (data === null || data === undefined) return {};
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('o conteúdo deve ser um objeto (chave: valor)');
+  }
+
+  return data;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Valor de um caminho ("monitor.latency.warningMs") dentro de um objeto
+ */
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (isPlainObject(value) ? value[part] : undefined), object);
+}
+
+/**
+ * Esquema da configuração: cada leitura declara o caminho no objeto de
+ * configuração, a variável de ambiente equivalente, o tipo e os limites.
+ * O valor do arquivo tem precedência sobre a variável de ambiente, e os erros
+ * são acumulados (com o caminho e a origem) para serem exibidos todos de uma vez.
+ */
+class ConfigSchema {
+  /**
+   * @param {Object} options
+   * @param {Object} options.file - Conteúdo do arquivo de configuração
+   * @param {string} options.fileName - Nome do arquivo, exibido nos erros
+   * @param {Object} options.env - Variáveis de ambiente (padrão: process.env)
+   */
+  constructor(options = {}) {
+    this.file = options.file || {};
+    this.fileName = options.fileName || null;
+    this.env = options.env || process.env;
+    this.errors = [];
+    // Caminhos lidos, para apontar chaves desconhecidas no arquivo
+    this.known = new Set();
+  }
+
+  /**
+   * Valor bruto e origem de uma configuração (vazio = não informado)
+   */
+  raw(key, env) {
+    this.known.add(key);
+
+    const fromFile = getPath(this.file, key);
+    if (fromFile !== undefined && fromFile !== null && fromFile !== '') {
+      return { value: fromFile, origin: this.fileName };
+    }
+
+    const fromEnv = env ? this.env[env] : undefined;
+    if (fromEnv !== undefined && fromEnv.trim() !== '') {
+      return { value: fromEnv.trim(), origin: env };
+    }
+
+    return { value: undefined, origin: env || this.fileName };
+  }
+
+  /**
+   * Registra um erro de validação, ex: "monitor.intervalMinutes [CHECK_INTERVAL_MINUTES]: ..."
+   */
+  error(key, origin, message) {
+    this.errors.push(`${key}${origin ? ` [${origin}]` : ''}: ${message}`);
+  }
+
+  /**
+   * Registra um erro identificando a origem do valor (arquivo ou variável de ambiente)
+   */
+  invalid(key, env, message) {
+    this.error(key, this.raw(key, env).origin, message);
+  }
+
+  /**
+   * Verifica os limites de um número
+   */
+  checkRange(key, origin, value, options) {
+    const { min, max } = options;
+    const outOfRange = (min !== undefined && value < min) || (max !== undefined && value > max);
+
+    if (!outOfRange) return value;
+
+    if (min !== undefined && max !== undefined) {
+      this.error(key, origin, `deve estar entre ${min} e ${max} (recebido: ${value})`);
+    } else if (min !== undefined) {
+      this.error(key, origin, `deve ser no mínimo ${min} (recebido: ${value})`);
+    } else {
+      this.error(key, origin, `deve ser no máximo ${max} (recebido: ${value})`);
+    }
+
+    return options.default ?? null;
+  }
+
+  /**
+   * Número inteiro, com limites opcionais
+   * @param {Object} options - { default, min, max }
+   */
+  integer(key, env, options = {}) {
+    const { value, origin } = this.raw(key, env);
+    if (value === undefined) return options.default ?? null;
+
+    const number = typeof value === 'number' ? value : (/^-?\d+$/.test(String(value)) ? Number(value) : NaN);
+    if (!Number.isInteger(number)) {
+      this.error(key, origin, `deve ser um número inteiro (recebido: ${JSON.stringify(value)})`);
+      return options.default ?? null;
+    }
+
+    return this.checkRange(key, origin, number, options);
+  }
+
+  /**
+   * Número (aceita decimais), com limites opcionais
+   * @param {Object} options - { default, min, max }
+   */
+  number(key, env, options = {}) {
+    const { value, origin } = this.raw(key, env);
+    if (value === undefined) return options.default ?? null;
+
+    const number = typeof value === 'number' ? value : (/^-?\d+(\.\d+)?$/.test(String(value)) ? Number(value) : NaN);
+    if (!Number.isFinite(number)) {
+      this.error(key, origin, `deve ser um número (recebido: ${JSON.stringify(value)})`);
+      return options.default ?? null;
+    }
+
+    return this.checkRange(key, origin, number, options);
+  }
+
+  /**
+   * Booleano: true/false no arquivo ou "true"/"false" no ambiente
+   */
+  boolean(key, env, defaultValue = false) {
+    const { value, origin } = this.raw(key, env);
+    if (value === undefined) return defaultValue;
+
+    if (value === true || value === false) return value;
+    if (['true', 'false'].includes(String(value).toLowerCase())) {
+      return String(value).toLowerCase() === 'true';
+    }
+
+    this.error(key, origin, `deve ser true ou false (recebido: ${JSON.stringify(value)})`);
+    return defaultValue;
+  }
+
+  /**
+   * Texto (números do arquivo, como IDs de chat, são convertidos)
+   */
+  string(key, env, defaultValue = null) {
+    const { value, origin } = this.raw(key, env);
+    if (value === undefined) return defaultValue;
+
+    if (typeof value === 'object') {
+      this.error(key, origin, 'deve ser um texto');
+      return defaultValue;
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Um dos valores permitidos
+   */
+  oneOf(key, env, allowed, defaultValue) {
+    const value = this.string(key, env, defaultValue);
+
+    if (!allowed.includes(value)) {
+      this.invalid(key, env, `deve ser ${allowed.map(item => `"${item}"`).join(' ou ')} (recebido: "${value}")`);
+      return defaultValue;
+    }
+
+    return value;
+  }
+
+  /**
+   * Lista: array no arquivo ou itens separados por vírgula no ambiente
+   */
+  list(key, env, defaultValue = []) {
+    const { value, origin } = this.raw(key, env);
+    if (value === undefined) return defaultValue;
+
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    if (items.some(item => item === null || typeof item === 'object')) {
+      this.error(key, origin, 'deve ser uma lista de textos');
+      return defaultValue;
+    }
+
+    const list = items.map(item => String(item).trim()).filter(Boolean);
+    return list.length > 0 ? list : defaultValue;
+  }
+
+  /**
+   * Texto em um formato próprio (agenda, janelas de manutenção, SLOs); no
+   * arquivo também pode ser uma lista, unida pelo separador do formato
+   * @returns {Object} { value, label } - label identifica a origem nos erros de formato
+   */
+  text(key, env, separator = ',') {
+    const { value, origin } = this.raw(key, env);
+    const label = `${key}${origin ? ` [${origin}]` : ''}`;
+
+    if (value === undefined) return { value: undefined, label };
+
+    if (Array.isArray(value)) {
+      return { value: value.map(item => String(item).trim()).join(separator), label };
+    }
+
+    if (typeof value === 'object') {
+      this.error(key, origin, 'deve ser um texto ou uma lista de textos');
+      return { value: undefined, label };
+    }
+
+    return { value: String(value), label };
+  }
+
+  /**
+   * Expressão cron (ex: "55 23 * * *")
+   */
+  cron(key, env, defaultValue) {
+    const value = this.string(key, env, defaultValue);
+
+    if (!cron.validate(value)) {
+      this.invalid(key, env, `expressão cron inválida (recebido: "${value}")`);
+      return defaultValue;
+    }
+
+    return value;
+  }
+
+  /**
+   * Chaves de um mapa do arquivo (ex: alvos em "targets"), para leituras por item
+   */
+  keys(key) {
+    const value = getPath(this.file, key);
+
+    if (value === undefined || value === null) return [];
+
+    if (!isPlainObject(value)) {
+      this.known.add(key);
+      this.error(key, this.fileName, 'deve ser um mapa (chave: valor)');
+      return [];
+    }
+
+    return Object.keys(value);
+  }
+
+  /**
+   * Chaves do arquivo que não correspondem a nenhuma configuração (ex: erros de digitação)
+   */
+  checkUnknownKeys() {
+    const walk = (object, prefix) => {
+      Object.entries(object).forEach(([name, value]) => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (this.known.has(key)) return;
+
+        if (isPlainObject(value)) {
+          walk(value, key);
+        } else {
+          this.error(key, this.fileName, 'chave desconhecida');
+        }
+      });
+    };
+
+    walk(this.file, '');
+  }
+}
+
+module.exports = {
+  ConfigSchema,
+  readConfigFile,
+  isPlainObject
+};
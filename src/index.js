@@ -1,12 +1,28 @@
 const cron = require('node-cron');
+const moment = require('moment-timezone');
 const config = require('./config/config');
 const logger = require('./utils/logger');
-const monitor = require('./monitor');
+const stateStore = require('./utils/stateStore');
+const monitorManager = require('./monitorManager');
+const telegramService = require('./services/telegramService');
+const telegramBotService = require('./services/telegramBotService');
+const apiServer = require('./services/apiServer');
+const postbackService = require('./services/postbackService');
+const configReloader = require('./services/configReloader');
+
+// Tarefas cron dos relatórios e rotinas (refeitas ao recarregar a configuração)
+let jobs = [];
 
 // Manipulador de sinais para shutdown gracioso
 process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 
+// Recarregar a configuração (ambiente + CONFIG_FILE) sem reiniciar
+process.on('SIGHUP', () => {
+  logger.info('🔄 Recebido SIGHUP, recarregando configuração');
+  configReloader.reload('SIGHUP');
+});
+
 // Manipulador de erros não capturados
 process.on('uncaughtException', (error) => {
   logger.error('❌ Erro não capturado', {
@@ -28,7 +44,10 @@ async function shutdown() {
   logger.info('🛑 Recebido sinal de shutdown, finalizando...');
   
   try {
-    await monitor.stop();
+    configReloader.stop();
+    telegramBotService.stop();
+    await apiServer.stop();
+    await monitorManager.stop();
     process.exit(0);
   } catch (error) {
     logger.error('Erro durante shutdown', { error: error.message });
@@ -36,50 +55,94 @@ async function shutdown() {
   }
 }
 
+/**
+ * Agenda os relatórios e rotinas periódicas conforme a configuração atual,
+ * substituindo as tarefas agendadas anteriormente
+ */
+function scheduleJobs() {
+  jobs.forEach(job => job.stop());
+  jobs = [];
+  
+  // Verificar postbacks atrasados a cada minuto
+  if (config.postback.enabled) {
+    jobs.push(cron.schedule('* * * * *', async () => {
+      await postbackService.checkDeadlines();
+    }));
+  }
+  
+  // Relatório diário (padrão: 23:55)
+  jobs.push(cron.schedule(config.schedules.dailyReport, async () => {
+    logger.info('📊 Gerando relatório diário');
+    await monitorManager.generateDailyReports();
+  }));
+  
+  // Relatório semanal de SLA da semana anterior (padrão: segundas, 00:05)
+  jobs.push(cron.schedule(config.schedules.weeklyReport, async () => {
+    logger.info('📊 Gerando relatórios semanais de SLA');
+    await monitorManager.generatePeriodReports('weekly', moment().subtract(1, 'week'));
+  }));
+  
+  // Relatório mensal de SLA do mês anterior (padrão: dia 1º, 00:10)
+  jobs.push(cron.schedule(config.schedules.monthlyReport, async () => {
+    logger.info('📊 Gerando relatórios mensais de SLA');
+    await monitorManager.generatePeriodReports('monthly', moment().subtract(1, 'month'));
+  }));
+  
+  // Agendar limpeza de logs antigos às 03:00
+  jobs.push(cron.schedule('0 3 * * *', async () => {
+    logger.info('🧹 Executando limpeza de logs antigos');
+    // A rotação de logs é feita automaticamente pelo winston-daily-rotate-file
+  }));
+  
+  // Status resumido (padrão: a cada 6 horas)
+  jobs.push(cron.schedule(config.schedules.statusSummary, async () => {
+    await monitorManager.sendStatusSummaries();
+  }));
+}
+
+/**
+ * Aplica a configuração recarregada: nível de log, monitores e agendamentos
+ */
+function applyConfig() {
+  logger.level = config.system.logLevel;
+  monitorManager.applyConfig();
+  scheduleJobs();
+}
+
 // Função principal
 async function main() {
   try {
     logger.logMonitorStart();
     
-    // Inicializar monitor
-    await monitor.initialize();
+    // Inicializar monitores (um por alvo)
+    await monitorManager.initialize();
     
     // Verificar se deve executar teste único
     if (process.argv.includes('--test')) {
       logger.info('🧪 Modo de teste - executando verificação única');
-      await monitor.runOnce();
+      await monitorManager.runChecks();
       process.exit(0);
     }
     
+    // Iniciar API HTTP local
+    await apiServer.start();
+    
     // Executar primeira verificação imediatamente
     logger.info('🏁 Executando primeira verificação');
-    await monitor.runHealthCheck();
+    await monitorManager.runChecks();
     
-    // Configurar cron job
-    const cronExpression = `*/${config.monitor.intervalMinutes} * * * *`;
-    logger.info(`⏰ Agendando verificações a cada ${config.monitor.intervalMinutes} minutos`);
+    // Agendar verificações de cada alvo conforme seu intervalo
+    monitorManager.schedule();
     
-    const task = cron.schedule(cronExpression, async () => {
-      await monitor.runHealthCheck();
-    });
-    
-    // Agendar relatório diário às 23:55
-    cron.schedule('55 23 * * *', async () => {
-      logger.info('📊 Gerando relatório diário');
-      await monitor.generateDailyReport();
-    });
+    // Relatórios e rotinas periódicas
+    scheduleJobs();
     
-    // Agendar limpeza de logs antigos às 03:00
-    cron.schedule('0 3 * * *', async () => {
-      logger.info('🧹 Executando limpeza de logs antigos');
-      // A rotação de logs é feita automaticamente pelo winston-daily-rotate-file
-    });
+    // Recarga da configuração (SIGHUP ou alteração de CONFIG_FILE)
+    configReloader.onReload(applyConfig);
+    configReloader.watch();
     
-    // Agendar status resumido a cada 6 horas
-    cron.schedule('0 */6 * * *', async () => {
-      const status = await monitor.getStatus();
-      await telegramService.sendStatusSummary(status);
-    });
+    // Consumir cliques nos botões inline do Telegram
+    telegramBotService.start();
     
     logger.info('✅ Monitor em execução');
     
@@ -95,6 +158,42 @@ async function main() {
   }
 }
 
+/**
+ * Gera novamente o relatório semanal ou mensal de um período passado:
+ * --report weekly|monthly [data] [--send]
+ */
+async function generateReport() {
+  const [period, dateArg] = process.argv.slice(process.argv.indexOf('--report') + 1);
+  
+  if (!['weekly', 'monthly'].includes(period)) {
+    console.error('❌ Período inválido. Use: --report weekly|monthly [AAAA-MM-DD] [--send]');
+    process.exit(1);
+  }
+  
+  // Sem data, o período anterior ao atual (o último completo)
+  const date = dateArg && !dateArg.startsWith('--')
+    ? moment(dateArg, ['YYYY-MM-DD', 'DD/MM/YYYY'], true)
+    : moment().subtract(1, period === 'weekly' ? 'week' : 'month');
+  
+  if (!date.isValid()) {
+    console.error('❌ Data inválida. Use AAAA-MM-DD ou DD/MM/AAAA.');
+    process.exit(1);
+  }
+  
+  try {
+    const reports = await monitorManager.generatePeriodReports(period, date, {
+      send: process.argv.includes('--send')
+    });
+    
+    reports.forEach(report => console.log(telegramService.formatPeriodReport(report)));
+    await stateStore.flush();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Erro ao gerar relatório:', error.message);
+    process.exit(1);
+  }
+}
+
 // Comandos CLI extras
 if (process.argv.includes('--help')) {
   console.log(`
@@ -103,17 +202,26 @@ if (process.argv.includes('--help')) {
 
 Uso:
   npm start          - Inicia o monitor em modo contínuo
-  npm test           - Executa uma verificação única
+  npm run check      - Executa uma verificação única
+  npm test           - Executa os testes automatizados
   npm run dev        - Inicia em modo desenvolvimento (com nodemon)
   
 Opções:
   --test             - Executa apenas uma verificação e sai
+  --report weekly|monthly [AAAA-MM-DD] [--send]
+                     - Gera o relatório de SLA da semana/mês da data (padrão:
+                       o último período completo), salva em data/ e imprime;
+                       com --send, envia também pelos canais de notificação
   --help             - Mostra esta mensagem de ajuda
 
 Configuração:
   1. Copie .env.example para .env
   2. Preencha as configurações necessárias
   3. Execute npm start
+  
+  Opcional: CONFIG_FILE aponta um arquivo YAML ou JSON cujos valores têm
+  precedência sobre o ambiente. Para recarregar sem reiniciar, envie SIGHUP
+  (kill -HUP <pid>) ou altere o arquivo.
 
 Comandos PM2:
   npm run pm2:start  - Inicia com PM2
@@ -124,4 +232,8 @@ Comandos PM2:
 }
 
 // Iniciar aplicação
-main();
\ No newline at end of file
+if (process.argv.includes('--report')) {
+  generateReport();
+} else {
+  main();
+}
\ No newline at end of file
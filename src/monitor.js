@@ -4,30 +4,199 @@ const moment = require('moment-timezone');
 const config = require('./config/config');
 const logger = require('./utils/logger');
 const errorHandler = require('./utils/errorHandler');
-const for4Service = require('./services/for4Service');
+const performanceTracker = require('./utils/performanceTracker');
+const metrics = require('./utils/metrics');
+const stateStore = require('./utils/stateStore');
+const For4Service = require('./services/for4Service');
 const telegramService = require('./services/telegramService');
-const { generateTrackingId, isWithinMonitoringHours, formatCurrency } = require('./utils/dataGenerator');
+const notificationService = require('./services/notificationService');
+const postbackService = require('./services/postbackService');
+const costLedger = require('./services/costLedger');
+const IncidentLog = require('./services/incidentLog');
+const CheckHistory = require('./services/checkHistory');
+const SloTracker = require('./services/sloTracker');
+const calendar = require('./utils/calendar');
+const chartRenderer = require('./utils/chartRenderer');
+const { generateTrackingId, formatCurrency } = require('./utils/dataGenerator');
 
 // Configurar timezone
 moment.tz.setDefault(config.system.timezone);
 
+const { ErrorHandler } = errorHandler;
+const { PerformanceTracker } = performanceTracker;
+const { TelegramService, escapeMarkdown } = telegramService;
+const { NotificationService } = notificationService;
+
+/**
+ * Estatísticas de um método de pagamento
+ */
+function createMethodStats() {
+  return {
+    lastCheck: null,
+    lastSuccess: null,
+    lastError: null,
+    isHealthy: true,
+    // Resultados recentes (true = sucesso) para os limites "N de M"
+    recentResults: [],
+    // Se um alerta foi enviado desde a última recuperação
+    alertSent: false
+  };
+}
+
+/**
+ * Verificações executadas no dia, por perfil de intervalo
+ */
+function createScheduleStats() {
+  return {
+    date: moment().format('YYYY-MM-DD'),
+    // Verificações agendadas executadas: { perfil: quantidade }
+    executed: {},
+    // Verificações forçadas (bot, API ou início do processo)
+    manual: 0
+  };
+}
+
+// Quantidade de resultados recentes mantidos por método
+const MAX_RECENT_RESULTS = 50;
+
+// Contadores acumulados de versões anteriores (substituídos pelo histórico de verificações)
+const LEGACY_STATS_FIELDS = ['totalChecks', 'successfulChecks', 'failedChecks', 'totalResponseTime', 'errors'];
+
+// Erros de validação do código PIX (BR Code e QR Code)
+const PIX_CODE_ERROR_TYPES = [
+  'NO_PIX_CODE',
+  'INVALID_BR_CODE',
+  'BR_CODE_CRC_MISMATCH',
+  'BR_CODE_AMOUNT_MISMATCH',
+  'QR_CODE_MISMATCH',
+  'QR_CODE_UNREADABLE'
+];
+
+/**
+ * Estado do incidente em andamento (verificações em intervalo reduzido)
+ */
+function createIncidentState() {
+  return {
+    active: false,
+    startedAt: null,
+    // Gasto (centavos) com verificações fora da cadência normal
+    extraSpend: 0,
+    capped: false,
+    consecutiveSuccesses: 0
+  };
+}
+
+/**
+ * Estado de latência degradada do PIX (lento, mas respondendo)
+ */
+function createDegradedState() {
+  return {
+    level: null,
+    since: null,
+    alertSent: false
+  };
+}
+
+// Ordem dos níveis de degradação da latência
+const DEGRADED_SEVERITY = { warning: 1, critical: 2 };
+
 class PixMonitor {
-  constructor() {
+  /**
+   * @param {Object} target - Alvo monitorado (ver config.targets)
+   */
+  constructor(target) {
+    this.target = target;
+    const suffix = target.fileSuffix;
+    
+    // O alvo padrão usa as instâncias compartilhadas (arquivos e chat originais)
+    if (target.isDefault) {
+      this.errorHandler = errorHandler;
+      this.performanceTracker = performanceTracker;
+      this.telegram = telegramService;
+      this.notifier = notificationService;
+    } else {
+      this.errorHandler = new ErrorHandler({
+        stateFile: `error-state${suffix}.json`,
+        label: `Sistema PIX For4 (${target.label})`
+      });
+      this.performanceTracker = new PerformanceTracker({
+        metricsFile: `performance-metrics${suffix}.json`
+      });
+      this.telegram = new TelegramService({
+        chatId: target.telegramChatId,
+        label: target.label
+      });
+      this.notifier = new NotificationService({
+        telegram: this.telegram,
+        target: target.name
+      });
+    }
+    
+    this.for4Service = new For4Service(target, this.performanceTracker);
+    postbackService.registerTarget(target, this.notifier, this.getAckButtons());
+    
     this.stats = {
       startTime: Date.now(),
-      totalChecks: 0,
-      successfulChecks: 0,
-      failedChecks: 0,
-      totalResponseTime: 0,
-      errors: [],
       lastCheck: null,
+      lastSuccess: null,
       lastError: null,
-      isHealthy: true
+      isHealthy: true,
+      recentResults: [],
+      alertSent: false,
+      // Última transação criada (consultada nas verificações sem custo)
+      lastTransactionId: null,
+      card: createMethodStats(),
+      incident: createIncidentState(),
+      schedule: createScheduleStats(),
+      // Alertas de SLO em vigor: { nome: { burning: 'fast' | 'slow' | null, exhausted } }
+      slo: {},
+      degraded: createDegradedState()
     };
     
-    this.statsFile = path.join(config.paths.data, 'monitor-stats.json');
+    // Estado de erros do cartão é separado do PIX
+    this.cardErrorHandler = new ErrorHandler({
+      stateFile: `card-error-state${suffix}.json`,
+      label: target.isDefault ? 'Cartão de Crédito For4' : `Cartão de Crédito For4 (${target.label})`
+    });
+    
+    this.incidentLog = new IncidentLog({
+      stateFile: `incidents${suffix}.json`,
+      target: target.name
+    });
+    this.history = new CheckHistory({ target: target.name });
+    this.sloTracker = new SloTracker(this.history);
+    // Canais de cada nível de escalonamento, criados sob demanda
+    this.escalationNotifiers = {};
+    
+    metrics.trackErrorState(target.name, 'pix', this.errorHandler);
+    if (config.card.enabled) {
+      metrics.trackErrorState(target.name, 'card', this.cardErrorHandler);
+    }
+    
+    this.statsFile = path.join(config.paths.data, `monitor-stats${suffix}.json`);
     this.isRunning = false;
     this.isPaused = false;
+    this.pausedUntil = null;
+    this.pauseReason = null;
+  }
+
+  /**
+   * Aplica a configuração recarregada sem perder o estado em memória: o alvo
+   * é atualizado no próprio objeto (compartilhado com os serviços) e o
+   * cliente For4 e os canais de notificação são refeitos
+   * @param {Object} target - Alvo com a nova configuração (mesmo nome)
+   */
+  applyConfig(target) {
+    Object.assign(this.target, target);
+    
+    this.for4Service.applyTarget();
+    this.telegram.chatId = target.telegramChatId;
+    if (!target.isDefault) {
+      this.telegram.label = target.label;
+    }
+    
+    this.notifier.buildChannels();
+    this.escalationNotifiers = {};
   }
 
   /**
@@ -40,30 +209,33 @@ class PixMonitor {
       
       // Carregar estatísticas salvas
       await this.loadStats();
+      this.updateHealthMetrics();
       
       // Testar conexões
       logger.info('🔌 Testando conexões...');
       
       // Testar Telegram
       if (config.telegram.enabled) {
-        await telegramService.testConnection();
+        await this.telegram.testConnection();
       }
       
-      logger.info('✅ Monitor inicializado com sucesso');
+      logger.info('✅ Monitor inicializado com sucesso', { target: this.target.name });
       
       // Enviar notificação de início
-      await telegramService.sendMessage(
+      await this.notifier.sendMessage(
         '🚀 **Monitor PIX For4 Iniciado**\n\n' +
-        `⏰ Intervalo: ${config.monitor.intervalMinutes} minutos\n` +
-        `💰 Valor por teste: ${formatCurrency(config.testTransaction.amount)}\n` +
+        `⏰ Intervalo: ${this.formatProfiles()}\n` +
+        `💰 Valor por teste: ${formatCurrency(this.target.amount)}\n` +
+        `💳 Verificação de cartão: ${config.card.enabled ? 'habilitada' : 'desabilitada'}\n` +
         `🌍 Ambiente: ${config.system.env}\n` +
-        `📅 Horário: ${moment().format('DD/MM/YYYY HH:mm:ss')}`
+        `📅 Horário: ${moment().format('DD/MM/YYYY HH:mm:ss')}\n` +
+        this.telegram.formatCalendarLines(this.getCalendarStatus())
       );
       
       return true;
       
     } catch (error) {
-      logger.error('❌ Erro ao inicializar monitor', { error: error.message });
+      logger.error('❌ Erro ao inicializar monitor', { target: this.target.name, error: error.message });
       throw error;
     }
   }
@@ -83,22 +255,31 @@ class PixMonitor {
    * Carrega estatísticas salvas
    */
   async loadStats() {
-    try {
-      const data = await fs.readFile(this.statsFile, 'utf8');
-      const savedStats = JSON.parse(data);
-      
-      // Mesclar com stats atuais
-      Object.assign(this.stats, savedStats);
-      
-      logger.info('📊 Estatísticas carregadas', {
-        totalChecks: this.stats.totalChecks,
-        uptime: this.calculateUptime()
-      });
-      
-    } catch (error) {
-      // Arquivo não existe, usar stats padrão
-      logger.info('📊 Iniciando com estatísticas novas');
+    const savedStats = await stateStore.read(this.statsFile);
+    
+    // Arquivo não existe (ou não pôde ser recuperado), usar stats padrão
+    if (!savedStats) {
+      logger.info('📊 Iniciando com estatísticas novas', { target: this.target.name });
+      return;
     }
+    
+    // Mesclar com stats atuais
+    Object.assign(this.stats, savedStats);
+    this.stats.card = { ...createMethodStats(), ...savedStats.card };
+    this.stats.incident = { ...createIncidentState(), ...savedStats.incident };
+    this.stats.schedule = { ...createScheduleStats(), ...savedStats.schedule };
+    this.stats.slo = savedStats.slo || {};
+    this.stats.degraded = { ...createDegradedState(), ...savedStats.degraded };
+    
+    LEGACY_STATS_FIELDS.forEach(field => {
+      delete this.stats[field];
+      delete this.stats.card[field];
+    });
+    
+    logger.info('📊 Estatísticas carregadas', {
+      target: this.target.name,
+      lastCheck: this.stats.lastCheck
+    });
   }
 
   /**
@@ -106,58 +287,318 @@ class PixMonitor {
    */
   async saveStats() {
     try {
-      await fs.writeFile(this.statsFile, JSON.stringify(this.stats, null, 2));
+      await stateStore.write(this.statsFile, this.stats);
     } catch (error) {
       logger.error('Erro ao salvar estatísticas', { error: error.message });
     }
   }
 
   /**
-   * Executa uma verificação de saúde
+   * Verifica se as verificações podem ser executadas agora
    */
-  async runHealthCheck() {
-    // Verificar se está dentro do horário de monitoramento
-    if (!isWithinMonitoringHours(config.monitor.startHour, config.monitor.endHour)) {
-      logger.info('⏰ Fora do horário de monitoramento');
-      return;
+  canRunChecks() {
+    // Verificar agenda, feriados e janelas de manutenção
+    const calendarState = calendar.getCalendarState(this.target);
+    if (!calendarState.shouldCheck) {
+      logger.info(`⏰ ${calendarState.reason}`, { target: this.target.name });
+      return false;
+    }
+    
+    // Retomar automaticamente quando a pausa temporária expirar
+    if (this.isPaused && this.pausedUntil && Date.now() >= this.pausedUntil) {
+      logger.info('⏯️ Pausa temporária expirada');
+      this.resume();
     }
     
     // Verificar se está pausado
     if (this.isPaused) {
-      logger.info('⏸️ Monitor pausado');
-      return;
+      logger.info('⏸️ Monitor pausado', { target: this.target.name });
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Situação da agenda: motivo atual (janela, feriado ou fora do horário) e próximas janelas
+   */
+  getCalendarStatus() {
+    const state = calendar.getCalendarState(this.target);
+    
+    return {
+      shouldCheck: state.shouldCheck,
+      shouldAlert: state.shouldAlert,
+      reason: state.reason,
+      activeWindow: state.window,
+      holiday: state.holiday,
+      upcomingWindows: calendar.getUpcomingWindows(this.target)
+    };
+  }
+
+  /**
+   * Perfil de intervalo do horário atual (SCHEDULE_PROFILES)
+   */
+  getScheduleProfile() {
+    return calendar.getScheduleProfile(this.target);
+  }
+
+  /**
+   * Descrição dos intervalos: "15 minutos" ou "pico 08:00-22:00 a cada 5 min, ..."
+   */
+  formatProfiles() {
+    if (this.target.profiles.length === 0) {
+      return `${this.target.intervalMinutes} minutos`;
+    }
+    
+    const time = minutes => moment().startOf('day').add(minutes, 'minutes').format('HH:mm');
+    const profiles = this.target.profiles.map(profile => (
+      `${profile.name} ${time(profile.start)}-${time(profile.end)} a cada ${profile.intervalMinutes} min`
+    ));
+    
+    return `${profiles.join(', ')} (demais horários: ${this.target.intervalMinutes} min)`;
+  }
+
+  /**
+   * Intervalo atual entre verificações (maior com o orçamento estourado)
+   */
+  getIntervalMinutes() {
+    const intervalMinutes = this.getScheduleProfile().intervalMinutes;
+    
+    if (config.budget.action === 'stretch' && costLedger.isOverBudget()) {
+      return intervalMinutes * config.budget.intervalMultiplier;
+    }
+    
+    if (this.isIncidentMode()) {
+      return Math.min(config.monitor.incident.intervalMinutes, intervalMinutes);
+    }
+    
+    return intervalMinutes;
+  }
+
+  /**
+   * Indica se o minuto é horário de verificação no intervalo atual
+   */
+  isDue(date = moment()) {
+    return calendar.isSlot(this.getIntervalMinutes(), date);
+  }
+
+  /**
+   * Indica se as verificações estão no intervalo reduzido de incidente
+   */
+  isIncidentMode() {
+    const { incident } = this.stats;
+    return config.monitor.incident.enabled && incident.active && !incident.capped;
+  }
+
+  /**
+   * Indica se o minuto atual faz parte da cadência normal do alvo
+   */
+  isRegularSlot() {
+    return calendar.isSlot(this.getScheduleProfile().intervalMinutes);
+  }
+
+  /**
+   * Inicia (ou mantém) o incidente após uma verificação com falha
+   */
+  startIncident() {
+    if (!config.monitor.incident.enabled) return;
+    
+    const { incident } = this.stats;
+    incident.consecutiveSuccesses = 0;
+    
+    if (incident.active) return;
+    
+    Object.assign(incident, createIncidentState(), {
+      active: true,
+      startedAt: new Date().toISOString()
+    });
+    
+    logger.warn('🚨 Incidente iniciado, reduzindo o intervalo das verificações', {
+      target: this.target.name,
+      intervalMinutes: this.getIntervalMinutes()
+    });
+  }
+
+  /**
+   * Encerra o incidente quando a recuperação é confirmada por verificações seguidas
+   */
+  async updateIncident() {
+    const { incident } = this.stats;
+    if (!incident.active) return;
+    
+    const healthy = this.stats.isHealthy && (!config.card.enabled || this.stats.card.isHealthy);
+    if (!healthy) return;
+    
+    incident.consecutiveSuccesses++;
+    if (incident.consecutiveSuccesses < config.monitor.incident.recoveryChecks) return;
+    
+    logger.info('✅ Recuperação confirmada, voltando ao intervalo normal', {
+      target: this.target.name,
+      duration: moment.duration(Date.now() - new Date(incident.startedAt).getTime()).humanize(),
+      extraSpend: formatCurrency(incident.extraSpend),
+      intervalMinutes: this.getIntervalMinutes()
+    });
+    
+    this.stats.incident = createIncidentState();
+    await this.saveStats();
+  }
+
+  /**
+   * Indica se as verificações devem evitar criar transações (orçamento estourado)
+   */
+  shouldUseCheapProbe() {
+    return config.budget.action === 'cheap' && costLedger.isOverBudget();
+  }
+
+  /**
+   * Registra o custo de uma transação criada
+   */
+  async recordCost(method, transactionId, trackingId) {
+    // Verificações fora da cadência normal contam como gasto extra do incidente
+    if (this.isIncidentMode() && !this.isRegularSlot()) {
+      const { incident } = this.stats;
+      incident.extraSpend += this.target.amount;
+      
+      if (incident.extraSpend >= config.monitor.incident.maxExtraSpend * 100) {
+        incident.capped = true;
+        logger.warn('💸 Limite de gasto extra do incidente atingido, voltando ao intervalo normal', {
+          target: this.target.name,
+          extraSpend: formatCurrency(incident.extraSpend)
+        });
+      }
+    }
+    
+    await costLedger.record({
+      target: this.target.name,
+      method,
+      amount: this.target.amount,
+      transactionId,
+      trackingId
+    });
+  }
+
+  /**
+   * Executa todas as verificações agendadas (PIX e, se habilitado, cartão)
+   * @param {Object} options
+   * @param {boolean} options.scheduled - Verificação disparada pelo agendamento
+   */
+  async runChecks(options = {}) {
+    if (!this.canRunChecks()) return;
+    
+    this.recordExecution(options.scheduled);
+    
+    await this.runPixCheck();
+    
+    if (config.card.enabled) {
+      await this.runCardCheck();
     }
     
+    await this.updateIncident();
+    await this.checkSlos();
+  }
+
+  /**
+   * Conta a verificação do dia (agendada, por perfil, ou forçada)
+   */
+  recordExecution(scheduled) {
+    const today = moment().format('YYYY-MM-DD');
+    if (this.stats.schedule.date !== today) {
+      this.stats.schedule = createScheduleStats();
+    }
+    
+    if (scheduled) {
+      const { name } = this.getScheduleProfile();
+      this.stats.schedule.executed[name] = (this.stats.schedule.executed[name] || 0) + 1;
+    } else {
+      this.stats.schedule.manual++;
+    }
+  }
+
+  /**
+   * Executa uma verificação de saúde do PIX
+   */
+  async runHealthCheck() {
+    if (!this.canRunChecks()) return;
+    
+    await this.runPixCheck();
+    await this.checkSlos();
+  }
+
+  /**
+   * Executa a verificação PIX (sem checar horário/pausa)
+   */
+  async runPixCheck(options = {}) {
+    const { attempt = 0 } = options;
     const trackingId = generateTrackingId();
     const checkStartTime = Date.now();
+    const cheap = this.shouldUseCheapProbe();
+    let confirming = false;
     
-    logger.logCheckStart(trackingId);
+    if (cheap && !this.stats.lastTransactionId) {
+      logger.warn('🪶 Orçamento estourado e nenhuma transação para consultar, verificação PIX ignorada', {
+        target: this.target.name
+      });
+      return;
+    }
+    
+    logger.logCheckStart(trackingId, { target: this.target.name });
     
     try {
-      // Executar verificação
-      const result = await for4Service.createPixTransaction(trackingId);
+      // Executar verificação (consulta sem custo, apenas criação ou ciclo de vida completo)
+      let result;
+      if (cheap) {
+        result = await this.for4Service.runPixReadOnlyCheck(trackingId, this.stats.lastTransactionId);
+      } else if (config.monitor.lifecycle.enabled) {
+        result = await this.for4Service.runPixLifecycleCheck(trackingId);
+      } else {
+        result = await this.for4Service.createPixTransaction(trackingId);
+      }
       
       // Atualizar estatísticas
-      this.stats.totalChecks++;
-      this.stats.successfulChecks++;
-      this.stats.totalResponseTime += result.responseTime;
       this.stats.lastCheck = new Date().toISOString();
+      this.stats.lastSuccess = this.stats.lastCheck;
+      
+      this.pushResult(this.stats, true);
+      await this.recordHistory('pix', { trackingId, attempt, result });
+      
+      metrics.checksTotal.inc({ target: this.target.name, method: 'pix', result: 'success', error_type: 'none' });
+      metrics.responseTime.observe({ target: this.target.name, method: 'pix', result: 'success' }, result.responseTime / 1000);
+      
+      // Se estava com erro, encerrar o incidente e notificar recuperação (apenas se o erro foi alertado)
+      const incident = await this.incidentLog.resolve('pix');
       
-      // Se estava com erro, notificar recuperação
       if (!this.stats.isHealthy) {
         this.stats.isHealthy = true;
-        await this.notifyRecovery(result, trackingId);
+        
+        if (this.stats.alertSent) {
+          this.stats.alertSent = false;
+          await this.notifyRecovery(result, trackingId, incident);
+        }
+      }
+      
+      this.updateHealthMetrics();
+      
+      if (!result.readOnly) {
+        await this.checkLatency();
+        
+        this.stats.lastTransactionId = result.data.id;
+        await this.recordCost('pix', result.data.id, trackingId);
+        
+        // Aguardar o postback desta transação
+        await postbackService.track(result, trackingId, this.target);
       }
       
       // Limpar estado de erro
-      await errorHandler.clearErrorState();
+      await this.errorHandler.clearErrorState();
       
       // Log de sucesso
       logger.logCheckSuccess({
+        target: this.target.name,
         trackingId,
         pixCode: result.data.pixCode,
         responseTime: result.responseTime,
-        transactionId: result.data.id
+        transactionId: result.data.id,
+        steps: result.steps
       });
       
       // Salvar estatísticas
@@ -165,40 +606,41 @@ class PixMonitor {
       
     } catch (error) {
       // Atualizar estatísticas de erro
-      this.stats.totalChecks++;
-      this.stats.failedChecks++;
       this.stats.lastCheck = new Date().toISOString();
       this.stats.isHealthy = false;
+      this.pushResult(this.stats, false);
       
       // Processar erro
-      const errorInfo = await errorHandler.handleError(error, { trackingId });
-      
-      // Adicionar aos erros do dia
-      this.stats.errors.push({
-        time: moment().format('HH:mm:ss'),
-        type: errorInfo.type,
-        message: error.message,
-        trackingId
+      // A transação pode ter sido criada antes da falha (ex: validação)
+      if (error.transactionId) {
+        await this.recordCost('pix', error.transactionId, trackingId);
+      }
+      
+      const errorInfo = await this.errorHandler.handleError(error, { trackingId }, {
+        recentResults: this.stats.recentResults,
+        attempt
       });
+      confirming = errorInfo.confirming;
       
-      // Limitar array de erros a 100 últimos
-      if (this.stats.errors.length > 100) {
-        this.stats.errors = this.stats.errors.slice(-100);
+      metrics.checksTotal.inc({ target: this.target.name, method: 'pix', result: 'failure', error_type: errorInfo.type });
+      if (error.responseTime) {
+        metrics.responseTime.observe({ target: this.target.name, method: 'pix', result: 'failure' }, error.responseTime / 1000);
       }
+      this.updateHealthMetrics();
       
-      this.stats.lastError = {
-        time: moment().format('DD/MM/YYYY HH:mm:ss'),
-        type: errorInfo.type,
-        message: error.message
-      };
+      // Registrar o erro no histórico
+      this.recordError(this.stats, errorInfo, error);
+      await this.recordHistory('pix', { trackingId, attempt, error, errorInfo });
       
-      // Notificar se necessário
-      if (errorInfo.shouldNotify) {
-        await telegramService.sendErrorAlert(errorInfo.message, { trackingId });
-      }
+      this.startIncident();
+      
+      // O incidente começa na primeira falha, mesmo que o alerta aguarde a
+      // re-verificação ou o limite "N de M"; a supressão vale só para a notificação
+      const incident = await this.incidentLog.recordFailure('pix', { errorType: errorInfo.type, trackingId });
+      await this.notifyError(this.stats, errorInfo, trackingId, incident);
       
       // Log de erro
-      logger.logCheckError(error, { trackingId, errorType: errorInfo.type });
+      logger.logCheckError(error, { target: this.target.name, trackingId, errorType: errorInfo.type });
       
       // Salvar estatísticas
       await this.saveStats();
@@ -206,75 +648,754 @@ class PixMonitor {
     
     // Log de tempo de execução
     const checkDuration = Date.now() - checkStartTime;
-    logger.info(`⏱️ Verificação concluída em ${checkDuration}ms`);
+    logger.info(`⏱️ Verificação concluída em ${checkDuration}ms`, { target: this.target.name });
+    
+    // Re-verificação imediata para confirmar a falha antes de alertar
+    if (confirming) {
+      await this.runPixCheck({ attempt: attempt + 1 });
+    }
+  }
+
+  /**
+   * Executa a verificação de cartão (sem checar horário/pausa)
+   */
+  async runCardCheck(options = {}) {
+    const { attempt = 0 } = options;
+    const trackingId = generateTrackingId();
+    const stats = this.stats.card;
+    let confirming = false;
+    
+    logger.info('💳 Iniciando verificação de cartão', { target: this.target.name, trackingId });
+    
+    try {
+      const result = await this.for4Service.runCardHealthCheck(trackingId, {
+        skipPurchase: this.shouldUseCheapProbe()
+      });
+      
+      // Apenas a compra com cobrança real (não a tokenização nem o modo de teste) gera custo
+      if (result.data?.id && config.card.realCharge) {
+        await this.recordCost('card', result.data.id, trackingId);
+      }
+      
+      stats.lastCheck = new Date().toISOString();
+      stats.lastSuccess = stats.lastCheck;
+      
+      this.pushResult(stats, true);
+      await this.recordHistory('card', { trackingId, attempt, result });
+      
+      metrics.checksTotal.inc({ target: this.target.name, method: 'card', result: 'success', error_type: 'none' });
+      metrics.responseTime.observe({ target: this.target.name, method: 'card', result: 'success' }, result.responseTime / 1000);
+      
+      const incident = await this.incidentLog.resolve('card');
+      
+      if (!stats.isHealthy && stats.alertSent) {
+        stats.alertSent = false;
+        
+        const message = this.cardErrorHandler.formatRecoveryMessage({
+          trackingId,
+          responseTime: result.responseTime,
+          incident
+        });
+        await this.sendRecovery(message, incident);
+      }
+      
+      stats.isHealthy = true;
+      this.updateHealthMetrics();
+      await this.cardErrorHandler.clearErrorState();
+      
+      logger.info('✅ Verificação de cartão concluída com sucesso', {
+        target: this.target.name,
+        trackingId,
+        responseTime: result.responseTime,
+        steps: result.steps
+      });
+      
+    } catch (error) {
+      stats.lastCheck = new Date().toISOString();
+      stats.isHealthy = false;
+      this.pushResult(stats, false);
+      
+      const errorInfo = await this.cardErrorHandler.handleError(error, { trackingId }, {
+        recentResults: stats.recentResults,
+        attempt
+      });
+      confirming = errorInfo.confirming;
+      
+      metrics.checksTotal.inc({ target: this.target.name, method: 'card', result: 'failure', error_type: errorInfo.type });
+      if (error.responseTime) {
+        metrics.responseTime.observe({ target: this.target.name, method: 'card', result: 'failure' }, error.responseTime / 1000);
+      }
+      this.updateHealthMetrics();
+      
+      this.recordError(stats, errorInfo, error);
+      await this.recordHistory('card', { trackingId, attempt, error, errorInfo });
+      this.startIncident();
+      
+      const incident = await this.incidentLog.recordFailure('card', { errorType: errorInfo.type, trackingId });
+      await this.notifyError(stats, errorInfo, trackingId, incident);
+      
+      logger.logCheckError(error, { target: this.target.name, trackingId, errorType: errorInfo.type, paymentMethod: 'card' });
+    }
+    
+    await this.saveStats();
+    
+    if (confirming) {
+      await this.runCardCheck({ attempt: attempt + 1 });
+    }
+  }
+
+  /**
+   * Registra o resultado de uma verificação para os limites "N de M"
+   */
+  pushResult(stats, success) {
+    stats.recentResults.push(success);
+    
+    if (stats.recentResults.length > MAX_RECENT_RESULTS) {
+      stats.recentResults = stats.recentResults.slice(-MAX_RECENT_RESULTS);
+    }
+  }
+
+  /**
+   * Envia o alerta de erro ou registra por que a falha não foi alertada
+   */
+  async notifyError(stats, errorInfo, trackingId, incident) {
+    // Feriado ou janela de manutenção com verificações sem alerta
+    const calendarState = calendar.getCalendarState(this.target);
+    if (errorInfo.shouldNotify && !calendarState.shouldAlert) {
+      logger.info('🔕 Falha registrada sem alerta', {
+        target: this.target.name,
+        trackingId,
+        errorType: errorInfo.type,
+        reason: calendarState.reason
+      });
+      return;
+    }
+    
+    // Incidente reconhecido: sem novos alertas até a recuperação
+    if (errorInfo.shouldNotify && incident.acknowledgedAt) {
+      logger.info('🔕 Falha registrada sem alerta', {
+        target: this.target.name,
+        trackingId,
+        errorType: errorInfo.type,
+        reason: `incidente ${incident.id} reconhecido por ${incident.acknowledgedBy}`
+      });
+      return;
+    }
+    
+    if (errorInfo.shouldNotify) {
+      stats.alertSent = true;
+      await this.notifier.sendErrorAlert(errorInfo.message, {
+        trackingId,
+        intervalMinutes: this.getIntervalMinutes()
+      }, {
+        buttons: this.getAckButtons()
+      });
+      await this.incidentLog.markAlerted(incident);
+      return;
+    }
+    
+    if (errorInfo.suppressed) {
+      const { failures, window } = errorInfo.policy;
+      
+      logger.info('🔕 Falha registrada sem alerta', {
+        target: this.target.name,
+        trackingId,
+        errorType: errorInfo.type,
+        reason: errorInfo.confirming
+          ? 'aguardando re-verificação'
+          : `limite de ${failures} falha(s) em ${window} verificação(ões) não atingido`
+      });
+    }
+  }
+
+  /**
+   * Avalia os SLOs e alerta quando o consumo do orçamento de erros acelera
+   * (rápido ou lento) ou quando o orçamento se esgota. Cada alerta é enviado
+   * uma vez até a situação se normalizar
+   */
+  async checkSlos() {
+    if (config.slo.objectives.length === 0) return;
+    
+    const statuses = await this.sloTracker.evaluateAll();
+    const severity = { fast: 2, slow: 1 };
+    const shouldAlert = calendar.getCalendarState(this.target).shouldAlert;
+    
+    for (const status of statuses) {
+      const state = this.stats.slo[status.name] || (this.stats.slo[status.name] = { burning: null, exhausted: false });
+      
+      metrics.sloBudgetRemaining.set({ target: this.target.name, slo: status.name }, status.budgetRemaining);
+      
+      // Feriado ou janela de manutenção sem alertas: avaliar de novo depois
+      if (!shouldAlert) continue;
+      
+      if (status.burning && severity[status.burning] > (severity[state.burning] || 0)) {
+        logger.warn('🔥 Consumo acelerado do orçamento de erros', {
+          target: this.target.name,
+          slo: status.name,
+          burning: status.burning,
+          burnRates: status.burnRates
+        });
+        await this.notifier.sendMessage(this.telegram.formatSloAlert(status, 'burn'), 'slo');
+      }
+      
+      if (status.exhausted && !state.exhausted) {
+        logger.warn('🪫 Orçamento de erros esgotado', { target: this.target.name, slo: status.name, sli: status.sli });
+        await this.notifier.sendMessage(this.telegram.formatSloAlert(status, 'exhausted'), 'slo');
+      }
+      
+      state.burning = status.burning;
+      state.exhausted = status.exhausted;
+    }
+    
+    await this.saveStats();
+  }
+
+  /**
+   * Compara o tempo de resposta recente com os limites fixos e a linha de base
+   * do horário. A latência degradada (lento, mas funcionando) é separada da
+   * falha: tem alerta e normalização próprios e não abre incidente
+   */
+  async checkLatency() {
+    const { latency } = config.monitor;
+    if (!latency.enabled) return;
+    
+    const status = this.performanceTracker.evaluateLatency(latency);
+    const state = this.stats.degraded;
+    
+    metrics.degraded.set({ target: this.target.name }, DEGRADED_SEVERITY[status.level] || 0);
+    
+    if (status.level && DEGRADED_SEVERITY[status.level] > (DEGRADED_SEVERITY[state.level] || 0)) {
+      // Feriado ou janela de manutenção sem alertas: avaliar de novo depois
+      if (!calendar.getCalendarState(this.target).shouldAlert) return;
+      
+      state.since = state.since || new Date().toISOString();
+      state.level = status.level;
+      state.alertSent = true;
+      
+      logger.warn('🐢 Latência degradada', {
+        target: this.target.name,
+        level: status.level,
+        average: status.average,
+        baseline: status.baseline.average,
+        reasons: status.reasons
+      });
+      
+      await this.notifier.sendDegradedAlert(this.telegram.formatDegradedAlert(status, config.monitor.latency.windowChecks), {
+        intervalMinutes: this.getIntervalMinutes()
+      });
+    } else if (!status.level && state.level) {
+      const durationMs = Date.now() - new Date(state.since).getTime();
+      
+      logger.info('✅ Latência normalizada', { target: this.target.name, average: status.average, durationMs });
+      
+      if (state.alertSent) {
+        await this.notifier.sendDegradedAlert(this.telegram.formatDegradedRecovery(status, durationMs), {
+          intervalMinutes: this.getIntervalMinutes()
+        });
+      }
+      
+      this.stats.degraded = createDegradedState();
+    }
+  }
+
+  /**
+   * Registra o último erro de um método de pagamento
+   */
+  recordError(stats, errorInfo, error) {
+    stats.lastError = {
+      time: moment().format('DD/MM/YYYY HH:mm:ss'),
+      type: errorInfo.type,
+      message: error.message
+    };
+  }
+
+  /**
+   * Acrescenta a verificação ao histórico (com o resultado ou o erro)
+   */
+  async recordHistory(method, { trackingId, attempt, result, error, errorInfo }) {
+    let pixCodeValid = null;
+    if (method === 'pix') {
+      if (result && !result.readOnly && config.monitor.pixCode.enabled) {
+        pixCodeValid = true;
+      } else if (errorInfo && PIX_CODE_ERROR_TYPES.includes(errorInfo.type)) {
+        pixCodeValid = false;
+      }
+    }
+    
+    await this.history.record({
+      trackingId,
+      method,
+      result: result ? 'success' : 'failure',
+      errorType: errorInfo ? errorInfo.type : null,
+      message: error ? error.message : null,
+      httpStatus: result ? result.httpStatus || null : error.response?.status || null,
+      responseTime: result ? result.responseTime : error.responseTime || null,
+      transactionId: result ? result.data?.id || null : error.transactionId || null,
+      pixCodeValid,
+      // Verificação sem custo (consulta de transação existente)
+      readOnly: !!result?.readOnly,
+      attempt,
+      ...(result?.warnings && { warnings: result.warnings }),
+      ...(errorInfo?.suppressed && { suppressed: true })
+    });
+  }
+
+  /**
+   * Atualiza os gauges de saúde exportados em /metrics
+   */
+  updateHealthMetrics() {
+    const methods = { pix: this.stats };
+    if (config.card.enabled) {
+      methods.card = this.stats.card;
+    }
+    
+    Object.entries(methods).forEach(([method, stats]) => {
+      const labels = { target: this.target.name, method };
+      metrics.healthy.set(labels, stats.isHealthy ? 1 : 0);
+      
+      if (stats.lastSuccess) {
+        metrics.lastSuccessTimestamp.set(labels, new Date(stats.lastSuccess).getTime() / 1000);
+      }
+    });
   }
 
   /**
    * Notifica recuperação do sistema
    */
-  async notifyRecovery(result, trackingId) {
-    const message = errorHandler.formatRecoveryMessage({
+  async notifyRecovery(result, trackingId, incident) {
+    const message = this.errorHandler.formatRecoveryMessage({
       trackingId,
       pixCode: result.data.pixCode,
       responseTime: result.responseTime,
-      transactionId: result.data.id
+      transactionId: result.data.id,
+      incident
     });
     
-    await telegramService.sendRecoveryAlert(message);
+    await this.sendRecovery(message, incident);
+  }
+
+  /**
+   * Envia a recuperação aos canais principais e aos níveis de escalonamento já acionados
+   */
+  async sendRecovery(message, incident) {
+    await this.notifier.sendRecoveryAlert(message, { intervalMinutes: this.getIntervalMinutes() });
+    
+    const escalationLevel = incident?.escalationLevel || 0;
+    for (const level of config.escalation.levels.filter(({ level }) => level <= escalationLevel)) {
+      await this.getEscalationNotifier(level).sendRecoveryAlert(message);
+    }
+  }
+
+  /**
+   * Botão "Reconhecer" dos alertas de erro (callback "ack_incident:alvo")
+   */
+  getAckButtons() {
+    return [[{ text: '👍 Reconhecer', callback_data: `ack_incident:${this.target.name}` }]];
+  }
+
+  /**
+   * Canais de um nível de escalonamento (chat Telegram próprio e/ou canais de NOTIFY_CHANNELS)
+   */
+  getEscalationNotifier(level) {
+    if (!this.escalationNotifiers[level.level]) {
+      const channels = [...level.channels];
+      let telegram = this.telegram;
+      
+      if (level.telegramChatId) {
+        channels.unshift('telegram');
+        telegram = new TelegramService({
+          chatId: level.telegramChatId,
+          label: this.getTargetLabel()
+        });
+      }
+      
+      this.escalationNotifiers[level.level] = new NotificationService({
+        telegram,
+        target: this.target.name,
+        channels,
+        // Os canais do nível recebem o escalonamento e a recuperação, independente dos eventos configurados
+        events: ['escalation', 'recovery']
+      });
+    }
+    
+    return this.escalationNotifiers[level.level];
   }
 
   /**
-   * Calcula uptime percentual
+   * Escala incidentes alertados e não reconhecidos para o próximo nível cujo prazo venceu
    */
-  calculateUptime() {
-    if (this.stats.totalChecks === 0) return 100;
+  async checkEscalations() {
+    if (!config.escalation.enabled) return;
+    if (!calendar.getCalendarState(this.target).shouldAlert) return;
     
-    return ((this.stats.successfulChecks / this.stats.totalChecks) * 100).toFixed(2);
+    const pending = this.incidentLog.getOpenIncidents()
+      .filter(incident => incident.alerted && !incident.acknowledgedAt);
+    
+    for (const incident of pending) {
+      const elapsedMinutes = moment().diff(moment(incident.alertedAt), 'minutes', true);
+      const levels = config.escalation.levels.filter(({ level, afterMinutes }) => (
+        level > incident.escalationLevel && elapsedMinutes >= afterMinutes
+      ));
+      
+      for (const level of levels) {
+        const handler = incident.method === 'card' ? this.cardErrorHandler : this.errorHandler;
+        const message = handler.formatEscalationMessage(incident, level);
+        
+        logger.warn('📣 Escalonando incidente não reconhecido', {
+          target: this.target.name,
+          incidentId: incident.id,
+          level: level.level
+        });
+        
+        await this.getEscalationNotifier(level).sendErrorAlert(message, {}, {
+          event: 'escalation',
+          buttons: this.getAckButtons()
+        });
+        await this.incidentLog.setEscalationLevel(incident, level.level);
+      }
+    }
   }
 
   /**
-   * Calcula tempo médio de resposta
+   * Reconhece os incidentes e o problema de postbacks em aberto do alvo
+   * @param {string} by - Quem reconheceu
+   * @returns {Object} { incidents, postbacks } - Incidentes reconhecidos e se os postbacks foram reconhecidos
    */
-  calculateAverageResponseTime() {
-    if (this.stats.successfulChecks === 0) return 0;
+  async acknowledge(by) {
+    const incidents = await this.incidentLog.acknowledge(by);
+    const postbacks = await postbackService.acknowledge(this.target.name, by);
+    
+    if (incidents.length > 0 || postbacks) {
+      const ids = [...incidents.map(incident => incident.id), ...(postbacks ? ['postbacks'] : [])].join(', ');
+      await this.notifier.sendMessage(
+        `👍 **Incidente reconhecido**\n\n🆔 ${ids}\n👤 Por: ${escapeMarkdown(by)}\n🔕 Novos alertas suspensos até a recuperação`
+      );
+    }
     
-    return Math.round(this.stats.totalResponseTime / this.stats.successfulChecks);
+    return { incidents, postbacks };
   }
 
   /**
-   * Gera relatório diário
+   * Erros do período (do histórico), no formato exibido nos relatórios
    */
-  async generateDailyReport() {
+  async getErrors(from, to = moment(), method = 'pix') {
+    const failures = await this.history.query({ from, to, method, result: 'failure' });
+    
+    return failures.map(entry => ({
+      time: moment(entry.time).format('HH:mm:ss'),
+      type: entry.errorType,
+      message: entry.message,
+      trackingId: entry.trackingId,
+      ...(entry.suppressed && { suppressed: true })
+    }));
+  }
+
+  /**
+   * Monta os dados do relatório diário
+   */
+  async buildDailyReport() {
     const today = moment().startOf('day');
-    const todayErrors = this.stats.errors.filter(error => {
-      return moment(error.time, 'HH:mm:ss').isSame(today, 'day');
-    });
+    const cost = costLedger.getSummary(this.target.name);
+    const pix = await this.history.getStats(today, moment(), 'pix');
     
     const report = {
+      target: this.target.name,
+      targetLabel: this.getTargetLabel(),
       date: today.format('DD/MM/YYYY'),
       checks: {
-        total: this.stats.totalChecks,
-        success: this.stats.successfulChecks,
-        failed: this.stats.failedChecks
+        total: pix.total,
+        success: pix.success,
+        failed: pix.failed
+      },
+      errors: await this.getErrors(today),
+      uptime: pix.uptime,
+      avgResponseTime: pix.avgResponseTime,
+      totalCost: cost.today.total / 100,
+      // Valores em centavos, do registro de custos
+      cost: {
+        transactions: cost.today.count,
+        amountPerTransaction: this.target.amount,
+        month: cost.month.total,
+        forecast: cost.forecast
       },
-      errors: todayErrors,
-      uptime: this.calculateUptime(),
-      avgResponseTime: this.calculateAverageResponseTime(),
-      totalCost: this.stats.totalChecks * (config.testTransaction.amount / 100)
+      budget: costLedger.getBudgetStatus(),
+      incidents: this.getIncidentStats('pix'),
+      schedule: this.getScheduleStats(),
+      slos: await this.sloTracker.evaluateAll()
     };
     
-    // Enviar relatório via Telegram
-    await telegramService.sendDailyReport(report);
+    if (config.card.enabled) {
+      const card = await this.history.getStats(today, moment(), 'card');
+      
+      report.card = {
+        checks: {
+          total: card.total,
+          success: card.success,
+          failed: card.failed
+        },
+        errors: await this.getErrors(today, moment(), 'card'),
+        uptime: card.uptime,
+        avgResponseTime: card.avgResponseTime,
+        incidents: this.getIncidentStats('card')
+      };
+    }
+    
+    return report;
+  }
+
+  /**
+   * Verificações previstas pela agenda x executadas no dia, por perfil de intervalo
+   */
+  getScheduleStats() {
+    const now = moment();
+    const planned = calendar.getPlannedChecks(this.target, now.clone().startOf('day'), now);
+    const { date, executed, manual } = this.stats.schedule;
+    const executedToday = date === now.format('YYYY-MM-DD') ? executed : {};
+    
+    const intervals = { padrão: this.target.intervalMinutes };
+    this.target.profiles.forEach(profile => {
+      intervals[profile.name] = profile.intervalMinutes;
+    });
+    
+    const profiles = [...new Set([...Object.keys(planned), ...Object.keys(executedToday)])].map(name => ({
+      name,
+      intervalMinutes: intervals[name] || null,
+      planned: planned[name] || 0,
+      executed: executedToday[name] || 0
+    }));
+    
+    return {
+      profiles,
+      planned: profiles.reduce((total, profile) => total + profile.planned, 0),
+      executed: profiles.reduce((total, profile) => total + profile.executed, 0),
+      manual: date === now.format('YYYY-MM-DD') ? manual : 0
+    };
+  }
+
+  /**
+   * Indicadores de incidentes do dia e dos últimos 30 dias
+   */
+  getIncidentStats(method) {
+    return {
+      today: this.incidentLog.getPeriodStats(moment().startOf('day'), moment(), method),
+      last30Days: this.incidentLog.getPeriodStats(moment().subtract(30, 'days'), moment(), method)
+    };
+  }
+
+  /**
+   * Gera relatório diário
+   */
+  async generateDailyReport() {
+    const today = moment().startOf('day');
+    const report = await this.buildDailyReport();
+    
+    // Enviar relatório via Telegram (com os gráficos das últimas 24 horas)
+    await this.notifier.sendDailyReport(report, await this.buildCharts(moment().subtract(23, 'hours'), moment(), 'hour'));
     
     // Salvar relatório em arquivo
     const reportFile = path.join(
       config.paths.data,
-      `report-${today.format('YYYY-MM-DD')}.json`
+      `report${this.target.fileSuffix}-${today.format('YYYY-MM-DD')}.json`
+    );
+    
+    await stateStore.writeJson(reportFile, report);
+    
+    logger.info('📊 Relatório diário gerado', { target: this.target.name, date: report.date });
+    
+    return report;
+  }
+
+  /**
+   * Gráficos PNG do PIX no período: tempo de resposta (média e p95) e
+   * verificações com sucesso e falha por hora ou dia, e a faixa de uptime
+   * dos 30 dias até o fim do período
+   * @param {string} unit - 'hour' ou 'day'
+   * @returns {Array} [{ name, caption, image }] (vazio se TELEGRAM_CHARTS_ENABLED=false)
+   */
+  async buildCharts(from, to = moment(), unit = 'hour') {
+    if (!config.telegram.chartsEnabled) return [];
+    
+    const points = [];
+    for (let start = moment(from).startOf(unit); start.isBefore(to); start.add(1, unit)) {
+      const stats = await this.history.getStats(start.clone(), start.clone().add(1, unit), 'pix');
+      
+      points.push({
+        label: start.format(unit === 'hour' ? 'HH' : 'DD/MM'),
+        avg: stats.success > 0 ? stats.avgResponseTime : null,
+        p95: stats.latency.p95,
+        success: stats.success,
+        failure: stats.failed
+      });
+    }
+    
+    const days = [];
+    const lastDay = moment(to).subtract(1, 'ms').startOf('day');
+    const firstDay = lastDay.clone().subtract(29, 'days');
+    for (let day = firstDay.clone(); day.isSameOrBefore(lastDay); day.add(1, 'day')) {
+      const stats = await this.history.getStats(day.clone(), day.clone().add(1, 'day'), 'pix');
+      days.push({ label: day.format('DD'), uptime: stats.total > 0 ? parseFloat(stats.uptime) : null });
+    }
+    
+    const label = this.getTargetLabel();
+    const prefix = label ? `${label} - ` : '';
+    const period = unit === 'hour'
+      ? `${moment(from).format('DD/MM HH:00')} a ${moment(to).format('DD/MM HH:mm')}`
+      : `${moment(from).format('DD/MM')} a ${lastDay.format('DD/MM')}`;
+    
+    return [
+      {
+        name: 'latency',
+        caption: `⏱️ ${prefix}Tempo de resposta do PIX (média e p95), ${period}`,
+        image: chartRenderer.renderLatencyChart(points)
+      },
+      {
+        name: 'results',
+        caption: `✅ ${prefix}Verificações com sucesso e falha, ${period}`,
+        image: chartRenderer.renderResultsChart(points)
+      },
+      {
+        name: 'uptime',
+        caption: `📅 ${prefix}Uptime diário, ${firstDay.format('DD/MM')} a ${lastDay.format('DD/MM')}`,
+        image: chartRenderer.renderUptimeStrip(days)
+      }
+    ];
+  }
+
+  /**
+   * Carrega um relatório diário salvo
+   */
+  async loadDailyReport(date) {
+    const reportFile = path.join(
+      config.paths.data,
+      `report${this.target.fileSuffix}-${moment(date).format('YYYY-MM-DD')}.json`
     );
     
-    await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+    try {
+      const data = await fs.readFile(reportFile, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Início e fim do período (semana ISO ou mês) que contém a data
+   */
+  getReportPeriod(period, date = moment()) {
+    const unit = period === 'weekly' ? 'isoWeek' : 'month';
+    const from = moment(date).startOf(unit);
+    
+    return { from, to: from.clone().endOf(unit).add(1, 'ms') };
+  }
+
+  /**
+   * Indicadores de SLA de um método no período. O uptime é ponderado pelo
+   * tempo: considera a duração dos incidentes, não a quantidade de verificações
+   */
+  async buildMethodSla(method, from, to, options = {}) {
+    const end = moment.min(moment(to), moment());
+    const periodMs = Math.max(end.diff(from), 0);
+    const checks = await this.history.getStats(from, end, method);
+    const incidents = this.incidentLog.getPeriodStats(from, end, method);
+    
+    const sla = {
+      uptime: periodMs > 0 ? Number((100 - incidents.downtimeMs / periodMs * 100).toFixed(3)) : 100,
+      checks: {
+        total: checks.total,
+        success: checks.success,
+        failed: checks.failed,
+        suppressed: checks.suppressed
+      },
+      latency: { avg: checks.avgResponseTime, ...checks.latency },
+      errorsByType: checks.errorsByType,
+      incidents
+    };
+    
+    if (options.incidentList) {
+      sla.incidentList = this.incidentLog.getIncidents(from, end, method).map(incident => ({
+        id: incident.id,
+        startedAt: incident.startedAt,
+        endedAt: incident.endedAt,
+        durationMs: incident.durationMs,
+        errorTypes: incident.errorTypes,
+        failedChecks: incident.failedChecks,
+        acknowledgedBy: incident.acknowledgedBy
+      }));
+    }
+    
+    return sla;
+  }
+
+  /**
+   * Monta o relatório semanal ou mensal de SLA do período que contém a data,
+   * comparado com o período anterior
+   */
+  async buildPeriodReport(period, date = moment()) {
+    await Promise.all([this.incidentLog.ready, costLedger.ready]);
+    
+    const unit = period === 'weekly' ? 'week' : 'month';
+    const { from, to } = this.getReportPeriod(period, date);
+    const previous = this.getReportPeriod(period, from.clone().subtract(1, unit));
+    const methods = config.card.enabled ? ['pix', 'card'] : ['pix'];
+    
+    const report = {
+      target: this.target.name,
+      targetLabel: this.getTargetLabel(),
+      period,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      previousFrom: previous.from.toISOString(),
+      generatedAt: new Date().toISOString(),
+      // Valores em centavos, do registro de custos
+      cost: costLedger.getPeriodTotals(from, to.clone().subtract(1, 'ms'), this.target.name),
+      previousCost: costLedger.getPeriodTotals(previous.from, previous.to.clone().subtract(1, 'ms'), this.target.name)
+    };
+    
+    for (const method of methods) {
+      const current = await this.buildMethodSla(method, from, to, { incidentList: true });
+      const before = await this.buildMethodSla(method, previous.from, previous.to);
+      
+      report[method] = {
+        ...current,
+        previous: {
+          uptime: before.uptime,
+          checks: before.checks,
+          latency: before.latency,
+          incidents: before.incidents.count,
+          downtimeMs: before.incidents.downtimeMs
+        }
+      };
+    }
+    
+    return report;
+  }
+
+  /**
+   * Gera, salva e (opcionalmente) envia o relatório semanal ou mensal
+   * @param {Object} options
+   * @param {boolean} options.send - Enviar pelos canais de notificação (padrão: true)
+   */
+  async generatePeriodReport(period, date = moment(), options = {}) {
+    const { send = true } = options;
+    const report = await this.buildPeriodReport(period, date);
     
-    logger.info('📊 Relatório diário gerado', { date: report.date });
+    if (send) {
+      const charts = await this.buildCharts(moment(report.from), moment.min(moment(report.to), moment()), 'day');
+      await this.notifier.sendPeriodReport(report, charts);
+    }
+    
+    const reportFile = path.join(
+      config.paths.data,
+      `report${this.target.fileSuffix}-${period}-${moment(report.from).format('YYYY-MM-DD')}.json`
+    );
+    await stateStore.writeJson(reportFile, report);
+    
+    logger.info('📊 Relatório de SLA gerado', {
+      target: this.target.name,
+      period,
+      from: moment(report.from).format('DD/MM/YYYY'),
+      file: reportFile
+    });
     
     return report;
   }
@@ -283,37 +1404,97 @@ class PixMonitor {
    * Obtém status atual do monitor
    */
   async getStatus() {
-    const checksToday = this.stats.errors.filter(error => {
-      return moment(error.time, 'HH:mm:ss').isSame(moment(), 'day');
-    }).length;
+    const pixToday = await this.history.getStats(moment().startOf('day'), moment(), 'pix');
+    // Uptime e tempo médio de resposta das últimas 24 horas
+    const pix = await this.history.getStats(moment().subtract(24, 'hours'), moment(), 'pix');
+    const card = config.card.enabled
+      ? await this.history.getStats(moment().subtract(24, 'hours'), moment(), 'card')
+      : null;
+    const cost = costLedger.getSummary(this.target.name);
     
     return {
+      target: this.target.name,
+      targetLabel: this.getTargetLabel(),
       isHealthy: this.stats.isHealthy,
+      degraded: this.stats.degraded.level ? {
+        level: this.stats.degraded.level,
+        since: moment(this.stats.degraded.since).format('DD/MM/YYYY HH:mm')
+      } : null,
       isRunning: this.isRunning,
       isPaused: this.isPaused,
+      pausedUntil: this.pausedUntil ? moment(this.pausedUntil).format('DD/MM/YYYY HH:mm') : null,
+      pauseReason: this.pauseReason,
       lastCheck: this.stats.lastCheck ? moment(this.stats.lastCheck).format('DD/MM/YYYY HH:mm:ss') : 'Nunca',
-      checksToday: checksToday,
-      costToday: checksToday * (config.testTransaction.amount / 100),
-      uptime: this.calculateUptime(),
-      avgResponseTime: this.calculateAverageResponseTime(),
-      lastError: this.stats.lastError
+      checksToday: pixToday.total,
+      costToday: cost.today.total / 100,
+      costMonth: cost.month.total / 100,
+      costForecast: cost.forecast / 100,
+      budget: costLedger.getBudgetStatus(),
+      intervalMinutes: this.getIntervalMinutes(),
+      scheduleProfile: this.getScheduleProfile().name,
+      incident: this.stats.incident.active ? {
+        since: moment(this.stats.incident.startedAt).format('DD/MM/YYYY HH:mm'),
+        extraSpend: this.stats.incident.extraSpend / 100,
+        capped: this.stats.incident.capped,
+        consecutiveSuccesses: this.stats.incident.consecutiveSuccesses
+      } : null,
+      calendar: this.getCalendarStatus(),
+      slos: await this.sloTracker.evaluateAll(),
+      openIncidents: this.incidentLog.getOpenIncidents().map(incident => ({
+        id: incident.id,
+        method: incident.method,
+        startedAt: moment(incident.startedAt).format('DD/MM/YYYY HH:mm'),
+        acknowledgedBy: incident.acknowledgedBy,
+        escalationLevel: incident.escalationLevel
+      })),
+      uptime: pix.uptime,
+      avgResponseTime: pix.avgResponseTime,
+      lastError: this.stats.lastError,
+      postbacks: postbackService.getSummary(this.target.name),
+      card: config.card.enabled ? {
+        isHealthy: this.stats.card.isHealthy,
+        lastCheck: this.stats.card.lastCheck ? moment(this.stats.card.lastCheck).format('DD/MM/YYYY HH:mm:ss') : 'Nunca',
+        uptime: card.uptime,
+        avgResponseTime: card.avgResponseTime,
+        lastError: this.stats.card.lastError
+      } : null
     };
   }
 
   /**
-   * Pausa o monitor
+   * Nome do alvo exibido nas mensagens (apenas com vários alvos configurados)
    */
-  pause() {
+  getTargetLabel() {
+    return this.target.isDefault ? null : this.target.label;
+  }
+
+  /**
+   * Pausa o monitor (opcionalmente por um período e com motivo)
+   */
+  pause(options = {}) {
+    const { durationMs = null, reason = null, by = null } = options;
+    
     this.isPaused = true;
-    logger.info('⏸️ Monitor pausado');
+    this.pausedUntil = durationMs ? Date.now() + durationMs : null;
+    this.pauseReason = reason;
+    
+    logger.info('⏸️ Monitor pausado', {
+      target: this.target.name,
+      until: this.pausedUntil ? moment(this.pausedUntil).format('DD/MM/YYYY HH:mm:ss') : null,
+      reason,
+      by
+    });
   }
 
   /**
    * Retoma o monitor
    */
-  resume() {
+  resume(options = {}) {
     this.isPaused = false;
-    logger.info('▶️ Monitor retomado');
+    this.pausedUntil = null;
+    this.pauseReason = null;
+    
+    logger.info('▶️ Monitor retomado', { target: this.target.name, by: options.by || null });
   }
 
   /**
@@ -323,15 +1504,17 @@ class PixMonitor {
     this.isRunning = false;
     await this.saveStats();
     
-    await telegramService.sendMessage(
+    const today = await this.history.getStats(moment().startOf('day'), moment(), 'pix');
+    
+    await this.notifier.sendMessage(
       '🛑 **Monitor PIX For4 Parado**\n\n' +
-      `📊 Total de verificações: ${this.stats.totalChecks}\n` +
-      `✅ Sucesso: ${this.stats.successfulChecks}\n` +
-      `❌ Falhas: ${this.stats.failedChecks}\n` +
-      `📈 Uptime: ${this.calculateUptime()}%`
+      `📊 Verificações hoje: ${today.total}\n` +
+      `✅ Sucesso: ${today.success}\n` +
+      `❌ Falhas: ${today.failed}\n` +
+      `📈 Uptime: ${today.uptime}%`
     );
     
-    logger.info('🛑 Monitor parado');
+    logger.info('🛑 Monitor parado', { target: this.target.name });
   }
 
   /**
@@ -339,8 +1522,8 @@ class PixMonitor {
    */
   async runOnce() {
     logger.info('🧪 Executando verificação única');
-    await this.runHealthCheck();
+    await this.runChecks();
   }
 }
 
-module.exports = new PixMonitor();
\ No newline at end of file
+module.exports = PixMonitor;
\ No newline at end of file
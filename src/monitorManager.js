@@ -0,0 +1,242 @@
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const config = require('./config/config');
+const path = require('path');
+const logger = require('./utils/logger');
+const stateStore = require('./utils/stateStore');
+const notificationService = require('./services/notificationService');
+const PixMonitor = require('./monitor');
+
+/**
+ * Mantém um PixMonitor por alvo (conta/ambiente For4) e agenda as
+ * verificações de todos em um único processo
+ */
+class MonitorManager {
+  constructor() {
+    this.monitors = config.targets.map(target => new PixMonitor(target));
+    this.task = null;
+    this.isChecking = false;
+    // Alvos cuja verificação venceu enquanto outra ainda estava em andamento
+    this.queue = new Set();
+    // Perfil de intervalo em vigor de cada monitor (para registrar as trocas)
+    this.profiles = new Map();
+  }
+
+  /**
+   * Busca o monitor de um alvo pelo nome
+   */
+  get(name) {
+    return this.monitors.find(monitor => monitor.target.name === name) || null;
+  }
+
+  /**
+   * Indica se há mais de um alvo configurado
+   */
+  isMultiTarget() {
+    return this.monitors.length > 1;
+  }
+
+  /**
+   * Monitores cujos alertas vão para o chat informado
+   */
+  forChat(chatId) {
+    return this.monitors.filter(monitor => String(monitor.target.telegramChatId) === String(chatId));
+  }
+
+  /**
+   * Inicializa todos os monitores
+   */
+  async initialize() {
+    stateStore.onRecovery(event => this.notifyStateRecovery(event));
+
+    for (const monitor of this.monitors) {
+      await monitor.initialize();
+    }
+  }
+
+  /**
+   * Avisa que um arquivo de estado estava corrompido
+   */
+  async notifyStateRecovery({ file, error, restored, backupFile }) {
+    await notificationService.sendMessage(
+      '⚠️ **Arquivo de estado corrompido**\n\n' +
+      `📄 Arquivo: ${path.basename(file)}\n` +
+      `❌ Erro: ${error}\n` +
+      (restored ? '♻️ Restaurado a partir da última versão válida\n' : '🆕 Sem versão válida: estado reiniciado\n') +
+      `💾 Cópia do arquivo corrompido: ${path.basename(backupFile)}`
+    );
+  }
+
+  /**
+   * Executa as verificações forçadas (início do processo, bot ou API) dos
+   * alvos informados, em sequência. Usa a mesma trava do agendamento, então
+   * nunca há duas verificações (e duas transações cobradas) ao mesmo tempo
+   * @param {PixMonitor[]} monitors - Alvos a verificar (padrão: todos)
+   * @returns {boolean} false se outra verificação já estava em andamento
+   */
+  async runChecks(monitors = this.monitors) {
+    if (this.isChecking) return false;
+
+    this.isChecking = true;
+    try {
+      for (const monitor of monitors) {
+        await monitor.runChecks();
+      }
+    } finally {
+      this.isChecking = false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Agenda as verificações: a cada minuto, executa os alvos cujo intervalo venceu
+   */
+  schedule() {
+    this.monitors.forEach(monitor => {
+      logger.info(`⏰ Agendando verificações: ${monitor.formatProfiles()}`, {
+        target: monitor.target.name
+      });
+      this.profiles.set(monitor, monitor.getScheduleProfile().name);
+    });
+
+    this.task = cron.schedule('* * * * *', () => this.tick());
+  }
+
+  /**
+   * Aplica a configuração recarregada aos monitores (o estado em memória é
+   * mantido) e refaz o agendamento com os novos intervalos e perfis.
+   * Alvos adicionados ou removidos só valem após reiniciar o processo
+   */
+  applyConfig() {
+    this.monitors.forEach(monitor => {
+      const target = config.targets.find(({ name }) => name === monitor.target.name);
+
+      if (target) {
+        monitor.applyConfig(target);
+      } else {
+        logger.warn('⚠️ Alvo removido da configuração: continua monitorado até reiniciar', {
+          target: monitor.target.name
+        });
+      }
+    });
+
+    if (this.task) {
+      this.task.stop();
+      this.profiles.clear();
+      this.schedule();
+    }
+  }
+
+  /**
+   * Escala incidentes pendentes e verifica quais alvos devem rodar neste minuto
+   */
+  async tick() {
+    // Escalonamento de incidentes não reconhecidos, mesmo com verificações em andamento
+    for (const monitor of this.monitors) {
+      try {
+        await monitor.checkEscalations();
+      } catch (error) {
+        logger.error('Erro ao verificar escalonamentos', { target: monitor.target.name, error: error.message });
+      }
+    }
+
+    const now = moment();
+
+    this.monitors.forEach(monitor => {
+      // Troca automática de perfil de intervalo (SCHEDULE_PROFILES)
+      const profile = monitor.getScheduleProfile();
+      if (this.profiles.get(monitor) !== profile.name) {
+        logger.info(`🔀 Perfil de agenda: ${profile.name} (a cada ${profile.intervalMinutes} minutos)`, {
+          target: monitor.target.name
+        });
+        this.profiles.set(monitor, profile.name);
+      }
+
+      if (monitor.isDue(now)) {
+        this.queue.add(monitor);
+      }
+    });
+
+    // As transações são criadas uma de cada vez
+    if (this.isChecking) return;
+
+    this.isChecking = true;
+    try {
+      for (const monitor of this.queue) {
+        this.queue.delete(monitor);
+        try {
+          await monitor.runChecks({ scheduled: true });
+        } catch (error) {
+          logger.error('Erro ao executar verificações agendadas', { target: monitor.target.name, error: error.message });
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Gera o relatório diário de cada alvo
+   */
+  async generateDailyReports() {
+    for (const monitor of this.monitors) {
+      await monitor.generateDailyReport();
+    }
+  }
+
+  /**
+   * Gera o relatório semanal ou mensal de SLA de cada alvo
+   */
+  async generatePeriodReports(period, date = moment(), options = {}) {
+    const reports = [];
+    for (const monitor of this.monitors) {
+      reports.push(await monitor.generatePeriodReport(period, date, options));
+    }
+
+    return reports;
+  }
+
+  /**
+   * Envia o status resumido de cada alvo ao seu chat
+   */
+  async sendStatusSummaries() {
+    for (const monitor of this.monitors) {
+      const status = await monitor.getStatus();
+      await monitor.notifier.sendStatusSummary(status);
+    }
+  }
+
+  /**
+   * Status de todos os alvos
+   */
+  async getStatus() {
+    const targets = [];
+    for (const monitor of this.monitors) {
+      targets.push(await monitor.getStatus());
+    }
+
+    return {
+      isHealthy: targets.every(status => status.isHealthy),
+      targets
+    };
+  }
+
+  /**
+   * Para o agendamento e todos os monitores
+   */
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+
+    for (const monitor of this.monitors) {
+      await monitor.stop();
+    }
+
+    await stateStore.flush();
+  }
+}
+
+module.exports = new MonitorManager();
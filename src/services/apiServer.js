@@ -0,0 +1,451 @@
+const http = require('http');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const monitorManager = require('../monitorManager');
+const postbackService = require('./postbackService');
+const costLedger = require('./costLedger');
+const { parseDuration } = require('../utils/dataGenerator');
+
+// Tamanho máximo do corpo das requisições (bytes)
+const MAX_BODY_SIZE = 64 * 1024;
+
+class ApiServer {
+  constructor() {
+    this.server = null;
+    this.routes = {};
+
+    // Com API_ENABLED=false o servidor existe apenas para o receptor de
+    // postbacks (acessível pela For4): nenhuma rota de consulta ou ação é exposta
+    if (config.api.enabled) {
+      // Rotas de leitura
+      this.addRoute('GET', '/health', () => this.getHealth());
+      this.addRoute('GET', '/status', (req) => this.getStatus(req));
+      this.addRoute('GET', '/performance', (req) => this.getPerformance(req));
+      this.addRoute('GET', '/errors', (req) => this.getErrors(req));
+      this.addRoute('GET', '/checks', (req) => this.getChecks(req));
+      this.addRoute('GET', '/history', (req) => this.getHistory(req));
+      this.addRoute('GET', '/cost', (req) => this.getCost(req));
+      this.addRoute('GET', '/incidents', (req) => this.getIncidents(req));
+      this.addRoute('GET', '/metrics', (req, res) => this.getMetrics(res), { raw: true });
+
+      // Rotas de ação (protegidas por token)
+      this.addRoute('POST', '/check', (req) => this.postCheck(req), { auth: true });
+      this.addRoute('POST', '/pause', (req) => this.postPause(req), { auth: true });
+      this.addRoute('POST', '/resume', (req) => this.postResume(req), { auth: true });
+      this.addRoute('POST', '/ack', (req) => this.postAck(req), { auth: true });
+    }
+
+    // Receptor de postbacks da For4 (validado por POSTBACK_SECRET, se definido)
+    if (config.postback.enabled) {
+      this.addRoute('POST', config.postback.path, (req) => postbackService.handlePostback(req));
+    }
+  }
+
+  /**
+   * Registra uma rota
+   */
+  addRoute(method, path, handler, options = {}) {
+    this.routes[`${method} ${path}`] = {
+      handler,
+      auth: !!options.auth,
+      raw: !!options.raw
+    };
+  }
+
+  /**
+   * Inicia o servidor HTTP
+   */
+  start() {
+    // O receptor de postbacks depende do servidor HTTP
+    if (!config.api.enabled && !config.postback.enabled) {
+      logger.info('🌐 API HTTP desabilitada');
+      return Promise.resolve();
+    }
+
+    if (this.server) return Promise.resolve();
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(config.api.port, config.api.host, () => {
+        this.server.off('error', reject);
+        logger.info(config.api.enabled
+          ? `🌐 API HTTP ouvindo em http://${config.api.host}:${config.api.port}`
+          : `🌐 Receptor de postbacks ouvindo em http://${config.api.host}:${config.api.port}${config.postback.path}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Para o servidor HTTP
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Roteia uma requisição
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = this.routes[`${req.method} ${url.pathname}`];
+
+    req.query = url.searchParams;
+
+    if (!route) {
+      const pathExists = Object.keys(this.routes).some(key => key.endsWith(` ${url.pathname}`));
+      return this.sendJson(res, pathExists ? 405 : 404, {
+        error: pathExists ? 'Método não permitido' : 'Rota não encontrada'
+      });
+    }
+
+    if (route.auth && !this.isAuthorized(req)) {
+      logger.warn('⛔ Requisição à API recusada', {
+        method: req.method,
+        path: url.pathname,
+        remoteAddress: req.socket.remoteAddress
+      });
+      return this.sendJson(res, config.api.token ? 401 : 403, {
+        error: config.api.token ? 'Token inválido' : 'Ações desabilitadas (API_TOKEN não configurado)'
+      });
+    }
+
+    try {
+      req.body = req.method === 'POST' ? await this.readBody(req) : null;
+
+      const result = await route.handler(req, res);
+
+      // Rotas "raw" escrevem a resposta por conta própria
+      if (route.raw) return;
+
+      if (result && result.statusCode) {
+        return this.sendJson(res, result.statusCode, result.body);
+      }
+
+      return this.sendJson(res, 200, result);
+
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      const level = statusCode >= 500 ? 'error' : 'warn';
+
+      logger[level]('Erro na API HTTP', {
+        method: req.method,
+        path: url.pathname,
+        error: error.message
+      });
+
+      return this.sendJson(res, statusCode, { error: error.message });
+    }
+  }
+
+  /**
+   * Verifica o token Bearer das rotas protegidas
+   */
+  isAuthorized(req) {
+    if (!config.api.token) return false;
+
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    const expected = Buffer.from(config.api.token);
+    const received = Buffer.from(token);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Lê o corpo da requisição
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          const error = new Error('Corpo da requisição muito grande');
+          error.statusCode = 413;
+          req.destroy();
+          reject(error);
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        req.rawBody = raw;
+
+        if (!raw) return resolve({});
+
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          const parseError = new Error('JSON inválido');
+          parseError.statusCode = 400;
+          reject(parseError);
+        }
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Envia resposta JSON
+   */
+  sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body ?? null));
+  }
+
+  /**
+   * Lê um parâmetro inteiro da query string com limites
+   */
+  getIntParam(req, name, defaultValue, max) {
+    const value = parseInt(req.query.get(name));
+    if (!value || value < 1) return defaultValue;
+    return Math.min(value, max);
+  }
+
+  /**
+   * Monitores selecionados pelo parâmetro "target" (query ou corpo); sem ele, todos
+   */
+  getMonitors(req) {
+    const name = req.query.get('target') || req.body?.target;
+
+    if (!name) return monitorManager.monitors;
+
+    const monitor = monitorManager.get(name);
+    if (!monitor) {
+      const error = new Error(`Alvo não encontrado: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return [monitor];
+  }
+
+  /**
+   * Executa fn para cada monitor selecionado. Com um único monitor retorna
+   * o resultado direto; com vários, um objeto indexado pelo nome do alvo
+   */
+  async forEachMonitor(req, fn) {
+    const monitors = this.getMonitors(req);
+
+    if (monitors.length === 1) {
+      return await fn(monitors[0]);
+    }
+
+    const results = {};
+    for (const monitor of monitors) {
+      results[monitor.target.name] = await fn(monitor);
+    }
+
+    return { targets: results };
+  }
+
+  /**
+   * Status dos monitores selecionados (usado pelas rotas de ação)
+   */
+  async getSelectedStatus(monitors) {
+    if (monitors.length === 1) {
+      return await monitors[0].getStatus();
+    }
+
+    return await monitorManager.getStatus();
+  }
+
+  /**
+   * GET /health - liveness do processo
+   */
+  getHealth() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * GET /status
+   */
+  async getStatus(req) {
+    return await this.getSelectedStatus(this.getMonitors(req));
+  }
+
+  /**
+   * GET /performance
+   */
+  getPerformance(req) {
+    const hours = this.getIntParam(req, 'hours', 24, 168);
+
+    return this.forEachMonitor(req, monitor => ({
+      analysis: monitor.performanceTracker.getPerformanceAnalysis(),
+      hourly: monitor.performanceTracker.getHourlyStats(hours)
+    }));
+  }
+
+  /**
+   * GET /errors
+   */
+  getErrors(req) {
+    const limit = this.getIntParam(req, 'limit', 20, 100);
+
+    return this.forEachMonitor(req, async monitor => ({
+      recent: await monitor.history.getRecent({ result: 'failure', limit }),
+      lastError: monitor.stats.lastError,
+      errorState: monitor.errorHandler.errorState
+    }));
+  }
+
+  /**
+   * GET /checks - amostras recentes
+   */
+  getChecks(req) {
+    const limit = this.getIntParam(req, 'limit', 50, 1000);
+
+    return this.forEachMonitor(req, monitor => ({
+      samples: monitor.performanceTracker.metrics.current.samples.slice(-limit)
+    }));
+  }
+
+  /**
+   * GET /history - verificações do período (from/to em ISO 8601; padrão: últimas 24 horas)
+   */
+  async getHistory(req) {
+    const from = req.query.get('from') ? moment(req.query.get('from'), moment.ISO_8601, true) : moment().subtract(24, 'hours');
+    const to = req.query.get('to') ? moment(req.query.get('to'), moment.ISO_8601, true) : moment();
+
+    if (!from.isValid() || !to.isValid() || !to.isAfter(from)) {
+      return { statusCode: 400, body: { error: 'Período inválido (use from/to em ISO 8601, ex: 2024-03-10T08:00)' } };
+    }
+
+    if (to.diff(from, 'days') > 31) {
+      return { statusCode: 400, body: { error: 'Período máximo de 31 dias' } };
+    }
+
+    const method = req.query.get('method');
+    const result = req.query.get('result');
+    const limit = this.getIntParam(req, 'limit', 1000, 10000);
+
+    return this.forEachMonitor(req, async monitor => {
+      const checks = await monitor.history.query({ from, to, method, result });
+
+      return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        stats: await monitor.history.getStats(from, to, method || 'pix'),
+        total: checks.length,
+        checks: checks.slice(-limit)
+      };
+    });
+  }
+
+  /**
+   * GET /cost - gasto, previsão e orçamentos (valores em centavos)
+   */
+  async getCost(req) {
+    const summary = await this.forEachMonitor(req, monitor => costLedger.getSummary(monitor.target.name));
+
+    return {
+      ...summary,
+      budget: costLedger.getBudgetStatus()
+    };
+  }
+
+  /**
+   * GET /incidents - incidentes e indicadores (MTTR/MTBF) dos últimos N dias
+   */
+  getIncidents(req) {
+    const days = this.getIntParam(req, 'days', 30, 400);
+    const method = req.query.get('method');
+    const from = moment().subtract(days, 'days');
+
+    return this.forEachMonitor(req, monitor => ({
+      days,
+      stats: monitor.incidentLog.getPeriodStats(from, moment(), method),
+      incidents: monitor.incidentLog.getIncidents(from, moment(), method)
+    }));
+  }
+
+  /**
+   * GET /metrics - exposição no formato texto do Prometheus
+   */
+  async getMetrics(res) {
+    const body = await metrics.register.metrics();
+
+    res.writeHead(200, { 'Content-Type': metrics.register.contentType });
+    res.end(body);
+  }
+
+  /**
+   * POST /check
+   */
+  async postCheck(req) {
+    const monitors = this.getMonitors(req);
+
+    logger.info('🌐 Verificação solicitada via API', {
+      targets: monitors.map(monitor => monitor.target.name)
+    });
+
+    if (!await monitorManager.runChecks(monitors)) {
+      return { statusCode: 409, body: { error: 'Verificação já em andamento, tente novamente em instantes' } };
+    }
+
+    return await this.getSelectedStatus(monitors);
+  }
+
+  /**
+   * POST /pause - corpo: { "duration": "2h", "reason": "...", "target": "..." }
+   */
+  async postPause(req) {
+    const { duration, reason } = req.body || {};
+    const durationMs = duration ? parseDuration(duration) : null;
+
+    if (duration && !durationMs) {
+      return { statusCode: 400, body: { error: 'Duração inválida (use ex: 30m, 2h, 1d)' } };
+    }
+
+    const monitors = this.getMonitors(req);
+    monitors.forEach(monitor => monitor.pause({ durationMs, reason: reason || null, by: 'api' }));
+
+    return await this.getSelectedStatus(monitors);
+  }
+
+  /**
+   * POST /resume
+   */
+  async postResume(req) {
+    const monitors = this.getMonitors(req);
+    monitors.forEach(monitor => monitor.resume({ by: 'api' }));
+
+    return await this.getSelectedStatus(monitors);
+  }
+
+  /**
+   * POST /ack - corpo: { "by": "nome", "target": "..." }
+   */
+  async postAck(req) {
+    const { by: name } = req.body || {};
+    const by = name ? `${name} (api)` : 'api';
+
+    return await this.forEachMonitor(req, async monitor => {
+      const { incidents, postbacks } = await monitor.acknowledge(by);
+      return { acknowledged: incidents.map(incident => incident.id), postbacks };
+    });
+  }
+}
+
+module.exports = new ApiServer();
@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Histórico de todas as verificações de um alvo. Cada dia é uma partição
+ * JSONL (data/history/<alvo>/YYYY-MM-DD.jsonl) só com acréscimos; as consultas
+ * por período leem apenas os dias envolvidos e, dentro de cada dia, localizam
+ * o intervalo por busca binária (os registros estão em ordem de horário).
+ */
+class CheckHistory {
+  constructor(options = {}) {
+    this.target = options.target || 'default';
+    this.dir = path.join(config.paths.data, 'history', this.target);
+    // Partições lidas ou em leitura: { 'YYYY-MM-DD': Promise<registros> }
+    this.partitions = new Map();
+    this.maxCachedPartitions = 40;
+    this.lastPruneDay = null;
+  }
+
+  /**
+   * Arquivo da partição de um dia
+   */
+  getPartitionFile(day) {
+    return path.join(this.dir, `${day}.jsonl`);
+  }
+
+  /**
+   * Acrescenta uma verificação ao histórico
+   * @param {Object} entry - { trackingId, method, result, errorType, httpStatus, responseTime, ... }
+   * @returns {Object} Registro salvo
+   */
+  async record(entry) {
+    const now = moment();
+    const day = now.format('YYYY-MM-DD');
+    const record = {
+      time: now.toISOString(),
+      target: this.target,
+      ...entry
+    };
+
+    // Uma leitura em andamento não veria o registro: acrescentar só depois dela
+    const cached = this.partitions.get(day);
+    if (cached) await cached;
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.appendFile(this.getPartitionFile(day), JSON.stringify(record) + '\n');
+    } catch (error) {
+      logger.error('Erro ao salvar histórico de verificações', { target: this.target, error: error.message });
+    }
+
+    const current = this.partitions.get(day);
+    if (current && current === cached) {
+      (await current).push(record);
+    } else if (current) {
+      // Leitura iniciada durante a gravação: pode ou não conter o registro
+      this.partitions.delete(day);
+    }
+
+    if (this.lastPruneDay !== day) {
+      this.lastPruneDay = day;
+      await this.prune();
+    }
+
+    return record;
+  }
+
+  /**
+   * Partição de um dia (vazia se não existir), lida uma única vez
+   */
+  loadPartition(day) {
+    if (this.partitions.has(day)) {
+      return this.partitions.get(day);
+    }
+
+    const loading = this.readPartition(day);
+    this.partitions.set(day, loading);
+
+    if (this.partitions.size > this.maxCachedPartitions) {
+      const oldest = [...this.partitions.keys()].sort()[0];
+      this.partitions.delete(oldest);
+    }
+
+    return loading;
+  }
+
+  /**
+   * Lê o arquivo da partição de um dia
+   */
+  async readPartition(day) {
+    let entries = [];
+    try {
+      const data = await fs.readFile(this.getPartitionFile(day), 'utf8');
+      entries = data.split('\n').filter(Boolean).reduce((parsed, line) => {
+        try {
+          parsed.push(JSON.parse(line));
+        } catch (error) {
+          // Linha incompleta (ex: processo encerrado durante a gravação)
+        }
+        return parsed;
+      }, []);
+    } catch (error) {
+      // Dia sem verificações
+    }
+
+    return entries;
+  }
+
+  /**
+   * Verificações do período, em ordem de horário
+   * @param {Object} options
+   * @param {*} options.from - Início (inclusivo)
+   * @param {*} options.to - Fim (exclusivo; padrão: agora)
+   * @param {string} options.method - 'pix' ou 'card'
+   * @param {string} options.result - 'success' ou 'failure'
+   */
+  async query(options = {}) {
+    const from = moment(options.from);
+    const to = options.to ? moment(options.to) : moment();
+    const start = from.valueOf();
+    const end = to.valueOf();
+    const entries = [];
+
+    for (let day = from.clone().startOf('day'); day.isBefore(to); day.add(1, 'day')) {
+      const partition = await this.loadPartition(day.format('YYYY-MM-DD'));
+      const first = lowerBound(partition, start);
+      const last = lowerBound(partition, end);
+
+      for (let i = first; i < last; i++) {
+        const entry = partition[i];
+        if (options.method && entry.method !== options.method) continue;
+        if (options.result && entry.result !== options.result) continue;
+        entries.push(entry);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Últimas verificações (mais recentes primeiro), procurando até `days` dias para trás
+   */
+  async getRecent(options = {}) {
+    const { limit = 20, days = 7 } = options;
+    const recent = [];
+
+    for (let day = moment().startOf('day'); recent.length < limit && day.isAfter(moment().subtract(days, 'days')); day.subtract(1, 'day')) {
+      const entries = await this.query({ ...options, from: day, to: day.clone().add(1, 'day') });
+      recent.push(...entries.reverse());
+    }
+
+    return recent.slice(0, limit);
+  }
+
+  /**
+   * Indicadores do período: verificações, uptime, tempo médio e percentis
+   * de tempo de resposta (das com sucesso) e erros por tipo
+   */
+  async getStats(from, to = moment(), method = 'pix') {
+    const entries = await this.query({ from, to, method });
+    const successes = entries.filter(entry => entry.result === 'success');
+    const failures = entries.filter(entry => entry.result === 'failure');
+
+    const errorsByType = {};
+    failures.forEach(entry => {
+      errorsByType[entry.errorType] = (errorsByType[entry.errorType] || 0) + 1;
+    });
+
+    return {
+      total: entries.length,
+      success: successes.length,
+      failed: failures.length,
+      suppressed: failures.filter(entry => entry.suppressed).length,
+      uptime: entries.length > 0 ? ((successes.length / entries.length) * 100).toFixed(2) : 100,
+      avgResponseTime: successes.length > 0
+        ? Math.round(successes.reduce((total, entry) => total + (entry.responseTime || 0), 0) / successes.length)
+        : 0,
+      latency: getLatencyPercentiles(successes.map(entry => entry.responseTime || 0)),
+      errorsByType
+    };
+  }
+
+  /**
+   * Remove as partições mais antigas que a retenção (HISTORY_RETENTION_DAYS)
+   */
+  async prune() {
+    const oldest = moment().subtract(config.history.retentionDays, 'days').format('YYYY-MM-DD');
+
+    try {
+      const files = await fs.readdir(this.dir);
+      const expired = files.filter(file => file.endsWith('.jsonl') && file.slice(0, 10) < oldest);
+
+      for (const file of expired) {
+        await fs.unlink(path.join(this.dir, file));
+        this.partitions.delete(file.slice(0, 10));
+      }
+
+      if (expired.length > 0) {
+        logger.info('🧹 Histórico antigo removido', { target: this.target, partitions: expired.length });
+      }
+    } catch (error) {
+      logger.error('Erro ao limpar histórico de verificações', { target: this.target, error: error.message });
+    }
+  }
+}
+
+/**
+ * Percentis de tempo de resposta (ms), pelo método nearest-rank
+ */
+function getLatencyPercentiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = p => sorted.length > 0 ? sorted[Math.max(Math.ceil(p / 100 * sorted.length) - 1, 0)] : null;
+
+  return {
+    p50: percentile(50),
+    p90: percentile(90),
+    p95: percentile(95),
+    p99: percentile(99),
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+  };
+}
+
+/**
+ * Primeira posição da partição com horário >= timestamp
+ */
+function lowerBound(entries, timestamp) {
+  let low = 0;
+  let high = entries.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (Date.parse(entries[middle].time) < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+module.exports = CheckHistory;
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { loadConfig } = require('../config/loader');
+const { isPlainObject } = require('../config/schema');
+const logger = require('../utils/logger');
+
+// Configurações lidas apenas na inicialização: a alteração exige reiniciar o processo
+const RESTART_REQUIRED = [
+  'telegram.botToken',
+  'telegram.pollingEnabled',
+  'api.enabled',
+  'api.host',
+  'api.port',
+  'postback.enabled',
+  'postback.path',
+  'system.configFile',
+  'system.configWatch'
+];
+
+// Espera após uma alteração do arquivo (editores costumam gravar em mais de uma etapa)
+const WATCH_DEBOUNCE_MS = 500;
+
+/**
+ * Valores folha da configuração ("monitor.latency.warningMs": valor), para
+ * comparar duas versões. Listas são comparadas inteiras
+ */
+function flatten(object, prefix = '', leaves = {}) {
+  Object.entries(object).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value)) {
+      flatten(value, name, leaves);
+    } else {
+      leaves[name] = JSON.stringify(value);
+    }
+  });
+
+  return leaves;
+}
+
+/**
+ * Copia a nova configuração para o objeto atual, mantendo os objetos
+ * aninhados (quem guardou config.monitor, por exemplo, vê os novos valores)
+ */
+function assignInPlace(target, source) {
+  Object.keys(target)
+    .filter(key => !(key in source))
+    .forEach(key => delete target[key]);
+
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      assignInPlace(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+/**
+ * Recarrega a configuração (ambiente + CONFIG_FILE) com o processo em
+ * execução, por SIGHUP ou quando o arquivo é alterado. Uma configuração
+ * inválida é descartada por inteiro e a atual continua valendo.
+ */
+class ConfigReloader {
+  constructor() {
+    this.handlers = [];
+    this.watcher = null;
+    this.timer = null;
+  }
+
+  /**
+   * Registra quem aplica a nova configuração (reagendamentos, clientes, canais)
+   * @param {Function} handler - Recebe { changes, restartRequired }
+   */
+  onReload(handler) {
+    this.handlers.push(handler);
+  }
+
+  /**
+   * Lê e valida a configuração e, se estiver válida, aplica-a no objeto em uso
+   * @param {string} reason - Motivo exibido no log (ex: "SIGHUP")
+   * @returns {Object} { applied, errors, changes, restartRequired }
+   */
+  async reload(reason = 'manual') {
+    const { config: next, errors } = loadConfig();
+
+    if (errors.length > 0) {
+      logger.error('❌ Configuração inválida: recarga ignorada, a atual continua valendo', { reason, errors });
+      return { applied: false, errors, changes: [], restartRequired: [] };
+    }
+
+    const before = flatten(config);
+    const after = flatten(next);
+    const changes = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(key => before[key] !== after[key]);
+
+    if (changes.length === 0) {
+      logger.info('🔄 Configuração recarregada: nenhuma alteração', { reason });
+      return { applied: true, errors: [], changes, restartRequired: [] };
+    }
+
+    const previousTargets = config.targets.map(target => target.name).join(',');
+    const restartRequired = changes.filter(key => RESTART_REQUIRED.includes(key));
+    if (next.targets.map(target => target.name).join(',') !== previousTargets) {
+      restartRequired.push('targets');
+    }
+
+    assignInPlace(config, next);
+    logger.info('🔄 Configuração recarregada', { reason, changes });
+
+    if (restartRequired.length > 0) {
+      logger.warn('⚠️ Alterações que só valem após reiniciar o monitor', { restartRequired });
+    }
+
+    for (const handler of this.handlers) {
+      try {
+        await handler({ changes, restartRequired });
+      } catch (error) {
+        logger.error('Erro ao aplicar a configuração recarregada', { error: error.message });
+      }
+    }
+
+    return { applied: true, errors: [], changes, restartRequired };
+  }
+
+  /**
+   * Recarrega quando o arquivo de configuração é alterado (CONFIG_WATCH).
+   * Observa o diretório, pois editores costumam substituir o arquivo ao salvar
+   */
+  watch() {
+    const file = config.system.configFile;
+    if (!file || !config.system.configWatch || this.watcher) return;
+
+    try {
+      this.watcher = fs.watch(path.dirname(file), (event, name) => {
+        if (name !== path.basename(file)) return;
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.reload('arquivo alterado'), WATCH_DEBOUNCE_MS);
+      });
+      logger.info('👀 Observando alterações do arquivo de configuração', { file });
+    } catch (error) {
+      logger.error('Erro ao observar o arquivo de configuração', { file, error: error.message });
+    }
+  }
+
+  /**
+   * Para de observar o arquivo
+   */
+  stop() {
+    clearTimeout(this.timer);
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = new ConfigReloader();
+module.exports.ConfigReloader = ConfigReloader;
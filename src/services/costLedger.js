@@ -0,0 +1,262 @@
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const metrics = require('../utils/metrics');
+const notificationService = require('./notificationService');
+const { formatCurrency } = require('../utils/dataGenerator');
+
+/**
+ * Registro do gasto com transações de teste. Apenas transações que a For4
+ * efetivamente criou entram no registro (valores em centavos).
+ */
+class CostLedger {
+  constructor() {
+    this.state = {
+      // Totais por dia: { 'YYYY-MM-DD': { total, count, targets: { nome: { total, count } } } }
+      days: {},
+      // Últimas transações registradas
+      entries: [],
+      // Alertas de orçamento já enviados (ex: 'daily:2024-01-15:warn')
+      alerts: {}
+    };
+
+    this.stateFile = path.join(config.paths.data, 'cost-ledger.json');
+    this.maxEntries = 1000;
+    this.retentionDays = 400;
+    // Concluída quando o registro salvo termina de carregar
+    this.ready = this.loadState();
+  }
+
+  /**
+   * Carrega o registro salvo
+   */
+  async loadState() {
+    const saved = await stateStore.read(this.stateFile);
+
+    // Sem arquivo, usar registro vazio
+    if (saved) {
+      Object.assign(this.state, saved);
+    }
+  }
+
+  /**
+   * Salva o registro
+   */
+  async saveState() {
+    try {
+      await stateStore.write(this.stateFile, this.state);
+    } catch (error) {
+      logger.error('Erro ao salvar registro de custos', { error: error.message });
+    }
+  }
+
+  /**
+   * Registra uma transação criada
+   */
+  async record({ target, method, amount, transactionId, trackingId }) {
+    const now = moment();
+    const date = now.format('YYYY-MM-DD');
+
+    const day = this.state.days[date] || (this.state.days[date] = { total: 0, count: 0, targets: {} });
+    const targetDay = day.targets[target] || (day.targets[target] = { total: 0, count: 0 });
+
+    day.total += amount;
+    day.count++;
+    targetDay.total += amount;
+    targetDay.count++;
+
+    this.state.entries.push({
+      time: now.toISOString(),
+      target,
+      method,
+      amount,
+      transactionId,
+      trackingId
+    });
+
+    if (this.state.entries.length > this.maxEntries) {
+      this.state.entries = this.state.entries.slice(-this.maxEntries);
+    }
+
+    metrics.costTotal.inc({ target, method }, amount / 100);
+
+    this.pruneOldDays();
+    await this.checkBudgets();
+    await this.saveState();
+  }
+
+  /**
+   * Remove dias e alertas antigos
+   */
+  pruneOldDays() {
+    const cutoff = moment().subtract(this.retentionDays, 'days').format('YYYY-MM-DD');
+
+    Object.keys(this.state.days)
+      .filter(date => date < cutoff)
+      .forEach(date => delete this.state.days[date]);
+
+    const currentMonth = moment().format('YYYY-MM');
+    Object.keys(this.state.alerts)
+      .filter(key => !key.split(':')[1].startsWith(currentMonth))
+      .forEach(key => delete this.state.alerts[key]);
+  }
+
+  /**
+   * Totais (centavos e quantidade) de um dia, opcionalmente de um alvo
+   */
+  getDayTotals(date = moment(), target = null) {
+    const day = this.state.days[moment(date).format('YYYY-MM-DD')];
+    const totals = target ? day?.targets[target] : day;
+
+    return {
+      total: totals?.total || 0,
+      count: totals?.count || 0
+    };
+  }
+
+  /**
+   * Totais do mês, opcionalmente de um alvo
+   */
+  getMonthTotals(date = moment(), target = null) {
+    const month = moment(date).format('YYYY-MM');
+
+    return Object.keys(this.state.days)
+      .filter(day => day.startsWith(month))
+      .reduce((totals, day) => {
+        const dayTotals = this.getDayTotals(day, target);
+        return {
+          total: totals.total + dayTotals.total,
+          count: totals.count + dayTotals.count
+        };
+      }, { total: 0, count: 0 });
+  }
+
+  /**
+   * Totais de um período (dias de from até to, inclusive), opcionalmente de um alvo
+   */
+  getPeriodTotals(from, to = moment(), target = null) {
+    const first = moment(from).format('YYYY-MM-DD');
+    const last = moment(to).format('YYYY-MM-DD');
+
+    return Object.keys(this.state.days)
+      .filter(day => day >= first && day <= last)
+      .reduce((totals, day) => {
+        const dayTotals = this.getDayTotals(day, target);
+        return {
+          total: totals.total + dayTotals.total,
+          count: totals.count + dayTotals.count
+        };
+      }, { total: 0, count: 0 });
+  }
+
+  /**
+   * Previsão do gasto no fim do mês (centavos), projetando o ritmo atual
+   */
+  getMonthForecast(target = null) {
+    const now = moment();
+    const spent = this.getMonthTotals(now, target).total;
+    const elapsedDays = now.diff(now.clone().startOf('month'), 'days', true);
+
+    // No começo do mês ainda não há ritmo confiável para projetar
+    if (elapsedDays < 1) return spent;
+
+    return Math.round(spent / elapsedDays * now.daysInMonth());
+  }
+
+  /**
+   * Situação dos orçamentos diário e mensal
+   */
+  getBudgetStatus() {
+    const periods = {
+      daily: { limit: config.budget.daily, spent: this.getDayTotals().total },
+      monthly: { limit: config.budget.monthly, spent: this.getMonthTotals().total }
+    };
+
+    Object.values(periods).forEach(period => {
+      period.limit = period.limit ? Math.round(period.limit * 100) : null;
+      period.percent = period.limit ? Math.round(period.spent / period.limit * 100) : null;
+      period.exceeded = period.limit !== null && period.spent >= period.limit;
+    });
+
+    return {
+      ...periods,
+      forecast: this.getMonthForecast(),
+      exceeded: periods.daily.exceeded || periods.monthly.exceeded,
+      action: config.budget.action
+    };
+  }
+
+  /**
+   * Indica se algum orçamento foi estourado
+   */
+  isOverBudget() {
+    return this.getBudgetStatus().exceeded;
+  }
+
+  /**
+   * Alerta ao se aproximar ou estourar um orçamento (uma vez por período)
+   */
+  async checkBudgets() {
+    const status = this.getBudgetStatus();
+    const keys = {
+      daily: moment().format('YYYY-MM-DD'),
+      monthly: moment().format('YYYY-MM')
+    };
+
+    for (const period of ['daily', 'monthly']) {
+      const { limit, percent, exceeded } = status[period];
+      if (!limit) continue;
+
+      const level = exceeded ? 'exceeded' : percent >= config.budget.warnPercent ? 'warn' : null;
+      const alertKey = `${period}:${keys[period]}:${level}`;
+
+      if (!level || this.state.alerts[alertKey]) continue;
+
+      this.state.alerts[alertKey] = true;
+
+      logger.warn('💸 Orçamento do monitoramento', { period, level, percent });
+      await notificationService.sendMessage(this.formatBudgetAlert(period, level, status), 'budget');
+    }
+  }
+
+  /**
+   * Formata alerta de orçamento
+   */
+  formatBudgetAlert(period, level, status) {
+    const { limit, spent, percent } = status[period];
+    const periodName = period === 'daily' ? 'diário' : 'mensal';
+
+    let message = level === 'exceeded'
+      ? `💸 **ORÇAMENTO ${periodName.toUpperCase()} ESTOURADO**\n\n`
+      : `⚠️ **ORÇAMENTO ${periodName.toUpperCase()} PRÓXIMO DO LIMITE**\n\n`;
+
+    message += `💰 **Gasto:** ${formatCurrency(spent)} de ${formatCurrency(limit)} (${percent}%)\n`;
+    message += `📈 **Previsão para o mês:** ${formatCurrency(status.forecast)}\n`;
+
+    if (level === 'exceeded') {
+      message += config.budget.action === 'stretch'
+        ? `\n🐢 O intervalo das verificações foi multiplicado por ${config.budget.intervalMultiplier} até o fim do período.`
+        : `\n🪶 As verificações passam a usar sondas sem custo até o fim do período.`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Resumo de custos de um alvo (ou de todos) para status, API e relatórios
+   */
+  getSummary(target = null) {
+    const today = this.getDayTotals(moment(), target);
+    const month = this.getMonthTotals(moment(), target);
+
+    return {
+      today: { total: today.total, count: today.count },
+      month: { total: month.total, count: month.count },
+      forecast: this.getMonthForecast(target)
+    };
+  }
+}
+
+module.exports = new CostLedger();
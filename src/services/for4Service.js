@@ -1,17 +1,28 @@
 const axios = require('axios');
+const moment = require('moment-timezone');
 const config = require('../config/config');
 const logger = require('../utils/logger');
-const performanceTracker = require('../utils/performanceTracker');
 const { generateTestData, formatCurrency } = require('../utils/dataGenerator');
+const { validateBrCode, decodeQrImage, parseBase64Image } = require('../utils/pixBrCode');
+const { createTimingTransport, getTimings } = require('../utils/requestTiming');
 
 class For4Service {
-  constructor() {
+  /**
+   * @param {Object} target - Alvo monitorado (ver config.targets)
+   * @param {PerformanceTracker} performanceTracker - Métricas de performance do alvo
+   */
+  constructor(target, performanceTracker) {
+    this.target = target;
+    this.performanceTracker = performanceTracker;
+
     this.client = axios.create({
-      baseURL: config.for4.apiUrl,
+      baseURL: target.apiUrl,
       timeout: config.monitor.requestTimeout,
+      // Registra o tempo de cada fase (DNS, TCP, TLS, TTFB, download), seguindo redirecionamentos
+      transport: createTimingTransport(),
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': config.for4.secretKey
+        'Authorization': target.secretKey
       }
     });
 
@@ -19,6 +30,7 @@ class For4Service {
     this.client.interceptors.request.use(
       (request) => {
         logger.debug('🔄 Requisição For4', {
+          target: this.target.name,
           method: request.method.toUpperCase(),
           url: request.url,
           headers: { ...request.headers, Authorization: '[REDACTED]' }
@@ -36,12 +48,16 @@ class For4Service {
     this.client.interceptors.response.use(
       (response) => {
         const duration = Date.now() - response.config.metadata.startTime;
+        response.responseTime = duration;
+        response.timings = getTimings(response.request);
+        
         logger.debug('✅ Resposta For4', {
+          target: this.target.name,
           status: response.status,
           duration: `${duration}ms`,
+          timings: response.timings,
           url: response.config.url
         });
-        response.responseTime = duration;
         return response;
       },
       (error) => {
@@ -49,10 +65,13 @@ class For4Service {
           const duration = Date.now() - error.config.metadata.startTime;
           error.responseTime = duration;
         }
+        error.timings = getTimings(error.request);
         
         logger.error('❌ Erro na resposta For4', {
+          target: this.target.name,
           status: error.response?.status,
           message: error.message,
+          timings: error.timings,
           data: error.response?.data,
           url: error.config?.url
         });
@@ -62,10 +81,22 @@ class For4Service {
     );
   }
 
+  /**
+   * Atualiza o cliente com o alvo e o timeout atuais (após recarregar a configuração)
+   */
+  applyTarget() {
+    this.client.defaults.baseURL = this.target.apiUrl;
+    this.client.defaults.timeout = config.monitor.requestTimeout;
+    this.client.defaults.headers.Authorization = this.target.secretKey;
+  }
+
   /**
    * Cria uma transação PIX de teste
    */
   async createPixTransaction(trackingId) {
+    // Preenchido assim que a For4 cria a transação (mesmo que a validação falhe)
+    let transactionId = null;
+    
     try {
       const testData = generateTestData();
       
@@ -75,11 +106,11 @@ class For4Service {
         cpf: testData.customer.cpf,
         phone: testData.customer.phone,
         paymentMethod: 'PIX',
-        amount: config.testTransaction.amount,
+        amount: this.target.amount,
         traceable: true,
         externalId: testData.externalId,
-        items: [config.testTransaction.item],
-        postbackUrl: process.env.WEBHOOK_URL || null
+        items: [this.getTestItem()],
+        postbackUrl: config.postback.url
       };
 
       logger.info('📤 Criando transação PIX de teste', {
@@ -91,20 +122,27 @@ class For4Service {
       const response = await this.client.post(config.for4.endpoints.purchase, payload);
       
       // Validar resposta
+      transactionId = response.data?.id || null;
+      
       this.validatePixResponse(response.data);
+      const warnings = await this.validatePixCode(response.data);
       
       // Registrar performance
-      await performanceTracker.recordResponseTime(
+      await this.performanceTracker.recordResponseTime(
         response.responseTime,
         true,
-        !!response.data.pixCode
+        !!response.data.pixCode,
+        response.timings
       );
       
       return {
         success: true,
         data: response.data,
         responseTime: response.responseTime,
-        testData
+        timings: response.timings,
+        httpStatus: response.status,
+        testData,
+        ...(warnings.length > 0 && { warnings })
       };
       
     } catch (error) {
@@ -116,19 +154,188 @@ class For4Service {
       
       // Registrar falha na performance
       if (error.responseTime) {
-        await performanceTracker.recordResponseTime(
+        await this.performanceTracker.recordResponseTime(
           error.responseTime,
           false,
-          false
+          false,
+          error.timings
         );
       }
       
-      throw {
-        ...error,
-        trackingId,
-        isFor4Error: true
+      error.trackingId = trackingId;
+      error.isFor4Error = true;
+      if (transactionId) {
+        error.transactionId = transactionId;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verificação sem custo: consulta via getPayment uma transação já criada
+   * (usada quando o orçamento do monitoramento é estourado)
+   */
+  async runPixReadOnlyCheck(trackingId, transactionId) {
+    const start = Date.now();
+    
+    logger.info('🪶 Consultando transação existente (verificação sem custo)', {
+      trackingId,
+      transactionId
+    });
+    
+    try {
+      const details = await this.getTransactionDetails(transactionId);
+      const responseTime = Date.now() - start;
+      
+      if (String(details?.id) !== String(transactionId)) {
+        const error = new Error(`Consulta retornou outra transação: ${details?.id || 'ausente'}`);
+        error.type = 'INVALID_RESPONSE';
+        error.responseTime = responseTime;
+        throw error;
+      }
+      
+      await this.performanceTracker.recordResponseTime(responseTime, true, true);
+      
+      return {
+        success: true,
+        readOnly: true,
+        data: details,
+        responseTime,
+        steps: { retrieve: { duration: responseTime, success: true } }
       };
+      
+    } catch (error) {
+      error.responseTime = error.responseTime || Date.now() - start;
+      error.trackingId = trackingId;
+      error.isFor4Error = true;
+      
+      await this.performanceTracker.recordResponseTime(error.responseTime, false, false, error.timings);
+      throw error;
+    }
+  }
+
+  /**
+   * Item da transação de teste com o valor do alvo
+   */
+  getTestItem() {
+    return {
+      ...config.testTransaction.item,
+      unitPrice: this.target.amount
+    };
+  }
+
+  /**
+   * Verifica o ciclo de vida completo do PIX: cria a transação e
+   * depois a consulta via getPayment para confirmar que foi persistida
+   */
+  async runPixLifecycleCheck(trackingId) {
+    const steps = {};
+    
+    // Etapa 1: criação
+    const created = await this.createPixTransaction(trackingId);
+    steps.create = { duration: created.responseTime, success: true };
+    
+    // Aguardar antes de consultar (dar tempo para a For4 persistir)
+    await new Promise(resolve => setTimeout(resolve, config.monitor.lifecycle.readBackDelayMs));
+    
+    // Etapa 2: consulta
+    const retrieveStart = Date.now();
+    let details;
+    
+    try {
+      details = await this.getTransactionDetails(created.data.id);
+      steps.retrieve = { duration: Date.now() - retrieveStart, success: true };
+    } catch (error) {
+      steps.retrieve = { duration: Date.now() - retrieveStart, success: false };
+      
+      const lifecycleError = new Error(`Transação criada mas não recuperável via getPayment: ${error.message}`);
+      lifecycleError.type = 'NOT_RETRIEVABLE';
+      lifecycleError.response = error.response;
+      throw this.decorateLifecycleError(lifecycleError, trackingId, created, steps);
+    }
+    
+    // Etapa 3: consistência entre criação e consulta
+    const validateStart = Date.now();
+    try {
+      this.validateLifecycleConsistency(created, details);
+      steps.validate = { duration: Date.now() - validateStart, success: true };
+    } catch (error) {
+      steps.validate = { duration: Date.now() - validateStart, success: false };
+      throw this.decorateLifecycleError(error, trackingId, created, steps);
     }
+    
+    logger.info('🔁 Ciclo de vida PIX verificado', {
+      trackingId,
+      transactionId: created.data.id,
+      steps
+    });
+    
+    return {
+      ...created,
+      details,
+      steps
+    };
+  }
+
+  /**
+   * Compara a transação consultada com a criada
+   */
+  validateLifecycleConsistency(created, details) {
+    const mismatches = [];
+    const expected = {
+      id: created.data.id,
+      amount: this.target.amount,
+      externalId: created.testData.externalId,
+      status: created.data.status
+    };
+    
+    if (String(details.id) !== String(expected.id)) {
+      mismatches.push({ field: 'id', expected: expected.id, received: details.id });
+    }
+    
+    if (Number(details.amount) !== expected.amount) {
+      mismatches.push({ field: 'amount', expected: expected.amount, received: details.amount });
+    }
+    
+    if (details.externalId !== expected.externalId) {
+      mismatches.push({ field: 'externalId', expected: expected.externalId, received: details.externalId });
+    }
+    
+    if (details.status !== expected.status) {
+      mismatches.push({ field: 'status', expected: expected.status, received: details.status });
+    }
+    
+    if (mismatches.length > 0) {
+      const error = new Error(
+        `Transação consultada diverge da criada: ${mismatches.map(m => m.field).join(', ')}`
+      );
+      error.type = 'INCONSISTENT_TRANSACTION';
+      error.mismatches = mismatches;
+      throw error;
+    }
+    
+    // O PIX de teste ainda deve estar dentro da validade
+    const expiresAt = details.expiresAt || created.data.expiresAt;
+    if (!expiresAt || !moment(expiresAt).isAfter(moment())) {
+      const error = new Error(`PIX sem validade ou já expirado (expiresAt: ${expiresAt || 'ausente'})`);
+      error.type = 'PIX_EXPIRED';
+      error.expiresAt = expiresAt || null;
+      throw error;
+    }
+  }
+
+  /**
+   * Acrescenta contexto do ciclo de vida ao erro
+   */
+  decorateLifecycleError(error, trackingId, created, steps) {
+    error.trackingId = trackingId;
+    error.isFor4Error = true;
+    error.transactionId = created.data.id;
+    error.steps = steps;
+    // Manter o tempo da criação para as métricas de latência
+    error.responseTime = created.responseTime;
+    
+    return error;
   }
 
   /**
@@ -167,6 +374,210 @@ class For4Service {
     }
   }
 
+  /**
+   * Valida o conteúdo do BR Code e confirma que o QR Code codifica o mesmo payload
+   * @returns {string[]} Avisos que não geram falha (ex: imagem em formato não suportado)
+   */
+  async validatePixCode(data) {
+    if (!config.monitor.pixCode.enabled) return [];
+
+    const brCode = validateBrCode(data.pixCode, { amount: this.target.amount });
+
+    logger.debug('🔎 BR Code válido', {
+      target: this.target.name,
+      txid: brCode.txid,
+      amount: brCode.amount,
+      crc: brCode.crc
+    });
+
+    if (!config.monitor.pixCode.qrImageEnabled) return [];
+
+    const image = await this.loadQrImage(data.pixQrCode);
+    let decoded;
+    try {
+      decoded = decodeQrImage(image);
+    } catch (error) {
+      if (error.type !== 'QR_CODE_UNSUPPORTED_FORMAT') throw error;
+
+      // Formato válido que o monitor não lê: não é falha da For4, apenas não foi possível comparar
+      logger.warn('⚠️ QR Code em formato não suportado, comparação com o BR Code ignorada', {
+        target: this.target.name,
+        format: error.format
+      });
+      return [error.message];
+    }
+
+    if (decoded.trim() !== data.pixCode.trim()) {
+      const error = new Error('QR Code não corresponde ao código PIX copia e cola');
+      error.type = 'QR_CODE_MISMATCH';
+      error.decodedPayload = decoded;
+      throw error;
+    }
+
+    return [];
+  }
+
+  /**
+   * Obtém a imagem do QR Code (base64 ou URL)
+   */
+  async loadQrImage(pixQrCode) {
+    if (!/^https?:\/\//i.test(pixQrCode)) {
+      return parseBase64Image(pixQrCode);
+    }
+
+    try {
+      const response = await axios.get(pixQrCode, {
+        responseType: 'arraybuffer',
+        timeout: config.monitor.requestTimeout
+      });
+
+      return Buffer.from(response.data);
+
+    } catch (error) {
+      const qrError = new Error(`Não foi possível baixar a imagem do QR Code: ${error.message}`);
+      qrError.type = 'QR_CODE_UNREADABLE';
+      throw qrError;
+    }
+  }
+
+  /**
+   * Verifica o fluxo de cartão: tokeniza o cartão de teste e,
+   * opcionalmente, executa uma compra com o token
+   */
+  async runCardHealthCheck(trackingId, options = {}) {
+    const steps = {};
+    
+    // Etapa 1: tokenização
+    let tokenResponse;
+    try {
+      tokenResponse = await this.createCardToken(trackingId);
+      steps.tokenize = { duration: tokenResponse.responseTime, success: true };
+    } catch (error) {
+      steps.tokenize = { duration: error.responseTime || 0, success: false };
+      throw this.decorateCardError(error, trackingId, steps);
+    }
+    
+    // Sem compra quando desabilitada ou para economizar (orçamento estourado)
+    if (!config.card.purchaseEnabled || options.skipPurchase) {
+      return {
+        success: true,
+        data: { token: '[REDACTED]' },
+        responseTime: tokenResponse.responseTime,
+        httpStatus: tokenResponse.httpStatus,
+        steps
+      };
+    }
+    
+    // Etapa 2: compra de teste com o token
+    let purchase;
+    try {
+      purchase = await this.createCardPurchase(trackingId, tokenResponse.token);
+      steps.purchase = { duration: purchase.responseTime, success: true };
+    } catch (error) {
+      steps.purchase = { duration: error.responseTime || 0, success: false };
+      throw this.decorateCardError(error, trackingId, steps);
+    }
+    
+    return {
+      success: true,
+      data: purchase.data,
+      responseTime: tokenResponse.responseTime + purchase.responseTime,
+      httpStatus: purchase.httpStatus,
+      steps
+    };
+  }
+
+  /**
+   * Tokeniza o cartão de teste configurado
+   */
+  async createCardToken(trackingId) {
+    const { testCard } = config.card;
+    
+    logger.info('💳 Tokenizando cartão de teste', {
+      trackingId,
+      card: `****${String(testCard.number).slice(-4)}`
+    });
+    
+    const response = await this.client.post(config.for4.endpoints.createToken, {
+      number: testCard.number,
+      holderName: testCard.holderName,
+      expirationMonth: testCard.expirationMonth,
+      expirationYear: testCard.expirationYear,
+      cvv: testCard.cvv
+    });
+    
+    const token = response.data?.token || response.data?.id;
+    if (!token) {
+      const error = new Error('Resposta da tokenização sem token de cartão');
+      error.type = 'INVALID_CARD_TOKEN';
+      error.responseTime = response.responseTime;
+      throw error;
+    }
+    
+    return {
+      token,
+      responseTime: response.responseTime,
+      httpStatus: response.status
+    };
+  }
+
+  /**
+   * Executa uma compra de teste com cartão tokenizado, em modo de teste
+   * (sem cobrança) a menos que CARD_PURCHASE_REAL_CHARGE esteja habilitado
+   */
+  async createCardPurchase(trackingId, cardToken) {
+    const testData = generateTestData();
+    
+    const payload = {
+      name: testData.customer.name,
+      email: testData.customer.email,
+      cpf: testData.customer.cpf,
+      phone: testData.customer.phone,
+      paymentMethod: 'CREDIT_CARD',
+      cardToken,
+      installments: 1,
+      amount: this.target.amount,
+      traceable: true,
+      externalId: testData.externalId,
+      items: [this.getTestItem()],
+      ...(!config.card.realCharge && { testMode: true })
+    };
+    
+    logger.info('💳 Criando compra de teste com cartão', {
+      trackingId,
+      amount: formatCurrency(payload.amount),
+      testMode: !config.card.realCharge
+    });
+    
+    const response = await this.client.post(config.for4.endpoints.purchase, payload);
+    
+    if (!config.card.expectedStatuses.includes(response.data?.status)) {
+      const error = new Error(`Compra com cartão não aprovada (status: ${response.data?.status || 'ausente'})`);
+      error.type = 'CARD_PURCHASE_DECLINED';
+      error.status = response.data?.status;
+      error.responseTime = response.responseTime;
+      throw error;
+    }
+    
+    return {
+      data: response.data,
+      responseTime: response.responseTime,
+      httpStatus: response.status
+    };
+  }
+
+  /**
+   * Acrescenta contexto da verificação de cartão ao erro
+   */
+  decorateCardError(error, trackingId, steps) {
+    error.trackingId = trackingId;
+    error.isFor4Error = true;
+    error.paymentMethod = 'card';
+    error.steps = steps;
+    
+    return error;
+  }
+
   /**
    * Busca detalhes de uma transação
    */
@@ -231,4 +642,4 @@ class For4Service {
   }
 }
 
-module.exports = new For4Service();
\ No newline at end of file
+module.exports = For4Service;
\ No newline at end of file
@@ -0,0 +1,230 @@
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+
+/**
+ * Registro de incidentes de um alvo. Um incidente começa na primeira
+ * verificação com falha de um método e termina na primeira com sucesso.
+ */
+class IncidentLog {
+  constructor(options = {}) {
+    this.stateFile = path.join(config.paths.data, options.stateFile || 'incidents.json');
+    this.target = options.target || 'default';
+    // Incidentes encerrados mantidos no arquivo (os abertos são sempre mantidos)
+    this.maxIncidents = 1000;
+    this.incidents = [];
+    // Concluída quando o registro salvo termina de carregar
+    this.ready = this.loadState();
+  }
+
+  /**
+   * Carrega o registro salvo
+   */
+  async loadState() {
+    const saved = await stateStore.read(this.stateFile);
+    
+    // Sem arquivo, usar registro vazio
+    this.incidents = saved?.incidents || [];
+  }
+
+  /**
+   * Salva o registro
+   */
+  async saveState() {
+    try {
+      await stateStore.write(this.stateFile, { incidents: this.incidents });
+    } catch (error) {
+      logger.error('Erro ao salvar registro de incidentes', { error: error.message });
+    }
+  }
+
+  /**
+   * Incidente em aberto de um método
+   */
+  getOpen(method) {
+    return this.incidents.find(incident => incident.method === method && !incident.endedAt) || null;
+  }
+
+  /**
+   * Incidentes em aberto (de todos os métodos)
+   */
+  getOpenIncidents() {
+    return this.incidents.filter(incident => !incident.endedAt);
+  }
+
+  /**
+   * Registra uma verificação com falha, abrindo um incidente se não houver um em aberto
+   * @returns {Object} Incidente em aberto
+   */
+  async recordFailure(method, { errorType, trackingId }) {
+    let incident = this.getOpen(method);
+
+    if (!incident) {
+      const now = moment();
+      incident = {
+        id: `INC-${now.format('YYYYMMDD-HHmmss')}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`,
+        target: this.target,
+        method,
+        startedAt: now.toISOString(),
+        endedAt: null,
+        durationMs: null,
+        errorTypes: [],
+        trackingIds: [],
+        failedChecks: 0,
+        alerted: false,
+        alertedAt: null,
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        // Último nível de escalonamento notificado (0 = apenas o chat principal)
+        escalationLevel: 0
+      };
+      this.incidents.push(incident);
+
+      logger.warn('🚨 Incidente aberto', { target: this.target, method, incidentId: incident.id, errorType });
+    }
+
+    if (!incident.errorTypes.includes(errorType)) {
+      incident.errorTypes.push(errorType);
+    }
+
+    incident.trackingIds.push(trackingId);
+    incident.failedChecks++;
+
+    await this.saveState();
+    return incident;
+  }
+
+  /**
+   * Marca que o incidente gerou alerta (o escalonamento conta a partir do primeiro)
+   */
+  async markAlerted(incident) {
+    if (incident.alerted) return;
+
+    incident.alerted = true;
+    incident.alertedAt = new Date().toISOString();
+    await this.saveState();
+  }
+
+  /**
+   * Reconhece os incidentes em aberto ainda não reconhecidos
+   * @param {string} by - Quem reconheceu
+   * @returns {Object[]} Incidentes reconhecidos
+   */
+  async acknowledge(by) {
+    const incidents = this.getOpenIncidents().filter(incident => !incident.acknowledgedAt);
+    if (incidents.length === 0) return [];
+
+    const now = new Date().toISOString();
+    incidents.forEach(incident => {
+      incident.acknowledgedAt = now;
+      incident.acknowledgedBy = by;
+    });
+
+    logger.info('👍 Incidente reconhecido', {
+      target: this.target,
+      incidentIds: incidents.map(incident => incident.id),
+      by
+    });
+
+    await this.saveState();
+    return incidents;
+  }
+
+  /**
+   * Registra o nível de escalonamento já notificado
+   */
+  async setEscalationLevel(incident, level) {
+    incident.escalationLevel = level;
+    await this.saveState();
+  }
+
+  /**
+   * Encerra o incidente em aberto de um método
+   * @returns {Object|null} Incidente encerrado, ou null se não havia um aberto
+   */
+  async resolve(method) {
+    const incident = this.getOpen(method);
+    if (!incident) return null;
+
+    const now = moment();
+    incident.endedAt = now.toISOString();
+    incident.durationMs = now.diff(moment(incident.startedAt));
+
+    logger.info('✅ Incidente encerrado', {
+      target: this.target,
+      method,
+      incidentId: incident.id,
+      durationMs: incident.durationMs,
+      failedChecks: incident.failedChecks
+    });
+
+    this.prune();
+    await this.saveState();
+    return incident;
+  }
+
+  /**
+   * Mantém apenas os incidentes encerrados mais recentes
+   */
+  prune() {
+    const closed = this.incidents.filter(incident => incident.endedAt);
+    if (closed.length <= this.maxIncidents) return;
+
+    const removed = new Set(closed.slice(0, closed.length - this.maxIncidents));
+    this.incidents = this.incidents.filter(incident => !removed.has(incident));
+  }
+
+  /**
+   * Incidentes que se sobrepõem ao período, opcionalmente de um método
+   */
+  getIncidents(from, to = moment(), method = null) {
+    const start = moment(from).valueOf();
+    const end = moment(to).valueOf();
+
+    return this.incidents.filter(incident => {
+      if (method && incident.method !== method) return false;
+
+      const startedAt = moment(incident.startedAt).valueOf();
+      const endedAt = incident.endedAt ? moment(incident.endedAt).valueOf() : Date.now();
+      return startedAt < end && endedAt > start;
+    });
+  }
+
+  /**
+   * Indicadores do período: quantidade de incidentes, indisponibilidade, MTTR e MTBF
+   * (durações em milissegundos; MTTR e MTBF são null quando não há incidentes)
+   */
+  getPeriodStats(from, to = moment(), method = null) {
+    const start = moment(from).valueOf();
+    const end = Math.min(moment(to).valueOf(), Date.now());
+    const incidents = this.getIncidents(start, end, method);
+
+    // Indisponibilidade conta apenas a parte de cada incidente dentro do período
+    const downtimeMs = incidents.reduce((total, incident) => {
+      const startedAt = Math.max(moment(incident.startedAt).valueOf(), start);
+      const endedAt = Math.min(incident.endedAt ? moment(incident.endedAt).valueOf() : Date.now(), end);
+      return total + Math.max(endedAt - startedAt, 0);
+    }, 0);
+
+    const started = incidents.filter(incident => moment(incident.startedAt).valueOf() >= start);
+    const resolved = incidents.filter(incident => incident.endedAt && moment(incident.endedAt).valueOf() <= end);
+    const uptimeMs = Math.max(end - start - downtimeMs, 0);
+
+    return {
+      count: started.length,
+      open: incidents.filter(incident => !incident.endedAt).length,
+      resolved: resolved.length,
+      downtimeMs,
+      // Tempo médio até a recuperação dos incidentes encerrados no período
+      mttrMs: resolved.length > 0
+        ? Math.round(resolved.reduce((total, incident) => total + incident.durationMs, 0) / resolved.length)
+        : null,
+      // Tempo médio de operação entre falhas
+      mtbfMs: started.length > 0 ? Math.round(uptimeMs / started.length) : null
+    };
+  }
+}
+
+module.exports = IncidentLog;
@@ -0,0 +1,153 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const telegramService = require('./telegramService');
+const TelegramNotifier = require('./notifiers/telegramNotifier');
+const SlackNotifier = require('./notifiers/slackNotifier');
+const DiscordNotifier = require('./notifiers/discordNotifier');
+const EmailNotifier = require('./notifiers/emailNotifier');
+const WebhookNotifier = require('./notifiers/webhookNotifier');
+
+const channelClasses = {
+  slack: SlackNotifier,
+  discord: DiscordNotifier,
+  email: EmailNotifier,
+  webhook: WebhookNotifier
+};
+
+/**
+ * Envia alertas, relatórios e status para os canais configurados em
+ * NOTIFY_CHANNELS. As mensagens são formatadas uma vez (pelo TelegramService
+ * do alvo) e cada canal adapta a marcação.
+ */
+class NotificationService {
+  /**
+   * @param {Object} options
+   * @param {TelegramService} options.telegram - Serviço Telegram do alvo
+   * @param {string} options.target - Nome do alvo (enviado no webhook)
+   * @param {string[]} options.channels - Canais usados (padrão: NOTIFY_CHANNELS)
+   * @param {string[]} options.events - Eventos aceitos, no lugar dos de cada canal
+   */
+  constructor(options = {}) {
+    this.telegram = options.telegram || telegramService;
+    this.target = options.target || 'default';
+    this.options = options;
+
+    this.buildChannels();
+  }
+
+  /**
+   * Cria os canais com a configuração atual (também após recarregá-la)
+   */
+  buildChannels() {
+    const channels = this.options.channels || config.notifications.channels;
+
+    this.channels = channels.map(channel => {
+      const channelConfig = this.options.events
+        ? { ...config.notifications[channel], events: this.options.events }
+        : config.notifications[channel];
+
+      return channel === 'telegram'
+        ? new TelegramNotifier(this.telegram, channelConfig)
+        : new channelClasses[channel](channelConfig);
+    });
+  }
+
+  /**
+   * Envia o evento a todos os canais que o aceitam. A falha de um canal
+   * não impede o envio pelos demais.
+   * @returns {Object} Resultado por canal
+   */
+  async dispatch(event, text, payload = {}) {
+    const channels = this.channels.filter(channel => channel.accepts(event));
+
+    const results = await Promise.all(
+      channels.map(channel => channel.notify(event, text, { target: this.target, ...payload }))
+    );
+
+    const byChannel = {};
+    channels.forEach((channel, index) => {
+      byChannel[channel.name] = results[index];
+    });
+
+    const failed = Object.keys(byChannel).filter(name => !byChannel[name].success);
+    if (failed.length > 0 && failed.length < channels.length) {
+      logger.warn('⚠️ Notificação entregue apenas em parte dos canais', { event, failed });
+    }
+
+    return {
+      success: results.some(result => result.success),
+      channels: byChannel
+    };
+  }
+
+  /**
+   * Envia uma mensagem avulsa (início/parada do monitor, orçamento etc.)
+   */
+  async sendMessage(text, type = 'message') {
+    return await this.dispatch(type, text);
+  }
+
+  /**
+   * Envia alerta de erro
+   * @param {Object} options
+   * @param {string} options.event - Tipo de evento (padrão: 'error')
+   * @param {Array} options.buttons - Botões inline (apenas Telegram)
+   */
+  async sendErrorAlert(errorMessage, context = {}, options = {}) {
+    const message = this.telegram.formatMessage(errorMessage, 'error', context);
+
+    return await this.dispatch(options.event || 'error', message, {
+      data: context,
+      buttons: options.buttons
+    });
+  }
+
+  /**
+   * Envia notificação de recuperação
+   */
+  async sendRecoveryAlert(message, context = {}) {
+    const formattedMessage = this.telegram.formatMessage(message, 'recovery', context);
+    return await this.dispatch('recovery', formattedMessage, { data: context });
+  }
+
+  /**
+   * Envia alerta ou normalização de latência degradada
+   */
+  async sendDegradedAlert(message, context = {}) {
+    const formattedMessage = this.telegram.formatMessage(message, 'degraded', context);
+    return await this.dispatch('degraded', formattedMessage, { data: context });
+  }
+
+  /**
+   * Envia relatório diário
+   * @param {Array} photos - Gráficos [{ caption, image }] (apenas Telegram)
+   */
+  async sendDailyReport(report, photos = []) {
+    const message = this.telegram.formatDailyReport(report);
+    return await this.dispatch('daily_report', message, { data: report, photos });
+  }
+
+  /**
+   * Envia relatório semanal ou mensal de SLA
+   * @param {Array} photos - Gráficos [{ caption, image }] (apenas Telegram)
+   */
+  async sendPeriodReport(report, photos = []) {
+    const message = this.telegram.formatPeriodReport(report);
+    return await this.dispatch('sla_report', message, { data: report, photos });
+  }
+
+  /**
+   * Envia status resumido (com botões de ações rápidas no Telegram)
+   */
+  async sendStatusSummary(status) {
+    const message = this.telegram.formatStatusSummary(status);
+
+    return await this.dispatch('status_summary', message, {
+      data: status,
+      buttons: this.telegram.getStatusButtons(status)
+    });
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.NotificationService = NotificationService;
@@ -0,0 +1,30 @@
+const axios = require('axios');
+const Notifier = require('./notifier');
+
+// Limite de caracteres de uma mensagem do Discord
+const MAX_CONTENT_LENGTH = 2000;
+
+/**
+ * Canal Discord via webhook
+ */
+class DiscordNotifier extends Notifier {
+  constructor(options = {}) {
+    super('discord', options);
+    this.webhookUrl = options.webhookUrl;
+  }
+
+  async send(event, text) {
+    // O Discord usa o mesmo **texto** para negrito, mas exibiria as barras do escape
+    const markdown = Notifier.unescapeMarkdown(text);
+    const content = markdown.length > MAX_CONTENT_LENGTH
+      ? markdown.slice(0, MAX_CONTENT_LENGTH - 3) + '...'
+      : markdown;
+
+    await axios.post(this.webhookUrl, {
+      username: 'Monitor PIX For4',
+      content
+    }, { timeout: 10000 });
+  }
+}
+
+module.exports = DiscordNotifier;
@@ -0,0 +1,36 @@
+const nodemailer = require('nodemailer');
+const Notifier = require('./notifier');
+
+/**
+ * Canal de e-mail via SMTP
+ */
+class EmailNotifier extends Notifier {
+  constructor(options = {}) {
+    super('email', options);
+    this.from = options.from;
+    this.to = options.to;
+
+    this.transport = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+      connectionTimeout: 10000
+    });
+  }
+
+  async send(event, text) {
+    const body = Notifier.toPlainText(text);
+    // A primeira linha da mensagem é o título (ex: "🚨 ALERTA - ...")
+    const subject = body.split('\n').find(line => line.trim()) || 'Monitor PIX For4';
+
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to.join(', '),
+      subject: subject.trim(),
+      text: body
+    });
+  }
+}
+
+module.exports = EmailNotifier;
@@ -0,0 +1,74 @@
+const logger = require('../../utils/logger');
+const metrics = require('../../utils/metrics');
+
+/**
+ * Canal de notificação. Cada canal implementa send(event, text, payload) e
+ * lança erro em caso de falha; notify() isola a falha para que os demais
+ * canais continuem recebendo o alerta.
+ */
+class Notifier {
+  /**
+   * @param {string} name - Nome do canal (ex: 'slack')
+   * @param {Object} options
+   * @param {string[]} options.events - Eventos habilitados para o canal
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.events = options.events || [];
+  }
+
+  /**
+   * Indica se o canal recebe o tipo de evento
+   */
+  accepts(event) {
+    return this.events.includes(event);
+  }
+
+  /**
+   * Envia a notificação sem propagar erros
+   */
+  async notify(event, text, payload = {}) {
+    try {
+      await this.send(event, text, payload);
+      metrics.notificationsTotal.inc({ channel: this.name, type: event, result: 'success' });
+
+      return { success: true };
+
+    } catch (error) {
+      logger.error(`❌ Erro ao enviar notificação (${this.name})`, {
+        event,
+        error: error.message,
+        response: error.response?.data
+      });
+      metrics.notificationsTotal.inc({ channel: this.name, type: event, result: 'failure' });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Envia a notificação (implementado por cada canal)
+   */
+  async send() {
+    throw new Error(`Canal ${this.name} não implementa send()`);
+  }
+
+  /**
+   * Remove a marcação de negrito usada nas mensagens (**texto**)
+   */
+  static toPlainText(text) {
+    return Notifier.unescapeMarkdown(text.replace(/\*\*/g, ''));
+  }
+
+  /**
+   * Desfaz o escape de Markdown do Telegram (escapeMarkdown) para canais sem esse escape
+   */
+  static unescapeMarkdown(text) {
+    return text.replace(/\\([_*`[])/g, '$1');
+  }
+}
+
+module.exports = Notifier;
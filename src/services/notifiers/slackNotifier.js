@@ -0,0 +1,20 @@
+const axios = require('axios');
+const Notifier = require('./notifier');
+
+/**
+ * Canal Slack via incoming webhook
+ */
+class SlackNotifier extends Notifier {
+  constructor(options = {}) {
+    super('slack', options);
+    this.webhookUrl = options.webhookUrl;
+  }
+
+  async send(event, text) {
+    // O mrkdwn do Slack usa *texto* para negrito
+    const mrkdwn = Notifier.unescapeMarkdown(text).replace(/\*\*/g, '*');
+    await axios.post(this.webhookUrl, { text: mrkdwn }, { timeout: 10000 });
+  }
+}
+
+module.exports = SlackNotifier;
@@ -0,0 +1,30 @@
+const Notifier = require('./notifier');
+
+/**
+ * Canal Telegram: delega ao TelegramService do alvo, que já registra
+ * métricas e não propaga erros
+ */
+class TelegramNotifier extends Notifier {
+  /**
+   * @param {TelegramService} telegram - Serviço com o chat do alvo
+   */
+  constructor(telegram, options = {}) {
+    super('telegram', options);
+    this.telegram = telegram;
+  }
+
+  async notify(event, text, payload = {}) {
+    const result = payload.buttons
+      ? await this.telegram.sendMessageWithButtons(text, payload.buttons, event)
+      : await this.telegram.sendMessage(text, {}, event);
+
+    // Gráficos do relatório, enviados depois do texto
+    for (const photo of payload.photos || []) {
+      await this.telegram.sendPhoto(photo.image, photo.caption, {}, event);
+    }
+
+    return result;
+  }
+}
+
+module.exports = TelegramNotifier;
@@ -0,0 +1,43 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const Notifier = require('./notifier');
+
+/**
+ * Canal webhook genérico: envia o evento em JSON, assinado com HMAC-SHA256
+ * sobre "<timestamp>.<corpo>" nos cabeçalhos X-Monitor-Timestamp e X-Monitor-Signature
+ */
+class WebhookNotifier extends Notifier {
+  constructor(options = {}) {
+    super('webhook', options);
+    this.url = options.url;
+    this.secret = options.secret;
+  }
+
+  async send(event, text, payload = {}) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify({
+      event,
+      target: payload.target || null,
+      timestamp: new Date().toISOString(),
+      text: Notifier.toPlainText(text),
+      data: payload.data || null
+    });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Monitor-Timestamp': timestamp
+    };
+
+    if (this.secret) {
+      const signature = crypto
+        .createHmac('sha256', this.secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+      headers['X-Monitor-Signature'] = `sha256=${signature}`;
+    }
+
+    await axios.post(this.url, body, { headers, timeout: 10000 });
+  }
+}
+
+module.exports = WebhookNotifier;
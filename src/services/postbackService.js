@@ -0,0 +1,458 @@
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const stateStore = require('../utils/stateStore');
+const metrics = require('../utils/metrics');
+const errorHandler = require('../utils/errorHandler');
+const calendar = require('../utils/calendar');
+const notificationService = require('./notificationService');
+
+const { ErrorTypes } = errorHandler;
+
+/**
+ * Saúde, cooldown de alertas e contadores de postbacks de um alvo
+ */
+function createTargetState() {
+  return {
+    healthy: true,
+    lastNotification: null,
+    received: 0,
+    late: 0,
+    missing: 0,
+    unexpected: 0,
+    latencies: [],
+    lastReceivedAt: null,
+    // Reconhecimento do problema (/ack): sem novos alertas até a recuperação
+    acknowledgedAt: null,
+    acknowledgedBy: null
+  };
+}
+
+// Campos que versões anteriores guardavam no estado global (um único alvo)
+const LEGACY_TARGET_FIELDS = Object.keys(createTargetState());
+
+class PostbackService {
+  constructor() {
+    this.state = {
+      pending: {},
+      // Postbacks sem transação correspondente (não se sabe o alvo)
+      unknown: 0,
+      // Estado de cada alvo: { nome: createTargetState() }
+      targets: {}
+    };
+
+    // Alvo, canais de notificação e botões de reconhecimento de cada alvo monitorado
+    this.registrations = {};
+
+    this.stateFile = path.join(config.paths.data, 'postback-state.json');
+    this.maxLatencies = 100;
+    // Depois do alerta de ausência, ainda aceitar o postback atrasado por 24h
+    this.lateRetentionMs = 24 * 60 * 60 * 1000;
+    this.loadState();
+  }
+
+  /**
+   * Carrega o estado salvo
+   */
+  async loadState() {
+    const saved = await stateStore.read(this.stateFile);
+
+    // Sem arquivo, usar estado padrão
+    if (!saved) return;
+
+    // Estado de versões anteriores, antes da separação por alvo: era do alvo padrão
+    if (!saved.targets) {
+      saved.targets = { default: createTargetState() };
+      LEGACY_TARGET_FIELDS
+        .filter(field => saved[field] !== undefined)
+        .forEach(field => {
+          saved.targets.default[field] = saved[field];
+          delete saved[field];
+        });
+    }
+
+    Object.assign(this.state, saved);
+  }
+
+  /**
+   * Estado de postbacks de um alvo (criado no primeiro uso)
+   */
+  getTargetState(name) {
+    if (!this.state.targets[name]) {
+      this.state.targets[name] = createTargetState();
+    }
+
+    return this.state.targets[name];
+  }
+
+  /**
+   * Salva o estado
+   */
+  async saveState() {
+    try {
+      await stateStore.write(this.stateFile, this.state);
+    } catch (error) {
+      logger.error('Erro ao salvar estado de postbacks', { error: error.message });
+    }
+  }
+
+  /**
+   * Registra o alvo com os canais e o botão "Reconhecer" usados nos seus alertas
+   */
+  registerTarget(target, notifier, buttons = null) {
+    this.registrations[target.name] = { target, notifier, buttons };
+  }
+
+  /**
+   * Registra uma transação de teste que deve receber postback
+   */
+  async track(result, trackingId, target) {
+    if (!config.postback.enabled) return;
+
+    const now = Date.now();
+    const transactionId = String(result.data.id);
+
+    this.state.pending[transactionId] = {
+      trackingId,
+      transactionId,
+      target: target.name,
+      targetLabel: target.isDefault ? null : target.label,
+      amount: target.amount,
+      externalId: result.testData?.externalId || result.data.externalId || null,
+      createdAt: now,
+      deadline: now + config.postback.deadlineMinutes * 60 * 1000,
+      alerted: false
+    };
+
+    await this.saveState();
+  }
+
+  /**
+   * Recebe um postback da For4 (rota POST do servidor HTTP)
+   */
+  async handlePostback(req) {
+    if (config.postback.secret && !this.isValidToken(req.query.get('token'))) {
+      logger.warn('⛔ Postback com token inválido recusado', {
+        remoteAddress: req.socket.remoteAddress
+      });
+      return { statusCode: 401, body: { error: 'Token inválido' } };
+    }
+
+    const payload = req.body || {};
+    const entry = this.findPending(payload);
+
+    if (!entry) {
+      this.state.unknown++;
+      metrics.postbacksTotal.inc({ target: 'unknown', result: 'unknown' });
+      logger.warn('📮 Postback sem transação de teste correspondente', {
+        id: payload.id,
+        externalId: payload.externalId,
+        status: payload.status
+      });
+      await this.saveState();
+      return { received: true, matched: false };
+    }
+
+    const now = Date.now();
+    const latency = now - entry.createdAt;
+    const isLate = now > entry.deadline;
+    const targetState = this.getTargetState(entry.target);
+
+    delete this.state.pending[entry.transactionId];
+
+    targetState.received++;
+    targetState.lastReceivedAt = new Date(now).toISOString();
+    targetState.latencies.push({ time: targetState.lastReceivedAt, latency });
+    if (targetState.latencies.length > this.maxLatencies) {
+      targetState.latencies = targetState.latencies.slice(-this.maxLatencies);
+    }
+
+    metrics.postbackLatency.observe({ target: entry.target }, latency / 1000);
+
+    logger.info('📮 Postback recebido', {
+      target: entry.target,
+      trackingId: entry.trackingId,
+      transactionId: entry.transactionId,
+      status: payload.status,
+      latency: `${latency}ms`,
+      late: isLate
+    });
+
+    const problems = this.validatePayload(payload, entry);
+
+    if (problems.length > 0) {
+      targetState.unexpected++;
+      metrics.postbacksTotal.inc({ target: entry.target, result: 'unexpected' });
+      await this.notifyProblem(ErrorTypes.POSTBACK_UNEXPECTED, entry, { problems, latency });
+    } else {
+      // Atrasado, mas chegou: os postbacks do alvo voltaram a funcionar
+      if (isLate) targetState.late++;
+      metrics.postbacksTotal.inc({ target: entry.target, result: isLate ? 'late' : 'ok' });
+      await this.markHealthy(entry, latency, isLate);
+    }
+
+    await this.saveState();
+
+    return { received: true, matched: true, latency };
+  }
+
+  /**
+   * Compara o token da URL com POSTBACK_SECRET em tempo constante
+   */
+  isValidToken(token) {
+    const expected = Buffer.from(config.postback.secret);
+    const received = Buffer.from(token || '');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Localiza a transação pendente pelo id ou externalId do payload
+   */
+  findPending(payload) {
+    const id = payload.id ?? payload.transactionId;
+
+    if (id !== undefined && this.state.pending[String(id)]) {
+      return this.state.pending[String(id)];
+    }
+
+    if (payload.externalId) {
+      return Object.values(this.state.pending).find(entry => entry.externalId === payload.externalId);
+    }
+
+    return null;
+  }
+
+  /**
+   * Valida o conteúdo do postback
+   */
+  validatePayload(payload, entry) {
+    const problems = [];
+
+    if (!config.postback.expectedStatuses.includes(payload.status)) {
+      problems.push(`status inesperado: ${payload.status || 'ausente'} (esperado: ${config.postback.expectedStatuses.join(', ')})`);
+    }
+
+    if (entry.externalId && payload.externalId && payload.externalId !== entry.externalId) {
+      problems.push(`externalId divergente: ${payload.externalId}`);
+    }
+
+    if (payload.amount !== undefined && Number(payload.amount) !== entry.amount) {
+      problems.push(`amount divergente: ${payload.amount}`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Verifica postbacks que passaram do prazo
+   */
+  async checkDeadlines() {
+    if (!config.postback.enabled) return;
+
+    const now = Date.now();
+    let changed = false;
+
+    for (const entry of Object.values(this.state.pending)) {
+      if (!entry.alerted && now > entry.deadline) {
+        entry.alerted = true;
+        changed = true;
+
+        this.getTargetState(entry.target).missing++;
+        metrics.postbacksTotal.inc({ target: entry.target, result: 'missing' });
+
+        logger.warn('📮 Postback não recebido no prazo', {
+          target: entry.target,
+          trackingId: entry.trackingId,
+          transactionId: entry.transactionId
+        });
+
+        await this.notifyProblem(ErrorTypes.POSTBACK_MISSING, entry, {});
+      }
+
+      // Descartar pendências antigas
+      if (now - entry.createdAt > this.lateRetentionMs) {
+        delete this.state.pending[entry.transactionId];
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.saveState();
+    }
+  }
+
+  /**
+   * Alerta sobre postback ausente ou inesperado (respeitando o calendário,
+   * o reconhecimento e o cooldown do alvo)
+   */
+  async notifyProblem(errorType, entry, details) {
+    const targetState = this.getTargetState(entry.target);
+    const wasHealthy = targetState.healthy;
+    targetState.healthy = false;
+
+    // Feriado ou janela de manutenção sem alertas
+    const target = this.registrations[entry.target]?.target
+      || config.targets.find(item => item.name === entry.target);
+    const calendarState = target ? calendar.getCalendarState(target) : { shouldAlert: true };
+    if (!calendarState.shouldAlert) {
+      logger.info('🔕 Problema de postback registrado sem alerta', {
+        target: entry.target,
+        trackingId: entry.trackingId,
+        errorType,
+        reason: calendarState.reason
+      });
+      return;
+    }
+
+    // Problema reconhecido: sem novos alertas até a recuperação
+    if (targetState.acknowledgedAt) {
+      logger.info('🔕 Problema de postback registrado sem alerta', {
+        target: entry.target,
+        trackingId: entry.trackingId,
+        errorType,
+        reason: `reconhecido por ${targetState.acknowledgedBy}`
+      });
+      return;
+    }
+
+    const cooldownMs = config.monitor.notificationCooldownMinutes * 60 * 1000;
+    const inCooldown = targetState.lastNotification && Date.now() - targetState.lastNotification < cooldownMs;
+
+    if (!wasHealthy && inCooldown) return;
+
+    targetState.lastNotification = Date.now();
+
+    const message = this.formatProblemMessage(errorType, entry, details);
+    await this.getNotifier(entry).sendErrorAlert(message, { trackingId: entry.trackingId }, {
+      buttons: this.registrations[entry.target]?.buttons
+    });
+  }
+
+  /**
+   * Reconhece o problema de postbacks em aberto do alvo (/ack)
+   * @param {string} target - Nome do alvo
+   * @param {string} by - Quem reconheceu
+   * @returns {boolean} Se havia um problema aguardando reconhecimento
+   */
+  async acknowledge(target, by) {
+    const targetState = this.state.targets[target];
+    if (!targetState || targetState.healthy || targetState.acknowledgedAt) return false;
+
+    targetState.acknowledgedAt = new Date().toISOString();
+    targetState.acknowledgedBy = by;
+
+    logger.info('👍 Problema de postbacks reconhecido', { target, by });
+    await this.saveState();
+
+    return true;
+  }
+
+  /**
+   * Canais de notificação do alvo da transação (padrão: canais principais)
+   */
+  getNotifier(entry) {
+    return this.registrations[entry.target]?.notifier || notificationService;
+  }
+
+  /**
+   * Título das mensagens de postback, com o alvo quando houver vários
+   */
+  getTitle(entry) {
+    return entry.targetLabel ? `Postbacks For4 (${entry.targetLabel})` : 'Postbacks For4';
+  }
+
+  /**
+   * Marca os postbacks do alvo como saudáveis novamente e notifica a recuperação
+   * @param {boolean} late - Se o postback chegou depois do prazo
+   */
+  async markHealthy(entry, latency, late = false) {
+    const targetState = this.getTargetState(entry.target);
+    if (targetState.healthy) return;
+
+    targetState.healthy = true;
+    targetState.lastNotification = null;
+    targetState.acknowledgedAt = null;
+    targetState.acknowledgedBy = null;
+
+    let message = `✅ **RECUPERAÇÃO - ${this.getTitle(entry)}**\n\n`;
+    message += `⏰ **Horário:** ${moment().format('DD/MM/YYYY HH:mm:ss')}\n`;
+    message += `🔍 **ID de Rastreamento:** ${entry.trackingId}\n`;
+    message += `📮 **Latência do postback:** ${latency}ms${late ? ' (após o prazo)' : ''}\n`;
+    message += late
+      ? `\n✨ O postback atrasado chegou: os postbacks voltaram a ser entregues.`
+      : `\n✨ Os postbacks voltaram a chegar normalmente!`;
+
+    await this.getNotifier(entry).sendRecoveryAlert(message);
+  }
+
+  /**
+   * Formata alerta de postback
+   */
+  formatProblemMessage(errorType, entry, details) {
+    let message = `🚨 **ALERTA - ${this.getTitle(entry)}**\n\n`;
+    message += `⏰ **Horário:** ${moment().format('DD/MM/YYYY HH:mm:ss')}\n`;
+    message += `❌ **Tipo de Erro:** ${errorHandler.getErrorTypeDescription(errorType)}\n`;
+    message += `🔍 **ID de Rastreamento:** ${entry.trackingId}\n`;
+    message += `🆔 **Transação:** ${entry.transactionId}\n`;
+    message += `📅 **Criada em:** ${moment(entry.createdAt).format('DD/MM/YYYY HH:mm:ss')}\n\n`;
+
+    if (errorType === ErrorTypes.POSTBACK_MISSING) {
+      message += `📭 **Detalhes:** Nenhum postback em ${config.postback.deadlineMinutes} minutos\n`;
+    } else {
+      message += `📬 **Detalhes:** Postback recebido após ${details.latency}ms com problemas:\n`;
+      details.problems.forEach(problem => {
+        message += `• ${problem}\n`;
+      });
+    }
+
+    message += `\n🔧 **Ação Recomendada:** ${errorHandler.getRecommendedAction(errorType)}`;
+
+    return message;
+  }
+
+  /**
+   * Resumo para status e API: de um alvo ou, sem alvo, de todos (em "targets")
+   * @param {string} target - Nome do alvo
+   */
+  getSummary(target = null) {
+    if (!target) {
+      const targets = {};
+      Object.keys(this.state.targets).forEach(name => {
+        targets[name] = this.getSummary(name);
+      });
+
+      return {
+        enabled: config.postback.enabled,
+        pending: Object.keys(this.state.pending).length,
+        unknown: this.state.unknown,
+        targets
+      };
+    }
+
+    const targetState = this.state.targets[target] || createTargetState();
+    const latencies = targetState.latencies.map(l => l.latency);
+    const avgLatency = latencies.length > 0
+      ? Math.round(latencies.reduce((sum, l) => sum + l, 0) / latencies.length)
+      : 0;
+
+    return {
+      enabled: config.postback.enabled,
+      healthy: targetState.healthy,
+      acknowledgedBy: targetState.acknowledgedBy,
+      pending: Object.values(this.state.pending).filter(entry => entry.target === target).length,
+      received: targetState.received,
+      late: targetState.late,
+      missing: targetState.missing,
+      unexpected: targetState.unexpected,
+      unknown: this.state.unknown,
+      avgLatency,
+      lastLatency: latencies.length > 0 ? latencies[latencies.length - 1] : null,
+      lastReceivedAt: targetState.lastReceivedAt
+    };
+  }
+}
+
+module.exports = new PostbackService();
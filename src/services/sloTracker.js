@@ -0,0 +1,114 @@
+const moment = require('moment-timezone');
+const config = require('../config/config');
+
+// Janelas de burn rate (ms): o alerta exige consumo alto na longa e na curta
+const BURN_WINDOWS = {
+  fast: { long: 60 * 60 * 1000, short: 5 * 60 * 1000 },
+  slow: { long: 6 * 60 * 60 * 1000, short: 30 * 60 * 1000 }
+};
+
+/**
+ * Acompanha os SLOs (SLOS) de um alvo a partir do histórico de verificações:
+ * orçamento de erros restante na janela do SLO e taxa de consumo (burn rate)
+ * nas janelas de alerta. Contam as verificações que criam transações; as
+ * re-verificações de confirmação e as consultas sem custo ficam de fora.
+ */
+class SloTracker {
+  /**
+   * @param {CheckHistory} history - Histórico de verificações do alvo
+   */
+  constructor(history) {
+    this.history = history;
+  }
+
+  /**
+   * Verificação dentro do objetivo: sucesso e, se definido, abaixo da latência máxima
+   */
+  isGood(slo, entry) {
+    return entry.result === 'success' && (slo.latencyMs === null || entry.responseTime <= slo.latencyMs);
+  }
+
+  /**
+   * Proporção de verificações fora do objetivo sobre a permitida pelo SLO
+   * (1 = consumo exato do orçamento ao longo da janela do SLO)
+   */
+  getBurnRate(slo, events) {
+    if (events.length === 0) return 0;
+
+    const bad = events.filter(entry => !this.isGood(slo, entry)).length;
+    return (bad / events.length) / (1 - slo.objective / 100);
+  }
+
+  /**
+   * Burn rate nas janelas longa e curta de um tipo de alerta. Com verificações
+   * espaçadas, a janela curta pode não ter nenhuma: vale então a última verificação
+   */
+  getWindowBurnRates(slo, events, windows, now) {
+    const since = windowMs => events.filter(entry => Date.parse(entry.time) >= now - windowMs);
+    const short = since(windows.short);
+
+    return {
+      long: this.getBurnRate(slo, since(windows.long)),
+      short: this.getBurnRate(slo, short.length > 0 ? short : events.slice(-1))
+    };
+  }
+
+  /**
+   * Situação de um SLO: SLI e orçamento de erros na janela, burn rates e alerta em vigor
+   * @returns {Object} { name, method, objective, ..., budgetRemaining, exhausted, burnRates, burning }
+   */
+  async evaluate(slo, date = moment()) {
+    const now = moment(date).valueOf();
+    const entries = await this.history.query({
+      from: moment(now).subtract(slo.windowDays, 'days'),
+      to: moment(now),
+      method: slo.method
+    });
+    const events = entries.filter(entry => !entry.readOnly && !entry.attempt);
+
+    const bad = events.filter(entry => !this.isGood(slo, entry)).length;
+    const consumed = this.getBurnRate(slo, events) * 100;
+
+    const burnRates = {
+      fast: this.getWindowBurnRates(slo, events, BURN_WINDOWS.fast, now),
+      slow: this.getWindowBurnRates(slo, events, BURN_WINDOWS.slow, now)
+    };
+    const isBurning = (type, threshold) => burnRates[type].long >= threshold && burnRates[type].short >= threshold;
+
+    let burning = null;
+    if (isBurning('fast', config.slo.fastBurnRate)) {
+      burning = 'fast';
+    } else if (isBurning('slow', config.slo.slowBurnRate)) {
+      burning = 'slow';
+    }
+
+    return {
+      name: slo.name,
+      method: slo.method,
+      objective: slo.objective,
+      latencyMs: slo.latencyMs,
+      windowDays: slo.windowDays,
+      total: events.length,
+      bad,
+      sli: events.length > 0 ? Number((100 - bad / events.length * 100).toFixed(3)) : null,
+      budgetRemaining: Number((100 - consumed).toFixed(1)),
+      exhausted: consumed >= 100,
+      burnRates,
+      burning
+    };
+  }
+
+  /**
+   * Situação de todos os SLOs configurados
+   */
+  async evaluateAll(date = moment()) {
+    const statuses = [];
+    for (const slo of config.slo.objectives) {
+      statuses.push(await this.evaluate(slo, date));
+    }
+
+    return statuses;
+  }
+}
+
+module.exports = SloTracker;
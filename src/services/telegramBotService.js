@@ -0,0 +1,647 @@
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const telegramService = require('./telegramService');
+const { escapeMarkdown } = telegramService;
+const monitorManager = require('../monitorManager');
+const costLedger = require('./costLedger');
+const { formatCurrency, parseDuration } = require('../utils/dataGenerator');
+
+// Limite de caracteres de uma mensagem do Telegram (com margem)
+const MAX_MESSAGE_LENGTH = 3800;
+
+class TelegramBotService {
+  constructor() {
+    this.offset = 0;
+    this.isPolling = false;
+    this.abortController = null;
+    this.retryDelayMs = 5000;
+
+    // Ações disponíveis nos botões inline (callback "acao" ou "acao:alvo")
+    this.callbackHandlers = {
+      force_check: { handler: (user, monitor) => this.handleForceCheck(monitor), mutating: true },
+      full_report: { handler: (user, monitor) => this.handleFullReport(monitor), mutating: false },
+      pause_monitor: { handler: (user, monitor) => this.handlePauseToggle(user, monitor), mutating: true },
+      view_logs: { handler: () => this.handleViewLogs(), mutating: false },
+      ack_incident: { handler: (user, monitor) => this.handleAck(user, monitor), mutating: true }
+    };
+
+    // Comandos de barra (/comando [alvo] [argumentos])
+    this.commands = {
+      status: {
+        handler: (args, user, monitors) => this.eachMonitor(monitors, monitor => this.commandStatus(monitor)),
+        mutating: false,
+        description: 'Status atual do monitor'
+      },
+      check: {
+        handler: (args, user, monitors) => this.eachMonitor(monitors, monitor => this.handleForceCheck(monitor)),
+        mutating: true,
+        description: 'Executa uma verificação imediatamente'
+      },
+      pause: {
+        handler: (args, user, monitors) => this.eachMonitor(monitors, monitor => this.commandPause(args, user, monitor)),
+        mutating: true,
+        usage: '[duração] [motivo]',
+        description: 'Pausa o monitor (ex: /pause 2h manutenção)'
+      },
+      resume: {
+        handler: (args, user, monitors) => this.eachMonitor(monitors, monitor => this.commandResume(user, monitor)),
+        mutating: true,
+        description: 'Retoma o monitor'
+      },
+      report: {
+        handler: (args, user, monitors) => this.eachMonitor(monitors, monitor => this.commandReport(args, monitor)),
+        mutating: false,
+        usage: '[data]',
+        description: 'Relatório do dia ou de uma data (DD/MM/AAAA)'
+      },
+      perf: {
+        handler: (args, user, monitors) => this.eachMonitor(monitors, monitor => (
+          this.withTargetHeader(monitor, monitor.performanceTracker.formatPerformanceReport())
+        )),
+        mutating: false,
+        description: 'Relatório de performance'
+      },
+      chart: {
+        handler: (args, user, monitors) => this.eachMonitor(monitors, monitor => this.commandChart(args, monitor)),
+        mutating: false,
+        usage: '[horas]',
+        description: 'Gráficos do tempo de resposta e das verificações (padrão 12h)'
+      },
+      ack: {
+        handler: (args, user, monitors) => this.eachMonitor(monitors, monitor => this.handleAck(user, monitor)),
+        mutating: true,
+        description: 'Reconhece os incidentes em aberto (interrompe alertas e escalonamento)'
+      },
+      errors: {
+        handler: (args, user, monitors) => this.eachMonitor(monitors, monitor => this.commandErrors(monitor)),
+        mutating: false,
+        description: 'Erros recentes e estado de erros'
+      },
+      cost: {
+        handler: async (args, user, monitors) => (
+          await this.eachMonitor(monitors, monitor => this.commandCost(monitor))
+        ) + this.formatBudget(),
+        mutating: false,
+        description: 'Custo do monitoramento'
+      },
+      help: {
+        handler: (args, user, monitors) => this.commandHelp(user, monitors),
+        mutating: false,
+        description: 'Lista os comandos disponíveis'
+      }
+    };
+  }
+
+  /**
+   * Inicia o consumo de atualizações do Telegram
+   */
+  start() {
+    if (!telegramService.enabled || !config.telegram.pollingEnabled) {
+      logger.info('🤖 Consumo de atualizações do Telegram desabilitado');
+      return;
+    }
+
+    if (this.isPolling) return;
+
+    this.isPolling = true;
+    logger.info('🤖 Consumindo atualizações do Telegram (long polling)');
+
+    this.pollLoop();
+  }
+
+  /**
+   * Para o consumo de atualizações
+   */
+  stop() {
+    this.isPolling = false;
+
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+
+  /**
+   * Loop de long polling
+   */
+  async pollLoop() {
+    while (this.isPolling) {
+      try {
+        this.abortController = new AbortController();
+
+        const updates = await telegramService.getUpdates(this.offset, {
+          signal: this.abortController.signal
+        });
+
+        for (const update of updates) {
+          this.offset = update.update_id + 1;
+          await this.handleUpdate(update);
+        }
+
+      } catch (error) {
+        if (!this.isPolling) break;
+
+        logger.error('Erro ao buscar atualizações do Telegram', {
+          error: error.message,
+          response: error.response?.data
+        });
+
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+      }
+    }
+
+    this.abortController = null;
+  }
+
+  /**
+   * Processa uma atualização recebida
+   */
+  async handleUpdate(update) {
+    if (update.callback_query) {
+      await this.handleCallbackQuery(update.callback_query);
+    } else if (update.message?.text?.startsWith('/')) {
+      await this.handleCommand(update.message);
+    }
+  }
+
+  /**
+   * Verifica se o chat é o configurado para algum dos alvos ou de um nível de escalonamento
+   */
+  isConfiguredChat(chat) {
+    if (!chat) return false;
+
+    return this.isEscalationChat(chat) || monitorManager.forChat(chat.id).length > 0;
+  }
+
+  /**
+   * Verifica se o chat é o de um nível de escalonamento (recebe alertas de todos os alvos)
+   */
+  isEscalationChat(chat) {
+    return config.escalation.levels
+      .some(level => level.telegramChatId && String(level.telegramChatId) === String(chat.id));
+  }
+
+  /**
+   * Monitores que o chat pode consultar e controlar: os alvos que alertam
+   * nele ou, em um chat de escalonamento, todos
+   */
+  chatMonitors(chat) {
+    return this.isEscalationChat(chat) ? monitorManager.monitors : monitorManager.forChat(chat.id);
+  }
+
+  /**
+   * Seleciona os monitores de um comando: o alvo do chat informado no
+   * primeiro argumento ou, sem ele, todos os alvos do chat
+   */
+  selectMonitors(chat, args) {
+    const monitors = this.chatMonitors(chat);
+    const monitor = args.length > 0 ? monitors.find(item => item.target.name === args[0]) : null;
+
+    if (monitor) {
+      return { monitors: [monitor], args: args.slice(1) };
+    }
+
+    return { monitors, args };
+  }
+
+  /**
+   * Executa fn para cada monitor e junta as respostas
+   */
+  async eachMonitor(monitors, fn) {
+    if (monitors.length === 0) {
+      return 'ℹ️ Nenhum alvo monitorado neste chat.';
+    }
+
+    const texts = [];
+    for (const monitor of monitors) {
+      texts.push(await fn(monitor));
+    }
+
+    return texts.join('\n\n');
+  }
+
+  /**
+   * Prefixa o nome do alvo em respostas que não o exibem
+   */
+  withTargetHeader(monitor, text) {
+    const label = monitor.getTargetLabel();
+    return label ? `🎯 **${label}**\n${text}` : text;
+  }
+
+  /**
+   * Verifica se o usuário pode executar ações que alteram o monitor
+   */
+  isAuthorized(user) {
+    return !!user && config.telegram.adminUserIds.includes(String(user.id));
+  }
+
+  /**
+   * Identificação do usuário para logs e registros (escapar com escapeMarkdown
+   * ao exibir no Telegram: o username pode conter "_")
+   */
+  describeUser(user) {
+    if (!user) return 'desconhecido';
+    return user.username ? `@${user.username} (${user.id})` : String(user.id);
+  }
+
+  /**
+   * Registra uma tentativa recusada
+   */
+  logRefused(reason, user, chat, action) {
+    logger.warn('⛔ Comando do Telegram recusado', {
+      reason,
+      user: this.describeUser(user),
+      chatId: chat?.id,
+      action
+    });
+  }
+
+  /**
+   * Executa um comando de barra e responde no chat
+   */
+  async handleCommand(message) {
+    const [rawCommand, ...rawArgs] = message.text.trim().split(/\s+/);
+    // Em grupos o comando pode vir como /status@NomeDoBot
+    const name = rawCommand.slice(1).split('@')[0].toLowerCase();
+    const command = this.commands[name];
+    const user = message.from;
+
+    if (!this.isConfiguredChat(message.chat)) {
+      this.logRefused('chat não configurado', user, message.chat, `/${name}`);
+      return;
+    }
+
+    if (!command) {
+      await this.reply(message, `❓ Comando desconhecido: /${escapeMarkdown(name)}\nUse /help para ver os comandos.`);
+      return;
+    }
+
+    if (command.mutating && !this.isAuthorized(user)) {
+      this.logRefused('usuário sem permissão', user, message.chat, `/${name}`);
+      await this.reply(message, `⛔ Você não tem permissão para executar /${name}.`);
+      return;
+    }
+
+    const { monitors, args } = this.selectMonitors(message.chat, rawArgs);
+
+    logger.info('🤖 Comando recebido do Telegram', {
+      command: name,
+      args,
+      targets: monitors.map(monitor => monitor.target.name),
+      from: this.describeUser(user)
+    });
+
+    let text;
+    try {
+      text = await command.handler(args, user, monitors);
+    } catch (error) {
+      logger.error('Erro ao executar comando do Telegram', {
+        command: name,
+        error: error.message
+      });
+      text = `❌ Erro ao executar /${name}: ${escapeMarkdown(error.message)}`;
+    }
+
+    await this.reply(message, text);
+  }
+
+  /**
+   * Responde a uma mensagem do chat
+   */
+  async reply(message, text) {
+    return await telegramService.sendMessage(this.truncate(text), {
+      chat_id: message.chat.id,
+      reply_to_message_id: message.message_id
+    });
+  }
+
+  /**
+   * Executa a ação de um botão inline e edita a mensagem original
+   */
+  async handleCallbackQuery(query) {
+    const [action, targetName] = (query.data || '').split(':');
+    const message = query.message;
+    const callback = this.callbackHandlers[action];
+    const user = query.from;
+
+    // Aceitar apenas botões enviados ao chat configurado
+    if (!message || !this.isConfiguredChat(message.chat)) {
+      this.logRefused('chat não configurado', user, message?.chat, action);
+      await telegramService.answerCallbackQuery(query.id, '⛔ Chat não autorizado');
+      return;
+    }
+
+    // Botões sem alvo agem sobre o primeiro alvo do chat
+    const monitors = this.chatMonitors(message.chat);
+    const monitor = targetName
+      ? monitors.find(item => item.target.name === targetName)
+      : monitors[0];
+
+    if (!callback || !monitor) {
+      await telegramService.answerCallbackQuery(query.id, '❓ Ação desconhecida');
+      return;
+    }
+
+    if (callback.mutating && !this.isAuthorized(user)) {
+      this.logRefused('usuário sem permissão', user, message.chat, action);
+      await telegramService.answerCallbackQuery(query.id, '⛔ Você não tem permissão para esta ação');
+      return;
+    }
+
+    logger.info('🤖 Ação recebida do Telegram', {
+      action,
+      target: monitor.target.name,
+      from: this.describeUser(user)
+    });
+
+    // Responder imediatamente, a ação pode demorar (ex: verificação)
+    await telegramService.answerCallbackQuery(query.id, '⏳ Processando...');
+
+    let text;
+    try {
+      text = await callback.handler(user, monitor);
+    } catch (error) {
+      logger.error('Erro ao executar ação do Telegram', {
+        action,
+        error: error.message
+      });
+      text = `❌ Erro ao executar ação: ${escapeMarkdown(error.message)}`;
+    }
+
+    const status = await monitor.getStatus();
+
+    await telegramService.editMessageText(
+      message.chat.id,
+      message.message_id,
+      this.truncate(text),
+      telegramService.getStatusButtons(status)
+    );
+  }
+
+  /**
+   * Força uma verificação de saúde
+   */
+  async handleForceCheck(monitor) {
+    const executed = await monitorManager.runChecks([monitor]);
+
+    const status = await monitor.getStatus();
+    const header = executed
+      ? '🔄 **Verificação forçada concluída**'
+      : '⏳ **Verificação já em andamento**, tente novamente em instantes';
+
+    return header + '\n\n' + telegramService.formatStatusSummary(status);
+  }
+
+  /**
+   * Gera relatório completo (diário + performance)
+   */
+  async handleFullReport(monitor) {
+    // O relatório diário é enviado como nova mensagem
+    await monitor.generateDailyReport();
+
+    return this.withTargetHeader(monitor, monitor.performanceTracker.formatPerformanceReport());
+  }
+
+  /**
+   * Alterna entre pausar e retomar o monitor
+   */
+  async handlePauseToggle(user, monitor) {
+    const by = this.describeUser(user);
+
+    if (monitor.isPaused) {
+      monitor.resume({ by });
+    } else {
+      monitor.pause({ by });
+    }
+
+    const status = await monitor.getStatus();
+    const header = status.isPaused ? '⏸️ **Monitor pausado**' : '▶️ **Monitor retomado**';
+
+    return header + '\n\n' + telegramService.formatStatusSummary(status);
+  }
+
+  /**
+   * Reconhece os incidentes e o problema de postbacks em aberto de um alvo
+   */
+  async handleAck(user, monitor) {
+    const { incidents, postbacks } = await monitor.acknowledge(this.describeUser(user));
+
+    if (incidents.length === 0 && !postbacks) {
+      return this.withTargetHeader(monitor, 'ℹ️ Nenhum incidente em aberto aguardando reconhecimento.');
+    }
+
+    const status = await monitor.getStatus();
+    return '👍 **Incidente reconhecido**\n\n' + telegramService.formatStatusSummary(status);
+  }
+
+  /**
+   * Retorna as últimas linhas do log do dia
+   */
+  async handleViewLogs() {
+    let tail;
+    try {
+      tail = await logger.tailCurrentLog(config.telegram.logTailLines);
+    } catch (error) {
+      return `📈 **Logs**\n\nNão foi possível ler o log atual: ${error.message}`;
+    }
+
+    // Crases quebrariam o bloco de código no Markdown
+    tail = tail.replace(/`/g, "'");
+
+    // Manter o final do log quando ultrapassar o limite
+    const maxTail = MAX_MESSAGE_LENGTH - 100;
+    if (tail.length > maxTail) {
+      tail = tail.slice(-maxTail);
+    }
+
+    return `📈 **Últimas linhas do log**\n\n\`\`\`\n${tail || '(vazio)'}\n\`\`\``;
+  }
+
+  /**
+   * /status
+   */
+  async commandStatus(monitor) {
+    const status = await monitor.getStatus();
+    return telegramService.formatStatusSummary(status);
+  }
+
+  /**
+   * /pause [duração] [motivo]
+   */
+  async commandPause(args, user, monitor) {
+    const durationMs = args.length > 0 ? parseDuration(args[0]) : null;
+    const reasonArgs = durationMs ? args.slice(1) : args;
+    const reason = reasonArgs.join(' ') || null;
+
+    monitor.pause({ durationMs, reason, by: this.describeUser(user) });
+
+    const status = await monitor.getStatus();
+    return '⏸️ **Monitor pausado**\n\n' + telegramService.formatStatusSummary(status);
+  }
+
+  /**
+   * /resume
+   */
+  async commandResume(user, monitor) {
+    if (!monitor.isPaused) {
+      return this.withTargetHeader(monitor, 'ℹ️ O monitor não está pausado.');
+    }
+
+    monitor.resume({ by: this.describeUser(user) });
+
+    const status = await monitor.getStatus();
+    return '▶️ **Monitor retomado**\n\n' + telegramService.formatStatusSummary(status);
+  }
+
+  /**
+   * /report [data]
+   */
+  async commandReport(args, monitor) {
+    if (args.length === 0) {
+      return telegramService.formatDailyReport(await monitor.buildDailyReport());
+    }
+
+    const date = moment(args[0], ['DD/MM/YYYY', 'DD/MM/YY', 'YYYY-MM-DD'], true);
+    if (!date.isValid()) {
+      return '❓ Data inválida. Use DD/MM/AAAA ou AAAA-MM-DD.';
+    }
+
+    if (date.isSame(moment(), 'day')) {
+      return telegramService.formatDailyReport(await monitor.buildDailyReport());
+    }
+
+    const report = await monitor.loadDailyReport(date);
+    if (!report) {
+      return this.withTargetHeader(monitor, `📭 Nenhum relatório salvo para ${date.format('DD/MM/YYYY')}.`);
+    }
+
+    return telegramService.formatDailyReport(report);
+  }
+
+  /**
+   * /chart [horas]: gráficos PNG de tempo de resposta e verificações no chat do alvo
+   * (em texto quando TELEGRAM_CHARTS_ENABLED=false)
+   */
+  async commandChart(args, monitor) {
+    const hours = Math.min(Math.max(parseInt(args[0]) || 12, 1), 48);
+    const charts = await monitor.buildCharts(moment().subtract(hours - 1, 'hours'), moment(), 'hour');
+
+    if (charts.length === 0) {
+      const chart = monitor.performanceTracker.generateASCIIChart(hours);
+      return this.withTargetHeader(monitor, `\`\`\`\n${chart}\n\`\`\``);
+    }
+
+    for (const chart of charts.filter(({ name }) => name !== 'uptime')) {
+      await monitor.telegram.sendPhoto(chart.image, chart.caption);
+    }
+
+    return this.withTargetHeader(monitor, `📊 Gráficos das últimas ${hours} horas enviados.`);
+  }
+
+  /**
+   * /errors
+   */
+  async commandErrors(monitor) {
+    const recentErrors = (await monitor.history.getRecent({ method: 'pix', result: 'failure', limit: 10 })).reverse();
+    const activeTypes = Object.entries(monitor.errorHandler.errorState);
+    const label = monitor.getTargetLabel();
+
+    let message = label ? `❌ **ERROS RECENTES - ${label}**\n\n` : '❌ **ERROS RECENTES**\n\n';
+
+    if (recentErrors.length === 0) {
+      message += 'Nenhum erro registrado.\n';
+    } else {
+      recentErrors.forEach(error => {
+        const time = moment(error.time).format('DD/MM HH:mm:ss');
+        message += `• ${time} - ${escapeMarkdown(error.errorType)}: ${escapeMarkdown(error.message)}${error.suppressed ? ' (sem alerta)' : ''}\n`;
+      });
+    }
+
+    if (activeTypes.length > 0) {
+      message += '\n**📈 Erros em andamento:**\n';
+      activeTypes.forEach(([type, state]) => {
+        const since = moment(state.firstOccurrence).format('DD/MM HH:mm');
+        message += `• ${errorHandler.getErrorTypeDescription(type)}: ${state.count}x desde ${since}\n`;
+      });
+    }
+
+    return message;
+  }
+
+  /**
+   * /cost
+   */
+  commandCost(monitor) {
+    const cost = costLedger.getSummary(monitor.target.name);
+    // Últimos 7 dias do calendário, contando hoje
+    const week = costLedger.getPeriodTotals(moment().subtract(6, 'days'), moment(), monitor.target.name);
+    const label = monitor.getTargetLabel();
+
+    let message = label ? `💰 **CUSTO DO MONITORAMENTO - ${label}**\n\n` : '💰 **CUSTO DO MONITORAMENTO**\n\n';
+    message += `• Valor por transação: ${formatCurrency(monitor.target.amount)}\n`;
+    message += `• Hoje: ${cost.today.count} transações (${formatCurrency(cost.today.total)})\n`;
+    message += `• Últimos 7 dias: ${week.count} transações (${formatCurrency(week.total)})\n`;
+    message += `• Este mês: ${cost.month.count} transações (${formatCurrency(cost.month.total)})\n`;
+    message += `• Previsão para o fim do mês: ${formatCurrency(cost.forecast)}\n`;
+
+    return message;
+  }
+
+  /**
+   * Situação dos orçamentos (comum a todos os alvos)
+   */
+  formatBudget() {
+    const budget = costLedger.getBudgetStatus();
+    const lines = telegramService.formatBudgetLines(budget);
+
+    if (!lines) return '';
+
+    let message = `\n**💸 Orçamento:**\n${lines}`;
+    if (budget.exceeded) {
+      message += budget.action === 'stretch'
+        ? `Intervalo multiplicado por ${config.budget.intervalMultiplier} até o fim do período.\n`
+        : 'Usando verificações sem custo até o fim do período.\n';
+    }
+
+    return message;
+  }
+
+  /**
+   * /help
+   */
+  commandHelp(user, monitors) {
+    const authorized = this.isAuthorized(user);
+
+    let message = '🤖 **Comandos do Monitor PIX For4**\n\n';
+
+    Object.entries(this.commands).forEach(([name, command]) => {
+      const usage = command.usage ? ` ${command.usage}` : '';
+      const lock = command.mutating ? ' 🔒' : '';
+      message += `/${name}${usage} - ${command.description}${lock}\n`;
+    });
+
+    if (monitorManager.isMultiTarget()) {
+      const names = monitors.map(monitor => escapeMarkdown(monitor.target.name)).join(', ');
+      message += `\n🎯 Alvos: ${names}\n`;
+      message += 'Informe o alvo como primeiro argumento (ex: /status <alvo>); sem ele, o comando vale para todos os alvos deste chat.\n';
+    }
+
+    message += authorized
+      ? '\n🔓 Você pode executar todos os comandos.'
+      : '\n🔒 Comandos marcados exigem autorização.';
+
+    return message;
+  }
+
+  /**
+   * Trunca texto para caber em uma mensagem do Telegram
+   */
+  truncate(text) {
+    if (text.length <= MAX_MESSAGE_LENGTH) return text;
+
+    return text.slice(0, MAX_MESSAGE_LENGTH) + '\n\n_(mensagem truncada)_';
+  }
+}
+
+module.exports = new TelegramBotService();
@@ -1,12 +1,22 @@
 const axios = require('axios');
+const moment = require('moment-timezone');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { formatCurrency, formatDuration, escapeMarkdown } = require('../utils/dataGenerator');
+const { formatWindow } = require('../utils/calendar');
+const { PHASES, formatPhases } = require('../utils/requestTiming');
 
 class TelegramService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.chatId - Chat de destino (padrão: TELEGRAM_CHAT_ID)
+   * @param {string} options.label - Nome do alvo exibido no rodapé das mensagens
+   */
+  constructor(options = {}) {
     this.baseURL = `https://api.telegram.org/bot${config.telegram.botToken}`;
-    this.chatId = config.telegram.chatId;
-    this.enabled = config.telegram.enabled;
+    this.chatId = options.chatId || config.telegram.chatId;
+    this.label = options.label || null;
 
     // Cliente axios para Telegram
     this.client = axios.create({
@@ -14,7 +24,11 @@ class TelegramService {
       timeout: 10000 // 10 segundos
     });
 
-    // Log de inicialização
+    // Log de inicialização (apenas no serviço principal)
+    if (options.chatId) {
+      return;
+    }
+    
     if (this.enabled) {
       logger.info('📱 Serviço Telegram habilitado');
     } else {
@@ -22,12 +36,21 @@ class TelegramService {
     }
   }
 
+  /**
+   * Notificações habilitadas (ENABLE_NOTIFICATIONS), lidas a cada envio para
+   * acompanhar a recarga da configuração
+   */
+  get enabled() {
+    return config.telegram.enabled;
+  }
+
   /**
    * Envia mensagem para o Telegram
    */
-  async sendMessage(text, options = {}) {
+  async sendMessage(text, options = {}, type = 'message') {
     if (!this.enabled) {
       logger.debug('Notificação Telegram ignorada (desabilitado)');
+      metrics.notificationsTotal.inc({ channel: 'telegram', type, result: 'skipped' });
       return { success: true, skipped: true };
     }
 
@@ -45,6 +68,7 @@ class TelegramService {
       logger.info('✅ Mensagem enviada ao Telegram', {
         messageId: response.data.result.message_id
       });
+      metrics.notificationsTotal.inc({ channel: 'telegram', type, result: 'success' });
 
       return {
         success: true,
@@ -56,6 +80,7 @@ class TelegramService {
         error: error.message,
         response: error.response?.data
       });
+      metrics.notificationsTotal.inc({ channel: 'telegram', type, result: 'failure' });
 
       // Não propagar erro do Telegram para não interromper o monitor
       return {
@@ -70,7 +95,7 @@ class TelegramService {
    */
   async sendErrorAlert(errorMessage, context = {}) {
     const message = this.formatMessage(errorMessage, 'error', context);
-    return await this.sendMessage(message);
+    return await this.sendMessage(message, {}, 'error');
   }
 
   /**
@@ -78,7 +103,7 @@ class TelegramService {
    */
   async sendRecoveryAlert(message, context = {}) {
     const formattedMessage = this.formatMessage(message, 'recovery', context);
-    return await this.sendMessage(formattedMessage);
+    return await this.sendMessage(formattedMessage, {}, 'recovery');
   }
 
   /**
@@ -86,7 +111,7 @@ class TelegramService {
    */
   async sendDailyReport(stats) {
     const message = this.formatDailyReport(stats);
-    return await this.sendMessage(message);
+    return await this.sendMessage(message, {}, 'daily_report');
   }
 
   /**
@@ -98,8 +123,17 @@ class TelegramService {
     // Adicionar rodapé com informações do sistema
     formatted += '\n\n---\n';
     formatted += `🖥️ **Monitor PIX For4**\n`;
+    
+    if (this.label) {
+      formatted += `🎯 **Alvo:** ${this.label}\n`;
+    }
+    
     formatted += `🌍 **Ambiente:** ${config.system.env}\n`;
     
+    if (context.intervalMinutes) {
+      formatted += `⏱️ **Intervalo atual:** ${context.intervalMinutes} minutos\n`;
+    }
+    
     if (context.version) {
       formatted += `📦 **Versão:** ${context.version}\n`;
     }
@@ -113,7 +147,9 @@ class TelegramService {
   formatDailyReport(stats) {
     const { date, checks, errors, uptime, avgResponseTime, totalCost } = stats;
     
-    let message = `📊 **RELATÓRIO DIÁRIO - Sistema PIX For4**\n\n`;
+    const title = stats.targetLabel ? `Sistema PIX For4 (${stats.targetLabel})` : 'Sistema PIX For4';
+    
+    let message = `📊 **RELATÓRIO DIÁRIO - ${title}**\n\n`;
     message += `📅 **Data:** ${date}\n\n`;
     
     message += `**📈 Estatísticas:**\n`;
@@ -121,20 +157,308 @@ class TelegramService {
     message += `• Verificações com sucesso: ${checks.success} ✅\n`;
     message += `• Verificações com erro: ${checks.failed} ❌\n`;
     message += `• Uptime: ${uptime}%\n`;
-    message += `• Tempo médio de resposta: ${avgResponseTime}ms\n\n`;
+    message += `• Tempo médio de resposta: ${avgResponseTime}ms\n`;
+    
+    if (stats.incidents) {
+      message += this.formatIncidentLines(stats.incidents);
+    }
+    message += '\n';
+    
+    if (stats.slos && stats.slos.length > 0) {
+      message += `**🎯 SLOs:**\n`;
+      stats.slos.forEach(slo => {
+        message += `• ${this.formatSloLine(slo)}\n`;
+      });
+      message += '\n';
+    }
+    
+    if (stats.schedule) {
+      message += `**🗓️ Agenda (previstas x executadas):**\n`;
+      stats.schedule.profiles.forEach(profile => {
+        const interval = profile.intervalMinutes ? ` (${profile.intervalMinutes} min)` : '';
+        message += `• ${profile.name}${interval}: ${profile.planned} x ${profile.executed}\n`;
+      });
+      message += `• Total: ${stats.schedule.planned} x ${stats.schedule.executed}`;
+      message += stats.schedule.manual > 0 ? ` (+${stats.schedule.manual} forçadas)\n\n` : '\n\n';
+    }
     
     if (errors.length > 0) {
       message += `**❌ Erros Detectados:**\n`;
       errors.forEach(error => {
-        message += `• ${error.time} - ${error.type}: ${error.message}\n`;
+        message += `• ${error.time} - ${escapeMarkdown(error.type)}: ${escapeMarkdown(error.message)}${error.suppressed ? ' (sem alerta)' : ''}\n`;
       });
       message += '\n';
     }
     
+    if (stats.card) {
+      message += `**💳 Cartão de Crédito:**\n`;
+      message += `• Total de verificações: ${stats.card.checks.total}\n`;
+      message += `• Verificações com sucesso: ${stats.card.checks.success} ✅\n`;
+      message += `• Verificações com erro: ${stats.card.checks.failed} ❌\n`;
+      message += `• Uptime: ${stats.card.uptime}%\n`;
+      message += `• Tempo médio de resposta: ${stats.card.avgResponseTime}ms\n`;
+      
+      if (stats.card.incidents) {
+        message += this.formatIncidentLines(stats.card.incidents);
+      }
+      
+      if (stats.card.errors.length > 0) {
+        message += `• Erros:\n`;
+        stats.card.errors.forEach(error => {
+          message += `  ◦ ${error.time} - ${escapeMarkdown(error.type)}: ${escapeMarkdown(error.message)}${error.suppressed ? ' (sem alerta)' : ''}\n`;
+        });
+      }
+      message += '\n';
+    }
+    
     message += `**💰 Custo do Monitoramento:**\n`;
-    message += `• Transações realizadas: ${checks.total}\n`;
-    message += `• Valor por transação: R$ 5,00\n`;
-    message += `• Custo total do dia: R$ ${totalCost.toFixed(2)}\n`;
+    
+    // Relatórios antigos não têm o detalhamento do registro de custos
+    if (stats.cost) {
+      message += `• Transações criadas: ${stats.cost.transactions}\n`;
+      message += `• Valor por transação: ${formatCurrency(stats.cost.amountPerTransaction)}\n`;
+      message += `• Custo total do dia: R$ ${totalCost.toFixed(2)}\n`;
+      message += `• Gasto no mês: ${formatCurrency(stats.cost.month)}\n`;
+      message += `• Previsão para o fim do mês: ${formatCurrency(stats.cost.forecast)}\n`;
+    } else {
+      message += `• Transações realizadas: ${checks.total}\n`;
+      message += `• Custo total do dia: R$ ${totalCost.toFixed(2)}\n`;
+    }
+    
+    if (stats.budget) {
+      message += this.formatBudgetLines(stats.budget);
+    }
+    
+    return message;
+  }
+
+  /**
+   * Linhas com incidentes, indisponibilidade, MTTR e MTBF do dia e dos últimos 30 dias
+   */
+  formatIncidentLines(incidents) {
+    const { today, last30Days } = incidents;
+    const format = ms => ms === null ? '-' : formatDuration(ms);
+    
+    let message = `• Incidentes hoje: ${today.count} (indisponível por ${formatDuration(today.downtimeMs)})\n`;
+    message += `• Incidentes em 30 dias: ${last30Days.count} | MTTR: ${format(last30Days.mttrMs)} | MTBF: ${format(last30Days.mtbfMs)}\n`;
+    
+    return message;
+  }
+
+  /**
+   * Formata o relatório semanal ou mensal de SLA
+   */
+  formatPeriodReport(report) {
+    const title = report.targetLabel ? `Sistema PIX For4 (${report.targetLabel})` : 'Sistema PIX For4';
+    const kind = report.period === 'weekly' ? 'SEMANAL' : 'MENSAL';
+    const to = moment(report.to).subtract(1, 'ms');
+    const previousTo = moment(report.from).subtract(1, 'ms');
+    
+    let message = `📊 **RELATÓRIO ${kind} DE SLA - ${title}**\n\n`;
+    message += `📅 **Período:** ${moment(report.from).format('DD/MM/YYYY')} a ${to.format('DD/MM/YYYY')}\n`;
+    message += `↔️ Comparado com ${moment(report.previousFrom).format('DD/MM/YYYY')} a ${previousTo.format('DD/MM/YYYY')}\n\n`;
+    
+    message += `**📈 PIX:**\n`;
+    message += this.formatSlaLines(report.pix);
+    
+    if (report.card) {
+      message += `**💳 Cartão de Crédito:**\n`;
+      message += this.formatSlaLines(report.card);
+    }
+    
+    message += `**💰 Custo do Monitoramento:**\n`;
+    message += `• Transações criadas: ${report.cost.count} (anterior: ${report.previousCost.count})\n`;
+    message += `• Total: ${formatCurrency(report.cost.total)} (anterior: ${formatCurrency(report.previousCost.total)})\n`;
+    
+    return message;
+  }
+
+  /**
+   * Linhas de SLA de um método (uptime, latência, erros e incidentes), com o período anterior
+   */
+  formatSlaLines(sla) {
+    const { previous } = sla;
+    const format = ms => ms === null ? '-' : formatDuration(ms);
+    const latency = ms => ms === null ? '-' : `${ms}ms`;
+    const change = sla.uptime - previous.uptime;
+    const arrow = change > 0 ? '▲' : change < 0 ? '▼' : '=';
+    
+    let message = `• Uptime: ${sla.uptime.toFixed(3)}% (anterior: ${previous.uptime.toFixed(3)}%, ${arrow} ${Math.abs(change).toFixed(3)} p.p.)\n`;
+    message += `• Indisponibilidade: ${formatDuration(sla.incidents.downtimeMs)} (anterior: ${formatDuration(previous.downtimeMs)})\n`;
+    message += `• Verificações: ${sla.checks.total} (✅ ${sla.checks.success} | ❌ ${sla.checks.failed}) (anterior: ${previous.checks.total})\n`;
+    message += `• Latência: média ${latency(sla.latency.avg)} | p50 ${latency(sla.latency.p50)} | p95 ${latency(sla.latency.p95)} | p99 ${latency(sla.latency.p99)}`;
+    message += ` (p95 anterior: ${latency(previous.latency.p95)})\n`;
+    message += `• Incidentes: ${sla.incidents.count} (anterior: ${previous.incidents}) | MTTR: ${format(sla.incidents.mttrMs)} | MTBF: ${format(sla.incidents.mtbfMs)}\n`;
+    
+    const errorTypes = Object.entries(sla.errorsByType).sort((a, b) => b[1] - a[1]);
+    if (errorTypes.length > 0) {
+      message += `• Erros por tipo:\n`;
+      errorTypes.forEach(([type, count]) => {
+        message += `  ◦ ${escapeMarkdown(type)}: ${count}\n`;
+      });
+    }
+    
+    // Limitar a lista para não estourar o tamanho da mensagem
+    const incidents = sla.incidentList || [];
+    if (incidents.length > 0) {
+      message += `• Incidentes do período:\n`;
+      incidents.slice(-10).forEach(incident => {
+        const duration = incident.endedAt ? formatDuration(incident.durationMs) : 'em aberto';
+        message += `  ◦ ${incident.id} - ${moment(incident.startedAt).format('DD/MM HH:mm')} (${duration}) ${escapeMarkdown(incident.errorTypes.join(', '))}\n`;
+      });
+      
+      if (incidents.length > 10) {
+        message += `  ◦ ... e mais ${incidents.length - 10} anteriores\n`;
+      }
+    }
+    
+    return message + '\n';
+  }
+
+  /**
+   * Descrição de um SLO ("99.5% das verificações PIX com sucesso em até 3000ms, 30 dias")
+   */
+  describeSlo(slo) {
+    const method = slo.method === 'pix' ? 'PIX' : 'de cartão';
+    const latency = slo.latencyMs ? ` em até ${slo.latencyMs}ms` : '';
+    
+    return `${slo.objective}% das verificações ${method} com sucesso${latency}, ${slo.windowDays} dias`;
+  }
+
+  /**
+   * Linha com SLI e orçamento de erros restante de um SLO
+   */
+  formatSloLine(slo) {
+    if (slo.sli === null) {
+      return `${slo.name}: sem verificações na janela`;
+    }
+    
+    let line = `${slo.name}: SLI ${slo.sli.toFixed(3)}% (objetivo ${slo.objective}%) | orçamento restante ${slo.budgetRemaining}%`;
+    
+    if (slo.exhausted) {
+      line += ' 🪫 esgotado';
+    } else if (slo.burning) {
+      line += slo.burning === 'fast' ? ' 🔥 consumo rápido' : ' 🔥 consumo lento';
+    }
+    
+    return line;
+  }
+
+  /**
+   * Alerta de SLO: consumo acelerado do orçamento de erros ('burn') ou orçamento esgotado ('exhausted')
+   */
+  formatSloAlert(slo, kind) {
+    const target = this.label ? ` - ${this.label}` : '';
+    let message;
+    
+    if (kind === 'burn') {
+      const { fastBurnRate, slowBurnRate } = config.slo;
+      const windows = slo.burning === 'fast'
+        ? { label: `rápido (1h e 5min acima de ${fastBurnRate}x)`, long: '1h', short: '5min' }
+        : { label: `lento (6h e 30min acima de ${slowBurnRate}x)`, long: '6h', short: '30min' };
+      const rates = slo.burnRates[slo.burning];
+      
+      message = `🔥 **CONSUMO ACELERADO DO ORÇAMENTO DE ERROS${target}**\n\n`;
+      message += `🎯 **SLO:** ${slo.name} (${this.describeSlo(slo)})\n`;
+      message += `⚡ **Consumo:** ${windows.label}\n`;
+      message += `📈 **Burn rate:** ${windows.long} ${rates.long.toFixed(1)}x | ${windows.short} ${rates.short.toFixed(1)}x\n`;
+    } else {
+      message = `🪫 **ORÇAMENTO DE ERROS ESGOTADO${target}**\n\n`;
+      message += `🎯 **SLO:** ${slo.name} (${this.describeSlo(slo)})\n`;
+      message += `❌ **Fora do objetivo:** ${slo.bad} de ${slo.total} verificações\n`;
+    }
+    
+    message += `📊 **SLI:** ${slo.sli === null ? '-' : `${slo.sli.toFixed(3)}%`} (objetivo ${slo.objective}%)\n`;
+    message += `💰 **Orçamento restante:** ${slo.budgetRemaining}%\n`;
+    
+    if (kind === 'exhausted') {
+      message += `\n🔧 **Ação Recomendada:** Tratar a estabilidade como prioridade até o SLI voltar ao objetivo`;
+    }
+    
+    return message;
+  }
+
+  /**
+   * Alerta de latência degradada (verificações com sucesso, mas lentas)
+   * @param {Object} status - Resultado de PerformanceTracker.evaluateLatency
+   * @param {number} windowChecks - Verificações consideradas na média recente
+   */
+  formatDegradedAlert(status, windowChecks) {
+    const { baseline } = status;
+    
+    let message = status.level === 'critical'
+      ? '🐢 **LATÊNCIA CRÍTICA NO PIX**\n\n'
+      : '🐢 **LATÊNCIA ELEVADA NO PIX**\n\n';
+    message += 'As transações estão sendo criadas, mas mais devagar que o normal\n\n';
+    message += `⏱️ **Tempo médio recente:** ${status.average}ms (últimas ${windowChecks} verificações)\n`;
+    message += baseline.average !== null
+      ? `📏 **Linha de base (${baseline.hour}):** ${baseline.average}ms (média de ${baseline.days} dia(s))\n`
+      : '📏 **Linha de base:** ainda sem dados do horário\n';
+    message += `📌 **Motivo:** ${status.reasons.join('; ')}\n`;
+    
+    if (status.phases) {
+      const typical = {};
+      PHASES.forEach(phase => {
+        typical[phase] = status.typicalPhases[phase].count > 0 ? status.typicalPhases[phase].p50 : null;
+      });
+      
+      message += `🔬 **Fases (média recente):** ${formatPhases(status.phases)}\n`;
+      message += `📐 **Fases (mediana habitual):** ${formatPhases(typical)}\n`;
+    }
+    
+    message += `📅 **Horário:** ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
+    
+    return message;
+  }
+
+  /**
+   * Normalização da latência após um alerta de degradação
+   */
+  formatDegradedRecovery(status, durationMs) {
+    const { baseline } = status;
+    
+    let message = '✅ **LATÊNCIA DO PIX NORMALIZADA**\n\n';
+    message += `⏱️ **Tempo médio recente:** ${status.average}ms\n`;
+    if (baseline.average !== null) {
+      message += `📏 **Linha de base (${baseline.hour}):** ${baseline.average}ms\n`;
+    }
+    message += `⏳ **Duração da degradação:** ${formatDuration(durationMs)}\n`;
+    message += `📅 **Horário:** ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
+    
+    return message;
+  }
+
+  /**
+   * Linhas com a situação da agenda (janela ativa, feriado) e próximas janelas de manutenção
+   */
+  formatCalendarLines(calendarStatus) {
+    let message = '';
+    
+    if (calendarStatus.reason) {
+      const effect = !calendarStatus.shouldCheck ? 'sem verificações' : 'sem alertas';
+      message += `🗓️ ${calendarStatus.reason} (${effect})\n`;
+    }
+    
+    calendarStatus.upcomingWindows.forEach(window => {
+      message += `🛠️ Próxima manutenção: ${formatWindow(window)}\n`;
+    });
+    
+    return message;
+  }
+
+  /**
+   * Linhas com a situação dos orçamentos configurados
+   */
+  formatBudgetLines(budget) {
+    const names = { daily: 'diário', monthly: 'mensal' };
+    let message = '';
+    
+    Object.entries(names).forEach(([period, name]) => {
+      const { limit, spent, percent, exceeded } = budget[period];
+      if (!limit) return;
+      
+      message += `• Orçamento ${name}: ${formatCurrency(spent)} de ${formatCurrency(limit)} (${percent}%)${exceeded ? ' 💸 estourado' : ''}\n`;
+    });
     
     return message;
   }
@@ -178,8 +502,9 @@ class TelegramService {
   /**
    * Envia botões inline para ações rápidas
    */
-  async sendMessageWithButtons(text, buttons) {
+  async sendMessageWithButtons(text, buttons, type = 'message') {
     if (!this.enabled) {
+      metrics.notificationsTotal.inc({ channel: 'telegram', type, result: 'skipped' });
       return { success: true, skipped: true };
     }
 
@@ -194,6 +519,8 @@ class TelegramService {
       };
 
       const response = await this.client.post('/sendMessage', payload);
+      metrics.notificationsTotal.inc({ channel: 'telegram', type, result: 'success' });
+      
       return {
         success: true,
         messageId: response.data.result.message_id
@@ -203,6 +530,7 @@ class TelegramService {
       logger.error('Erro ao enviar mensagem com botões', {
         error: error.message
       });
+      metrics.notificationsTotal.inc({ channel: 'telegram', type, result: 'failure' });
       
       return {
         success: false,
@@ -212,12 +540,138 @@ class TelegramService {
   }
 
   /**
-   * Formata e envia status resumido
+   * Envia uma imagem PNG (sendPhoto, multipart) com legenda
+   * @param {Buffer} image - Imagem PNG
+   * @param {string} caption - Legenda (Markdown)
+   * @param {Object} options - Campos extras (ex: chat_id, reply_to_message_id)
    */
-  async sendStatusSummary(status) {
-    let message = '📊 **STATUS DO MONITOR PIX**\n\n';
+  async sendPhoto(image, caption = '', options = {}, type = 'message') {
+    if (!this.enabled) {
+      metrics.notificationsTotal.inc({ channel: 'telegram', type, result: 'skipped' });
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const form = new FormData();
+      Object.entries({ chat_id: this.chatId, caption, parse_mode: 'Markdown', ...options }).forEach(([key, value]) => {
+        form.append(key, String(value));
+      });
+      form.append('photo', new Blob([image], { type: 'image/png' }), 'grafico.png');
+
+      const response = await this.client.post('/sendPhoto', form, { timeout: 30000 });
+      metrics.notificationsTotal.inc({ channel: 'telegram', type, result: 'success' });
+
+      return {
+        success: true,
+        messageId: response.data.result.message_id
+      };
+
+    } catch (error) {
+      logger.error('❌ Erro ao enviar imagem Telegram', {
+        error: error.message,
+        response: error.response?.data
+      });
+      metrics.notificationsTotal.inc({ channel: 'telegram', type, result: 'failure' });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Busca atualizações do bot via long polling (getUpdates)
+   */
+  async getUpdates(offset, options = {}) {
+    const timeout = options.timeout ?? config.telegram.pollingTimeoutSeconds;
+
+    const response = await this.client.get('/getUpdates', {
+      params: {
+        offset,
+        timeout,
+        allowed_updates: JSON.stringify(['message', 'callback_query'])
+      },
+      // O long polling segura a requisição por até `timeout` segundos
+      timeout: (timeout + 10) * 1000,
+      signal: options.signal
+    });
+
+    return response.data.result;
+  }
+
+  /**
+   * Responde a um callback query (remove o "carregando" do botão)
+   */
+  async answerCallbackQuery(callbackQueryId, text = '') {
+    try {
+      await this.client.post('/answerCallbackQuery', {
+        callback_query_id: callbackQueryId,
+        text
+      });
+
+      return { success: true };
+
+    } catch (error) {
+      logger.error('Erro ao responder callback query', {
+        error: error.message,
+        response: error.response?.data
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Edita o texto de uma mensagem já enviada
+   */
+  async editMessageText(chatId, messageId, text, buttons = null) {
+    try {
+      const payload = {
+        chat_id: chatId,
+        message_id: messageId,
+        text,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      };
+
+      if (buttons) {
+        payload.reply_markup = { inline_keyboard: buttons };
+      }
+
+      await this.client.post('/editMessageText', payload);
+
+      return { success: true };
+
+    } catch (error) {
+      logger.error('Erro ao editar mensagem Telegram', {
+        error: error.message,
+        response: error.response?.data
+      });
+
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Formata status resumido
+   */
+  formatStatusSummary(status) {
+    let message = status.targetLabel
+      ? `📊 **STATUS DO MONITOR PIX - ${status.targetLabel}**\n\n`
+      : '📊 **STATUS DO MONITOR PIX**\n\n';
     
-    if (status.isHealthy) {
+    if (status.isHealthy && status.degraded) {
+      message += status.degraded.level === 'critical'
+        ? `🐢 Sistema funcionando, com latência crítica desde ${status.degraded.since}\n\n`
+        : `🐢 Sistema funcionando, com latência elevada desde ${status.degraded.since}\n\n`;
+    } else if (status.isHealthy) {
       message += '✅ Sistema funcionando normalmente\n\n';
     } else {
       message += '❌ Sistema com problemas\n\n';
@@ -227,24 +681,100 @@ class TelegramService {
     message += `📈 Verificações hoje: ${status.checksToday}\n`;
     message += `💰 Custo hoje: R$ ${status.costToday.toFixed(2)}\n`;
     
+    if (status.intervalMinutes) {
+      const profile = status.scheduleProfile && status.scheduleProfile !== 'padrão' ? ` (perfil ${status.scheduleProfile})` : '';
+      message += `⏱️ Intervalo atual: ${status.intervalMinutes} minutos${profile}\n`;
+    }
+    
+    if (status.incident) {
+      message += `🚨 Incidente desde ${status.incident.since}`;
+      message += status.incident.capped
+        ? ' (limite de gasto extra atingido)\n'
+        : ` (gasto extra R$ ${status.incident.extraSpend.toFixed(2)})\n`;
+    }
+    
+    if (status.calendar) {
+      message += this.formatCalendarLines(status.calendar);
+    }
+    
+    (status.slos || []).forEach(slo => {
+      message += `🎯 SLO ${this.formatSloLine(slo)}\n`;
+    });
+    
+    (status.openIncidents || []).forEach(incident => {
+      message += `🆔 ${incident.id} (${incident.method}) desde ${incident.startedAt}`;
+      message += incident.acknowledgedBy ? ` - 👍 ${escapeMarkdown(incident.acknowledgedBy)}\n` : ' - não reconhecido\n';
+    });
+    
+    if (status.costForecast !== undefined) {
+      message += `📆 Previsão do mês: R$ ${status.costForecast.toFixed(2)}\n`;
+    }
+    
+    if (status.budget?.exceeded) {
+      message += status.budget.action === 'stretch'
+        ? '💸 Orçamento estourado: intervalo ampliado\n'
+        : '💸 Orçamento estourado: usando verificações sem custo\n';
+    }
+    
+    if (status.card) {
+      message += `💳 Cartão: ${status.card.isHealthy ? '✅ OK' : '❌ com problemas'} (uptime ${status.card.uptime}%)\n`;
+    }
+    
+    if (status.postbacks?.enabled) {
+      message += `📮 Postbacks: ${status.postbacks.healthy ? 'OK' : 'com problemas'}`;
+      message += ` (latência média ${status.postbacks.avgLatency}ms, pendentes ${status.postbacks.pending})\n`;
+    }
+    
+    if (status.isPaused) {
+      message += `⏸️ Monitor pausado`;
+      message += status.pausedUntil ? ` até ${status.pausedUntil}\n` : '\n';
+      if (status.pauseReason) {
+        message += `📝 Motivo: ${escapeMarkdown(status.pauseReason)}\n`;
+      }
+    }
+    
     if (status.lastError) {
       message += `\n⚠️ Último erro: ${status.lastError.time}\n`;
       message += `Tipo: ${status.lastError.type}\n`;
     }
     
-    const buttons = [
+    return message;
+  }
+
+  /**
+   * Monta os botões de ações rápidas do status resumido
+   */
+  getStatusButtons(status = {}) {
+    // As ações agem sobre o alvo do status (callback "acao:alvo")
+    const data = action => (status.target ? `${action}:${status.target}` : action);
+    
+    const pauseButton = status.isPaused
+      ? { text: '▶️ Retomar Monitor', callback_data: data('pause_monitor') }
+      : { text: '⏸️ Pausar Monitor', callback_data: data('pause_monitor') };
+
+    return [
       [
-        { text: '🔄 Forçar Verificação', callback_data: 'force_check' },
-        { text: '📊 Relatório Completo', callback_data: 'full_report' }
+        { text: '🔄 Forçar Verificação', callback_data: data('force_check') },
+        { text: '📊 Relatório Completo', callback_data: data('full_report') }
       ],
       [
-        { text: '⏸️ Pausar Monitor', callback_data: 'pause_monitor' },
+        pauseButton,
         { text: '📈 Ver Logs', callback_data: 'view_logs' }
       ]
     ];
+  }
+
+  /**
+   * Formata e envia status resumido
+   */
+  async sendStatusSummary(status) {
+    const message = this.formatStatusSummary(status);
+    const buttons = this.getStatusButtons(status);
     
-    return await this.sendMessageWithButtons(message, buttons);
+    return await this.sendMessageWithButtons(message, buttons, 'status_summary');
   }
 }
 
-module.exports = new TelegramService();
\ No newline at end of file
+module.exports = new TelegramService();
+module.exports.TelegramService = TelegramService;
+module.exports.escapeMarkdown = escapeMarkdown;
\ No newline at end of file
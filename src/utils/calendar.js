@@ -0,0 +1,218 @@
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const { isWithinMonitoringHours } = require('./dataGenerator');
+
+// Feriados nacionais de data fixa (MM-DD)
+const FIXED_HOLIDAYS = {
+  '01-01': 'Confraternização Universal',
+  '04-21': 'Tiradentes',
+  '05-01': 'Dia do Trabalho',
+  '09-07': 'Independência do Brasil',
+  '10-12': 'Nossa Senhora Aparecida',
+  '11-02': 'Finados',
+  '11-15': 'Proclamação da República',
+  '11-20': 'Dia Nacional de Zumbi e da Consciência Negra',
+  '12-25': 'Natal'
+};
+
+/**
+ * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return moment({ year, month: month - 1, day });
+}
+
+/**
+ * Feriados nacionais do ano: { 'YYYY-MM-DD': nome }
+ */
+function getNationalHolidays(year) {
+  const holidays = {};
+
+  Object.entries(FIXED_HOLIDAYS).forEach(([monthDay, name]) => {
+    holidays[`${year}-${monthDay}`] = name;
+  });
+
+  holidays[getEasterSunday(year).subtract(2, 'days').format('YYYY-MM-DD')] = 'Sexta-feira Santa';
+
+  return holidays;
+}
+
+/**
+ * Feriado da data (nacional, se habilitado, ou da lista própria)
+ * @returns {Object|null} { date, name }
+ */
+function getHoliday(date = moment()) {
+  const day = moment(date);
+  const key = day.format('YYYY-MM-DD');
+  const { national, custom } = config.calendar.holidays;
+
+  if (national) {
+    const name = getNationalHolidays(day.year())[key];
+    if (name) return { date: key, name };
+  }
+
+  const holiday = custom.find(entry => entry.date === key || entry.monthDay === day.format('MM-DD'));
+  return holiday ? { date: key, name: holiday.name } : null;
+}
+
+/**
+ * Verifica se o horário está dentro da agenda do alvo (MONITOR_SCHEDULE ou
+ * MONITOR_START_HOUR/MONITOR_END_HOUR)
+ */
+function isScheduled(target, date = moment()) {
+  if (!target.schedule) {
+    return isWithinMonitoringHours(target.startHour, target.endHour, date);
+  }
+
+  const now = moment(date);
+  const minute = now.hours() * 60 + now.minutes();
+  const yesterday = (now.day() + 6) % 7;
+
+  const today = (target.schedule[now.day()] || []).some(({ start, end }) => (
+    end > start ? minute >= start && minute < end : minute >= start
+  ));
+
+  // Faixas como "22-6" continuam na madrugada do dia seguinte
+  const fromYesterday = (target.schedule[yesterday] || []).some(({ start, end }) => (
+    end <= start && minute < end
+  ));
+
+  return today || fromYesterday;
+}
+
+/**
+ * Janelas de manutenção que valem para o alvo
+ */
+function getMaintenanceWindows(target) {
+  return config.calendar.maintenanceWindows.filter(window => (
+    window.targets.length === 0 || window.targets.includes(target.name)
+  ));
+}
+
+/**
+ * Janela de manutenção em andamento
+ */
+function getActiveWindow(target, date = moment()) {
+  const now = moment(date);
+  return getMaintenanceWindows(target)
+    .find(window => now.isSameOrAfter(window.start) && now.isBefore(window.end)) || null;
+}
+
+/**
+ * Próximas janelas de manutenção, da mais próxima para a mais distante
+ */
+function getUpcomingWindows(target, limit = 5, date = moment()) {
+  const now = moment(date);
+  return getMaintenanceWindows(target)
+    .filter(window => moment(window.start).isAfter(now))
+    .sort((a, b) => moment(a.start).diff(moment(b.start)))
+    .slice(0, limit);
+}
+
+/**
+ * Situação da agenda para o alvo: se deve verificar, se deve alertar e o motivo
+ * @returns {Object} { shouldCheck, shouldAlert, reason, window, holiday }
+ */
+function getCalendarState(target, date = moment()) {
+  const window = getActiveWindow(target, date);
+  const holiday = getHoliday(date);
+  const holidayAction = config.calendar.holidays.action;
+
+  const state = { shouldCheck: true, shouldAlert: true, reason: null, window, holiday };
+
+  if (!isScheduled(target, date)) {
+    state.reason = 'Fora do horário de monitoramento';
+    state.shouldCheck = false;
+    state.shouldAlert = false;
+  } else if (window) {
+    state.reason = `Janela de manutenção: ${window.reason}`;
+    state.shouldCheck = window.action !== 'skip';
+    state.shouldAlert = false;
+  } else if (holiday) {
+    state.reason = `Feriado: ${holiday.name}`;
+    state.shouldCheck = holidayAction !== 'skip';
+    state.shouldAlert = false;
+  }
+
+  return state;
+}
+
+/**
+ * Perfil de intervalo do horário (SCHEDULE_PROFILES); fora dos perfis, o intervalo padrão do alvo
+ * @returns {Object} { name, intervalMinutes }
+ */
+function getScheduleProfile(target, date = moment()) {
+  const now = moment(date);
+  const minute = now.hours() * 60 + now.minutes();
+
+  const profile = (target.profiles || []).find(({ start, end }) => (
+    start < end ? minute >= start && minute < end : minute >= start || minute < end
+  ));
+
+  return profile || { name: 'padrão', intervalMinutes: target.intervalMinutes };
+}
+
+/**
+ * Indica se o minuto é horário de verificação para o intervalo. Conta os minutos
+ * desde a época Unix no horário local (config.system.timezone), então os horários
+ * partem da meia-noite local (ex: 120 às horas pares, 1440 à 00:00) e intervalos
+ * que não dividem 60 (ex: 45, 90, 7) seguem a mesma cadência na virada da hora e do dia
+ */
+function isSlot(intervalMinutes, date = moment()) {
+  const local = moment.tz(date, config.system.timezone);
+  return (Math.floor(local.valueOf() / 60000) + local.utcOffset()) % intervalMinutes === 0;
+}
+
+/**
+ * Verificações previstas no período pela agenda e pelos perfis do alvo: { perfil: quantidade }
+ */
+function getPlannedChecks(target, from, to = moment()) {
+  const planned = {};
+
+  for (let minute = moment(from).startOf('minute'); minute.isSameOrBefore(to); minute.add(1, 'minute')) {
+    const profile = getScheduleProfile(target, minute);
+
+    if (isSlot(profile.intervalMinutes, minute) && getCalendarState(target, minute).shouldCheck) {
+      planned[profile.name] = (planned[profile.name] || 0) + 1;
+    }
+  }
+
+  return planned;
+}
+
+/**
+ * Formata uma janela de manutenção para mensagens ("10/03 02:00 às 10/03 06:00 - motivo")
+ */
+function formatWindow(window) {
+  const action = window.action === 'skip' ? 'sem verificações' : 'sem alertas';
+  return `${moment(window.start).format('DD/MM HH:mm')} às ${moment(window.end).format('DD/MM HH:mm')} - ${window.reason} (${action})`;
+}
+
+module.exports = {
+  getEasterSunday,
+  getNationalHolidays,
+  getHoliday,
+  isScheduled,
+  getActiveWindow,
+  getUpcomingWindows,
+  getCalendarState,
+  getScheduleProfile,
+  isSlot,
+  getPlannedChecks,
+  formatWindow
+};
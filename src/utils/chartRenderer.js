@@ -0,0 +1,344 @@
+const { PNG } = require('pngjs');
+
+// Fonte bitmap 5x7: cada linha é uma máscara de 5 bits (bit 4 = coluna da esquerda)
+const FONT = {
+  '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+  '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+  '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+  '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+  '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+  '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+  '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+  '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+  'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+  'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+  'D': [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+  'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+  'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+  'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+  'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+  'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+  'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+  'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+  'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+  'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+  'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+  'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+  'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+  'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+  'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+  'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+  '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+  ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+  '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+  '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+  '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+  '<': [0x02, 0x04, 0x08, 0x10, 0x08, 0x04, 0x02],
+  ' ': [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+};
+
+// Escala da fonte (cada ponto da fonte vira um quadrado de SCALE x SCALE pixels)
+const SCALE = 2;
+const CHAR_WIDTH = 6 * SCALE;
+const CHAR_HEIGHT = 7 * SCALE;
+
+const COLORS = {
+  background: [255, 255, 255],
+  grid: [230, 230, 230],
+  axis: [120, 120, 120],
+  text: [60, 60, 60],
+  average: [33, 115, 230],
+  p95: [240, 140, 30],
+  success: [46, 160, 67],
+  failure: [214, 39, 40],
+  uptimeGood: [46, 160, 67],
+  uptimeFair: [140, 200, 90],
+  uptimeWarning: [240, 190, 40],
+  uptimeBad: [214, 39, 40],
+  noData: [200, 200, 200]
+};
+
+// Faixas de cor das células de uptime (a partir do maior mínimo)
+const UPTIME_BANDS = [
+  { min: 99.9, color: COLORS.uptimeGood, label: '99.9%' },
+  { min: 99, color: COLORS.uptimeFair, label: '99%' },
+  { min: 95, color: COLORS.uptimeWarning, label: '95%' },
+  { min: -Infinity, color: COLORS.uptimeBad, label: '<95%' }
+];
+
+const CHART_SIZE = { width: 800, height: 360 };
+const MARGIN = { left: 70, right: 20, top: 44, bottom: 40 };
+
+/**
+ * Imagem RGB em memória com as primitivas de desenho dos gráficos
+ */
+class Canvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.png = new PNG({ width, height });
+    this.fillRect(0, 0, width, height, COLORS.background);
+  }
+
+  setPixel(x, y, [r, g, b]) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+    const index = (this.width * y + x) << 2;
+    this.png.data[index] = r;
+    this.png.data[index + 1] = g;
+    this.png.data[index + 2] = b;
+    this.png.data[index + 3] = 255;
+  }
+
+  fillRect(x, y, width, height, color) {
+    for (let row = Math.round(y); row < Math.round(y + height); row++) {
+      for (let col = Math.round(x); col < Math.round(x + width); col++) {
+        this.setPixel(col, row, color);
+      }
+    }
+  }
+
+  /**
+   * Linha com espessura (Bresenham, desenhando um quadrado em cada ponto)
+   */
+  drawLine(x0, y0, x1, y1, color, thickness = 1) {
+    let [x, y] = [Math.round(x0), Math.round(y0)];
+    const [endX, endY] = [Math.round(x1), Math.round(y1)];
+    const dx = Math.abs(endX - x);
+    const dy = -Math.abs(endY - y);
+    const stepX = x < endX ? 1 : -1;
+    const stepY = y < endY ? 1 : -1;
+    const offset = Math.floor(thickness / 2);
+    let error = dx + dy;
+
+    for (;;) {
+      this.fillRect(x - offset, y - offset, thickness, thickness, color);
+      if (x === endX && y === endY) break;
+
+      const doubled = 2 * error;
+      if (doubled >= dy) {
+        error += dy;
+        x += stepX;
+      }
+      if (doubled <= dx) {
+        error += dx;
+        y += stepY;
+      }
+    }
+  }
+
+  /**
+   * Texto na fonte bitmap (maiúsculas, sem acentos)
+   */
+  drawText(x, y, text, color = COLORS.text) {
+    normalizeText(text).split('').forEach((char, index) => {
+      const glyph = FONT[char] || FONT[' '];
+
+      glyph.forEach((row, rowIndex) => {
+        for (let col = 0; col < 5; col++) {
+          if (row & (0x10 >> col)) {
+            this.fillRect(x + index * CHAR_WIDTH + col * SCALE, y + rowIndex * SCALE, SCALE, SCALE, color);
+          }
+        }
+      });
+    });
+  }
+
+  toBuffer() {
+    return PNG.sync.write(this.png, { colorType: 2 });
+  }
+}
+
+/**
+ * Texto aceito pela fonte: maiúsculas e sem acentos
+ */
+function normalizeText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+}
+
+/**
+ * Largura do texto em pixels
+ */
+function textWidth(text) {
+  return normalizeText(text).length * CHAR_WIDTH - SCALE;
+}
+
+/**
+ * Próximo valor "redondo" (1, 2 ou 5 x 10^n) para o topo do eixo Y
+ */
+function niceMax(value) {
+  const target = Math.max(value, 5);
+  const magnitude = 10 ** Math.floor(Math.log10(target));
+
+  return [1, 2, 5, 10].map(multiple => multiple * magnitude).find(candidate => candidate >= target);
+}
+
+/**
+ * Legenda no topo do gráfico: [{ label, color }]
+ */
+function drawLegend(canvas, items) {
+  let x = MARGIN.left;
+
+  items.forEach(({ label, color }) => {
+    canvas.fillRect(x, 14, CHAR_HEIGHT, CHAR_HEIGHT, color);
+    canvas.drawText(x + CHAR_HEIGHT + 6, 14, label);
+    x += CHAR_HEIGHT + 6 + textWidth(label) + 24;
+  });
+}
+
+/**
+ * Grade, eixos e rótulos do gráfico. Devolve as funções de posição dos pontos
+ */
+function drawAxes(canvas, labels, maxValue, unit) {
+  const plot = {
+    left: MARGIN.left,
+    top: MARGIN.top,
+    width: canvas.width - MARGIN.left - MARGIN.right,
+    height: canvas.height - MARGIN.top - MARGIN.bottom
+  };
+  const gridLines = 5;
+
+  for (let i = 0; i <= gridLines; i++) {
+    const value = (maxValue / gridLines) * i;
+    const y = plot.top + plot.height - (plot.height / gridLines) * i;
+    const label = String(Math.round(value));
+
+    canvas.drawLine(plot.left, y, plot.left + plot.width, y, i === 0 ? COLORS.axis : COLORS.grid);
+    canvas.drawText(plot.left - 8 - textWidth(label), y - CHAR_HEIGHT / 2, label);
+  }
+
+  canvas.drawLine(plot.left, plot.top, plot.left, plot.top + plot.height, COLORS.axis);
+  canvas.drawText(canvas.width - MARGIN.right - textWidth(unit), 14, unit);
+
+  // Rótulos do eixo X espaçados para não se sobreporem
+  const slotWidth = plot.width / labels.length;
+  const widest = Math.max(...labels.map(textWidth), 1);
+  const every = Math.ceil((widest + 8) / slotWidth);
+
+  labels.forEach((label, index) => {
+    if (index % every !== 0) return;
+    const centerX = plot.left + slotWidth * (index + 0.5);
+    canvas.drawText(centerX - textWidth(label) / 2, plot.top + plot.height + 12, label);
+  });
+
+  return {
+    plot,
+    slotWidth,
+    x: index => plot.left + slotWidth * (index + 0.5),
+    y: value => plot.top + plot.height - (value / maxValue) * plot.height
+  };
+}
+
+/**
+ * Tempo de resposta por período (média e p95, em ms)
+ * @param {Array} points - [{ label, avg, p95 }] (null = sem verificações)
+ * @returns {Buffer} Imagem PNG
+ */
+function renderLatencyChart(points) {
+  const canvas = new Canvas(CHART_SIZE.width, CHART_SIZE.height);
+  const maxValue = niceMax(Math.max(0, ...points.map(point => Math.max(point.avg || 0, point.p95 || 0))));
+  const axes = drawAxes(canvas, points.map(point => point.label), maxValue, 'ms');
+
+  drawLegend(canvas, [
+    { label: 'Média', color: COLORS.average },
+    { label: 'p95', color: COLORS.p95 }
+  ]);
+
+  [['p95', COLORS.p95], ['avg', COLORS.average]].forEach(([field, color]) => {
+    let previous = null;
+
+    points.forEach((point, index) => {
+      const value = point[field];
+      if (value === null || value === undefined) {
+        previous = null;
+        return;
+      }
+
+      const current = { x: axes.x(index), y: axes.y(value) };
+      if (previous) {
+        canvas.drawLine(previous.x, previous.y, current.x, current.y, color, 3);
+      }
+      canvas.fillRect(current.x - 3, current.y - 3, 7, 7, color);
+      previous = current;
+    });
+  });
+
+  return canvas.toBuffer();
+}
+
+/**
+ * Verificações com sucesso e com falha por período (barras empilhadas)
+ * @param {Array} points - [{ label, success, failure }]
+ * @returns {Buffer} Imagem PNG
+ */
+function renderResultsChart(points) {
+  const canvas = new Canvas(CHART_SIZE.width, CHART_SIZE.height);
+  const maxValue = niceMax(Math.max(0, ...points.map(point => point.success + point.failure)));
+  const axes = drawAxes(canvas, points.map(point => point.label), maxValue, 'Verificações');
+  const barWidth = Math.max(Math.floor(axes.slotWidth * 0.7), 1);
+
+  drawLegend(canvas, [
+    { label: 'Sucesso', color: COLORS.success },
+    { label: 'Falha', color: COLORS.failure }
+  ]);
+
+  points.forEach((point, index) => {
+    const left = axes.x(index) - barWidth / 2;
+    const base = axes.y(0);
+    const successTop = axes.y(point.success);
+    const failureTop = axes.y(point.success + point.failure);
+
+    canvas.fillRect(left, successTop, barWidth, base - successTop, COLORS.success);
+    canvas.fillRect(left, failureTop, barWidth, successTop - failureTop, COLORS.failure);
+  });
+
+  return canvas.toBuffer();
+}
+
+/**
+ * Faixa de uptime diário (uma célula por dia, colorida pela faixa de uptime)
+ * @param {Array} days - [{ label, uptime }] (uptime null = sem verificações)
+ * @returns {Buffer} Imagem PNG
+ */
+function renderUptimeStrip(days) {
+  const canvas = new Canvas(CHART_SIZE.width, 150);
+  const plotWidth = canvas.width - MARGIN.left - MARGIN.right;
+  const slotWidth = plotWidth / days.length;
+  const cellTop = MARGIN.top + 6;
+  const cellHeight = 50;
+  const every = Math.ceil((textWidth('00') + 8) / slotWidth);
+
+  drawLegend(canvas, [
+    ...UPTIME_BANDS.map(({ label, color }) => ({ label, color })),
+    { label: 'Sem dados', color: COLORS.noData }
+  ]);
+
+  days.forEach((day, index) => {
+    const band = day.uptime === null ? null : UPTIME_BANDS.find(({ min }) => day.uptime >= min);
+    const left = MARGIN.left + slotWidth * index;
+
+    canvas.fillRect(left + 1, cellTop, Math.max(slotWidth - 2, 1), cellHeight, band ? band.color : COLORS.noData);
+
+    if (index % every === 0) {
+      canvas.drawText(left + slotWidth / 2 - textWidth(day.label) / 2, cellTop + cellHeight + 12, day.label);
+    }
+  });
+
+  return canvas.toBuffer();
+}
+
+module.exports = {
+  renderLatencyChart,
+  renderResultsChart,
+  renderUptimeStrip
+};
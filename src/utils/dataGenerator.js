@@ -52,13 +52,12 @@ function generateTestData() {
 }
 
 /**
- * Valida se o horário atual está dentro do período de monitoramento
+ * Valida se o horário (padrão: agora) está dentro do período de monitoramento
  */
-function isWithinMonitoringHours(startHour, endHour) {
+function isWithinMonitoringHours(startHour, endHour, date = moment()) {
   if (!startHour || !endHour) return true;
   
-  const now = moment();
-  const currentHour = now.hour();
+  const currentHour = moment(date).hour();
   
   // Se o horário final é menor que inicial, assumimos que passa pela meia-noite
   if (endHour < startHour) {
@@ -75,6 +74,50 @@ function formatCurrency(cents) {
   return `R$ ${(cents / 100).toFixed(2).replace('.', ',')}`;
 }
 
+/**
+ * Converte durações como "30m", "2h" ou "1d" em milissegundos
+ */
+function parseDuration(text) {
+  const match = /^(\d+)\s*(m|min|h|d)$/i.exec(String(text).trim());
+  if (!match) return null;
+  
+  const value = parseInt(match[1]);
+  const unit = match[2].toLowerCase();
+  const multipliers = {
+    m: 60 * 1000,
+    min: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+  };
+  
+  return value > 0 ? value * multipliers[unit] : null;
+}
+
+/**
+ * Formata uma duração em milissegundos (ex: "1h 05min", "12min", "40s")
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  if (totalSeconds < 60) return `${totalSeconds}s`;
+  
+  const totalMinutes = Math.round(totalSeconds / 60);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+  
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}min`;
+  return `${minutes}min`;
+}
+
+/**
+ * Escapa os caracteres especiais do Markdown do Telegram (_ * ` [) em textos
+ * vindos de usuários (motivo da pausa, nome de quem reconheceu, argumentos)
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[_*`[]/g, '\\$&');
+}
+
 /**
  * Gera um ID único para rastreamento
  */
@@ -87,5 +130,8 @@ module.exports = {
   generateTestData,
   isWithinMonitoringHours,
   formatCurrency,
+  parseDuration,
+  formatDuration,
+  escapeMarkdown,
   generateTrackingId
 };
\ No newline at end of file
@@ -1,7 +1,9 @@
-const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config/config');
 const logger = require('./logger');
+const stateStore = require('./stateStore');
+const { formatDuration, escapeMarkdown } = require('./dataGenerator');
+const { formatPhases } = require('./requestTiming');
 
 // Tipos de erro conhecidos
 const ErrorTypes = {
@@ -11,14 +13,30 @@ const ErrorTypes = {
   API_ERROR: 'API_ERROR',
   INVALID_RESPONSE: 'INVALID_RESPONSE',
   NO_PIX_CODE: 'NO_PIX_CODE',
+  NOT_RETRIEVABLE: 'NOT_RETRIEVABLE',
+  INCONSISTENT_TRANSACTION: 'INCONSISTENT_TRANSACTION',
+  PIX_EXPIRED: 'PIX_EXPIRED',
+  INVALID_BR_CODE: 'INVALID_BR_CODE',
+  BR_CODE_CRC_MISMATCH: 'BR_CODE_CRC_MISMATCH',
+  BR_CODE_AMOUNT_MISMATCH: 'BR_CODE_AMOUNT_MISMATCH',
+  QR_CODE_UNREADABLE: 'QR_CODE_UNREADABLE',
+  QR_CODE_MISMATCH: 'QR_CODE_MISMATCH',
+  POSTBACK_MISSING: 'POSTBACK_MISSING',
+  POSTBACK_UNEXPECTED: 'POSTBACK_UNEXPECTED',
+  INVALID_CARD_TOKEN: 'INVALID_CARD_TOKEN',
+  CARD_PURCHASE_DECLINED: 'CARD_PURCHASE_DECLINED',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
 
-// Arquivo para armazenar estado de erros
-const errorStateFile = path.join(config.paths.data, 'error-state.json');
-
 class ErrorHandler {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.stateFile - Arquivo (em data/) para o estado de erros
+   * @param {string} options.label - Nome do sistema monitorado nas mensagens
+   */
+  constructor(options = {}) {
+    this.errorStateFile = path.join(config.paths.data, options.stateFile || 'error-state.json');
+    this.label = options.label || 'Sistema PIX For4';
     this.errorState = {};
     this.loadErrorState();
   }
@@ -27,13 +45,8 @@ class ErrorHandler {
    * Carrega o estado de erros do arquivo
    */
   async loadErrorState() {
-    try {
-      const data = await fs.readFile(errorStateFile, 'utf8');
-      this.errorState = JSON.parse(data);
-    } catch (error) {
-      // Arquivo não existe ou erro ao ler, inicializar vazio
-      this.errorState = {};
-    }
+    // Arquivo não existe ou não pôde ser recuperado: inicializar vazio
+    this.errorState = (await stateStore.read(this.errorStateFile)) || {};
   }
 
   /**
@@ -41,11 +54,7 @@ class ErrorHandler {
    */
   async saveErrorState() {
     try {
-      // Criar diretório se não existir
-      const dataDir = path.dirname(errorStateFile);
-      await fs.mkdir(dataDir, { recursive: true });
-      
-      await fs.writeFile(errorStateFile, JSON.stringify(this.errorState, null, 2));
+      await stateStore.write(this.errorStateFile, this.errorState);
     } catch (error) {
       logger.error('Erro ao salvar estado de erros', { error: error.message });
     }
@@ -55,7 +64,12 @@ class ErrorHandler {
    * Classifica o tipo de erro baseado na resposta
    */
   classifyError(error) {
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+    // Erros de validação já chegam classificados
+    if (error.type && ErrorTypes[error.type]) {
+      return error.type;
+    }
+    
+    if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
       return ErrorTypes.TIMEOUT_ERROR;
     }
     
@@ -89,7 +103,7 @@ class ErrorHandler {
     const errorType = this.classifyError(error);
     const timestamp = new Date().toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
     
-    let message = `🚨 **ALERTA - Sistema PIX For4**\n\n`;
+    let message = `🚨 **ALERTA - ${this.label}**\n\n`;
     message += `⏰ **Horário:** ${timestamp}\n`;
     message += `❌ **Tipo de Erro:** ${this.getErrorTypeDescription(errorType)}\n`;
     message += `🔍 **ID de Rastreamento:** ${context.trackingId || 'N/A'}\n\n`;
@@ -122,10 +136,72 @@ class ErrorHandler {
         message += `📱 **Detalhes:** Transação criada mas sem código PIX\n`;
         break;
         
+      case ErrorTypes.INVALID_CARD_TOKEN:
+        message += `💳 **Detalhes:** Tokenização não retornou um token de cartão válido\n`;
+        break;
+        
+      case ErrorTypes.CARD_PURCHASE_DECLINED:
+        message += `💳 **Detalhes:** Compra de teste com cartão não aprovada\n`;
+        message += `📋 **Status:** ${error.status || 'N/A'}\n`;
+        break;
+        
+      case ErrorTypes.NOT_RETRIEVABLE:
+        message += `🔎 **Detalhes:** Transação criada mas não encontrada via getPayment\n`;
+        message += `🆔 **Transação:** ${error.transactionId || 'N/A'}\n`;
+        message += `📊 **Status HTTP:** ${error.response?.status || 'N/A'}\n`;
+        break;
+        
+      case ErrorTypes.INCONSISTENT_TRANSACTION:
+        message += `🔀 **Detalhes:** Transação consultada diverge da criada\n`;
+        (error.mismatches || []).forEach(mismatch => {
+          message += `• ${mismatch.field}: esperado \`${mismatch.expected}\`, recebido \`${mismatch.received}\`\n`;
+        });
+        break;
+        
+      case ErrorTypes.PIX_EXPIRED:
+        message += `⌛ **Detalhes:** PIX sem validade ou já expirado\n`;
+        message += `📅 **expiresAt:** ${error.expiresAt || 'ausente'}\n`;
+        break;
+        
+      case ErrorTypes.INVALID_BR_CODE:
+        message += `🧾 **Detalhes:** ${error.message}\n`;
+        break;
+        
+      case ErrorTypes.BR_CODE_CRC_MISMATCH:
+        message += `🧾 **Detalhes:** CRC16 do BR Code não confere\n`;
+        message += `🔢 **Recebido:** ${error.receivedCrc} | **Calculado:** ${error.expectedCrc}\n`;
+        break;
+        
+      case ErrorTypes.BR_CODE_AMOUNT_MISMATCH:
+        message += `🧾 **Detalhes:** Valor do BR Code diferente do valor da transação\n`;
+        message += `💰 **Recebido:** ${error.receivedAmount || 'ausente'} | **Esperado:** ${error.expectedAmount}\n`;
+        break;
+        
+      case ErrorTypes.QR_CODE_UNREADABLE:
+        message += `📷 **Detalhes:** ${error.message}\n`;
+        break;
+        
+      case ErrorTypes.QR_CODE_MISMATCH:
+        message += `📷 **Detalhes:** A imagem do QR Code não codifica o mesmo BR Code do copia e cola\n`;
+        break;
+        
       default:
         message += `❓ **Detalhes:** ${error.message}\n`;
     }
     
+    // Tempo de cada etapa do ciclo de vida
+    if (error.steps) {
+      message += `\n⏱️ **Etapas:**\n`;
+      Object.entries(error.steps).forEach(([step, info]) => {
+        message += `• ${step}: ${info.duration}ms ${info.success ? '✅' : '❌'}\n`;
+      });
+    }
+    
+    // Tempo de cada fase da requisição que falhou (DNS, TCP, TLS, TTFB, download)
+    if (error.timings) {
+      message += `\n🔬 **Fases da requisição:** ${formatPhases(error.timings)}\n`;
+    }
+    
     // Adicionar informações de recuperação
     if (this.errorState[errorType]) {
       const errorCount = this.errorState[errorType].count || 1;
@@ -152,6 +228,18 @@ class ErrorHandler {
       [ErrorTypes.API_ERROR]: 'Erro da API',
       [ErrorTypes.INVALID_RESPONSE]: 'Resposta Inválida',
       [ErrorTypes.NO_PIX_CODE]: 'PIX sem Código',
+      [ErrorTypes.NOT_RETRIEVABLE]: 'Transação Criada mas Não Recuperável',
+      [ErrorTypes.INCONSISTENT_TRANSACTION]: 'Transação Inconsistente',
+      [ErrorTypes.PIX_EXPIRED]: 'PIX Expirado',
+      [ErrorTypes.INVALID_BR_CODE]: 'BR Code Inválido',
+      [ErrorTypes.BR_CODE_CRC_MISMATCH]: 'CRC do BR Code Inválido',
+      [ErrorTypes.BR_CODE_AMOUNT_MISMATCH]: 'Valor do BR Code Divergente',
+      [ErrorTypes.QR_CODE_UNREADABLE]: 'QR Code Ilegível',
+      [ErrorTypes.QR_CODE_MISMATCH]: 'QR Code Divergente do Copia e Cola',
+      [ErrorTypes.POSTBACK_MISSING]: 'Postback Não Recebido',
+      [ErrorTypes.POSTBACK_UNEXPECTED]: 'Postback Inesperado',
+      [ErrorTypes.INVALID_CARD_TOKEN]: 'Token de Cartão Inválido',
+      [ErrorTypes.CARD_PURCHASE_DECLINED]: 'Compra com Cartão Não Aprovada',
       [ErrorTypes.UNKNOWN_ERROR]: 'Erro Desconhecido'
     };
     
@@ -169,6 +257,18 @@ class ErrorHandler {
       [ErrorTypes.API_ERROR]: 'Verificar logs da API e entrar em contato com suporte For4',
       [ErrorTypes.INVALID_RESPONSE]: 'Verificar se houve mudança na API',
       [ErrorTypes.NO_PIX_CODE]: 'Verificar configuração do PIX na plataforma For4',
+      [ErrorTypes.NOT_RETRIEVABLE]: 'Verificar persistência de transações na For4 (criação sem registro)',
+      [ErrorTypes.INCONSISTENT_TRANSACTION]: 'Comparar os dados da transação no painel For4 e acionar o suporte',
+      [ErrorTypes.PIX_EXPIRED]: 'Verificar a configuração de expiração do PIX na For4',
+      [ErrorTypes.INVALID_BR_CODE]: 'Verificar a geração do BR Code na For4 (campos EMV obrigatórios)',
+      [ErrorTypes.BR_CODE_CRC_MISMATCH]: 'Acionar o suporte For4: BR Code com checksum inválido não é aceito pelos bancos',
+      [ErrorTypes.BR_CODE_AMOUNT_MISMATCH]: 'Verificar o valor enviado na criação e o valor gravado no BR Code',
+      [ErrorTypes.QR_CODE_UNREADABLE]: 'Verificar a geração da imagem do QR Code na For4',
+      [ErrorTypes.QR_CODE_MISMATCH]: 'Acionar o suporte For4: QR Code e copia e cola divergentes',
+      [ErrorTypes.POSTBACK_MISSING]: 'Verificar o envio de postbacks na For4 e a acessibilidade da WEBHOOK_URL',
+      [ErrorTypes.POSTBACK_UNEXPECTED]: 'Verificar se houve mudança no formato dos postbacks da For4',
+      [ErrorTypes.INVALID_CARD_TOKEN]: 'Verificar o endpoint de tokenização e os dados do cartão de teste',
+      [ErrorTypes.CARD_PURCHASE_DECLINED]: 'Verificar o adquirente/antifraude da For4 e o cartão de teste',
       [ErrorTypes.UNKNOWN_ERROR]: 'Verificar logs detalhados e investigar a causa'
     };
     
@@ -178,8 +278,9 @@ class ErrorHandler {
   /**
    * Registra um erro e verifica se deve notificar
    */
-  async handleError(error, context) {
+  async handleError(error, context, options = {}) {
     const errorType = this.classifyError(error);
+    const { recentResults = [false], attempt = 0 } = options;
     const now = Date.now();
     
     // Inicializar estado do erro se não existir
@@ -196,8 +297,13 @@ class ErrorHandler {
     this.errorState[errorType].count++;
     this.errorState[errorType].lastOccurrence = now;
     
+    // Política do tipo de erro: re-verificação imediata e limite "N de M"
+    const policy = this.getAlertPolicy(errorType);
+    const confirming = attempt < policy.confirmRetries;
+    const thresholdMet = this.meetsThreshold(policy, recentResults);
+    
     // Verificar se deve notificar (respeitar cooldown)
-    const shouldNotify = this.shouldSendNotification(errorType);
+    const shouldNotify = !confirming && thresholdMet && this.shouldSendNotification(errorType);
     
     if (shouldNotify) {
       this.errorState[errorType].lastNotification = now;
@@ -211,10 +317,31 @@ class ErrorHandler {
       type: errorType,
       message: this.formatErrorMessage(error, context),
       shouldNotify,
+      // Falha registrada sem alerta por não atingir a política do tipo
+      suppressed: confirming || !thresholdMet,
+      confirming,
+      policy,
       errorCount: this.errorState[errorType].count
     };
   }
 
+  /**
+   * Política de alerta do tipo de erro (ALERT_THRESHOLD / ALERT_CONFIRM_RETRIES)
+   */
+  getAlertPolicy(errorType) {
+    return config.monitor.alertPolicies.byType[errorType] || config.monitor.alertPolicies.default;
+  }
+
+  /**
+   * Verifica se as últimas M verificações têm pelo menos N falhas
+   * @param {Object} policy - { failures, window }
+   * @param {boolean[]} recentResults - Resultados das verificações (true = sucesso), o último é o atual
+   */
+  meetsThreshold(policy, recentResults) {
+    const failures = recentResults.slice(-policy.window).filter(success => !success).length;
+    return failures >= policy.failures;
+  }
+
   /**
    * Verifica se deve enviar notificação baseado no cooldown
    */
@@ -249,7 +376,7 @@ class ErrorHandler {
   formatRecoveryMessage(context) {
     const timestamp = new Date().toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
     
-    let message = `✅ **RECUPERAÇÃO - Sistema PIX For4**\n\n`;
+    let message = `✅ **RECUPERAÇÃO - ${this.label}**\n\n`;
     message += `⏰ **Horário:** ${timestamp}\n`;
     message += `🎉 **Status:** Sistema funcionando normalmente\n`;
     message += `🔍 **ID de Rastreamento:** ${context.trackingId || 'N/A'}\n`;
@@ -262,10 +389,40 @@ class ErrorHandler {
       message += `⚡ **Tempo de Resposta:** ${context.responseTime}ms\n`;
     }
     
+    if (context.incident) {
+      message += `🆔 **Incidente:** ${context.incident.id}\n`;
+      message += `⏳ **Duração da falha:** ${formatDuration(context.incident.durationMs)}\n`;
+      message += `❌ **Verificações com falha:** ${context.incident.failedChecks}\n`;
+      
+      if (context.incident.acknowledgedBy) {
+        message += `👍 **Reconhecido por:** ${escapeMarkdown(context.incident.acknowledgedBy)}\n`;
+      }
+    }
+    
     message += `\n✨ O sistema voltou a operar normalmente!`;
     
     return message;
   }
+
+  /**
+   * Formata mensagem de escalonamento de um incidente não reconhecido
+   */
+  formatEscalationMessage(incident, level) {
+    const startedAt = new Date(incident.startedAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+    const elapsedMs = Date.now() - new Date(incident.alertedAt).getTime();
+    
+    let message = `📣 **ESCALONAMENTO (nível ${level.level}) - ${this.label}**\n\n`;
+    message += `🆔 **Incidente:** ${incident.id}\n`;
+    message += `⏰ **Início:** ${startedAt}\n`;
+    message += `⏳ **Sem reconhecimento há:** ${formatDuration(elapsedMs)}\n`;
+    message += `🔍 **Tipos de erro:** ${incident.errorTypes.join(', ')}\n`;
+    message += `❌ **Verificações com falha:** ${incident.failedChecks}\n`;
+    message += `\n👉 Use o botão abaixo (ou /ack) para reconhecer o incidente.`;
+    
+    return message;
+  }
 }
 
-module.exports = new ErrorHandler();
\ No newline at end of file
+module.exports = new ErrorHandler();
+module.exports.ErrorHandler = ErrorHandler;
+module.exports.ErrorTypes = ErrorTypes;
\ No newline at end of file
@@ -2,6 +2,7 @@ const winston = require('winston');
 const DailyRotateFile = require('winston-daily-rotate-file');
 const path = require('path');
 const fs = require('fs');
+const moment = require('moment');
 const config = require('../config/config');
 
 // Criar diretório de logs se não existir
@@ -67,22 +68,24 @@ const logger = winston.createLogger({
 // Funções auxiliares para logging estruturado
 logger.logMonitorStart = () => {
   logger.info('🚀 Monitor PIX For4 iniciado', {
-    interval: `${config.monitor.intervalMinutes} minutos`,
+    targets: config.targets.map(target => `${target.name} (${target.intervalMinutes} min)`),
     timeout: `${config.monitor.requestTimeout}ms`,
     environment: config.system.env
   });
 };
 
-logger.logCheckStart = (trackingId) => {
-  logger.info('🔍 Iniciando verificação de saúde', { trackingId });
+logger.logCheckStart = (trackingId, context = {}) => {
+  logger.info('🔍 Iniciando verificação de saúde', { ...context, trackingId });
 };
 
 logger.logCheckSuccess = (data) => {
   logger.info('✅ Verificação concluída com sucesso', {
+    ...(data.target && { target: data.target }),
     trackingId: data.trackingId,
     pixCode: data.pixCode ? 'Gerado' : 'Não gerado',
     responseTime: data.responseTime,
-    transactionId: data.transactionId
+    transactionId: data.transactionId,
+    ...(data.steps && { steps: data.steps })
   });
 };
 
@@ -106,4 +109,37 @@ logger.logNotificationError = (error) => {
   });
 };
 
+/**
+ * Retorna o caminho do arquivo de log do dia atual
+ */
+logger.getCurrentLogFile = () => {
+  // O winston-daily-rotate-file usa o horário local do sistema no %DATE%
+  return path.join(logsDir, `monitor-${moment().local().format('YYYY-MM-DD')}.log`);
+};
+
+/**
+ * Lê as últimas linhas do arquivo de log do dia atual
+ */
+logger.tailCurrentLog = async (lines = 30, maxBytes = 64 * 1024) => {
+  const file = logger.getCurrentLogFile();
+  const handle = await fs.promises.open(file, 'r');
+  
+  try {
+    const { size } = await handle.stat();
+    const length = Math.min(size, maxBytes);
+    const buffer = Buffer.alloc(length);
+    
+    await handle.read(buffer, 0, length, size - length);
+    
+    return buffer
+      .toString('utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .slice(-lines)
+      .join('\n');
+  } finally {
+    await handle.close();
+  }
+};
+
 module.exports = logger;
\ No newline at end of file
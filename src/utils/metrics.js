@@ -0,0 +1,131 @@
+const client = require('prom-client');
+const errorHandler = require('./errorHandler');
+
+// Estados de erro por alvo e método de pagamento (lidos no momento da coleta)
+const errorStateSources = [];
+
+// Registro próprio para não misturar com outros módulos que usem prom-client
+const register = new client.Registry();
+
+register.setDefaultLabels({ app: 'for4-pix-monitor' });
+client.collectDefaultMetrics({ register });
+
+// Verificações executadas, por método de pagamento, resultado e tipo de erro
+const checksTotal = new client.Counter({
+  name: 'for4_pix_checks_total',
+  help: 'Total de verificações de saúde executadas',
+  labelNames: ['target', 'method', 'result', 'error_type'],
+  registers: [register]
+});
+
+// Tempo de resposta da API For4
+const responseTime = new client.Histogram({
+  name: 'for4_pix_response_time_seconds',
+  help: 'Tempo de resposta das verificações na For4',
+  labelNames: ['target', 'method', 'result'],
+  buckets: [0.25, 0.5, 1, 2, 3, 5, 10, 20, 30],
+  registers: [register]
+});
+
+// Saúde atual do sistema (1 = saudável, 0 = com problemas)
+const healthy = new client.Gauge({
+  name: 'for4_pix_healthy',
+  help: 'Indica se a última verificação foi bem-sucedida',
+  labelNames: ['target', 'method'],
+  registers: [register]
+});
+
+// Momento da última verificação bem-sucedida
+const lastSuccessTimestamp = new client.Gauge({
+  name: 'for4_pix_last_success_timestamp_seconds',
+  help: 'Timestamp Unix da última verificação bem-sucedida',
+  labelNames: ['target', 'method'],
+  registers: [register]
+});
+
+// Falhas consecutivas por tipo de erro (lidas do estado de cada errorHandler)
+new client.Gauge({
+  name: 'for4_pix_consecutive_failures',
+  help: 'Ocorrências consecutivas de cada tipo de erro desde a última recuperação',
+  labelNames: ['target', 'method', 'error_type'],
+  registers: [register],
+  collect() {
+    this.reset();
+    errorStateSources.forEach(({ target, method, handler }) => {
+      Object.values(errorHandler.ErrorTypes).forEach(type => {
+        this.set({ target, method, error_type: type }, handler.errorState[type]?.count || 0);
+      });
+    });
+  }
+});
+
+/**
+ * Registra o estado de erros de um alvo/método de pagamento para exportação
+ */
+function trackErrorState(target, method, handler) {
+  errorStateSources.push({ target, method, handler });
+}
+
+// Notificações enviadas pelo Telegram
+const notificationsTotal = new client.Counter({
+  name: 'for4_pix_notifications_total',
+  help: 'Total de notificações por canal, tipo e resultado',
+  labelNames: ['channel', 'type', 'result'],
+  registers: [register]
+});
+
+// Postbacks recebidos da For4
+const postbacksTotal = new client.Counter({
+  name: 'for4_pix_postbacks_total',
+  help: 'Postbacks de transações de teste por resultado (ok, late, missing, unexpected, unknown)',
+  labelNames: ['target', 'result'],
+  registers: [register]
+});
+
+// Latência entre a criação da transação e o postback
+const postbackLatency = new client.Histogram({
+  name: 'for4_pix_postback_latency_seconds',
+  help: 'Tempo entre a criação da transação PIX e o recebimento do postback',
+  labelNames: ['target'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [register]
+});
+
+// Gasto com transações de teste efetivamente criadas
+const costTotal = new client.Counter({
+  name: 'for4_pix_cost_reais_total',
+  help: 'Valor gasto (R$) com transações de teste criadas, por alvo e método',
+  labelNames: ['target', 'method'],
+  registers: [register]
+});
+
+// Orçamento de erros restante de cada SLO (SLOS)
+const sloBudgetRemaining = new client.Gauge({
+  name: 'for4_pix_slo_error_budget_remaining_percent',
+  help: 'Orçamento de erros restante (%) na janela do SLO, por alvo e SLO',
+  labelNames: ['target', 'slo'],
+  registers: [register]
+});
+
+// Latência degradada (0 = normal, 1 = atenção, 2 = crítica)
+const degraded = new client.Gauge({
+  name: 'for4_pix_degraded',
+  help: 'Nível de degradação da latência do PIX (0 = normal, 1 = atenção, 2 = crítica)',
+  labelNames: ['target'],
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  checksTotal,
+  responseTime,
+  healthy,
+  lastSuccessTimestamp,
+  notificationsTotal,
+  postbacksTotal,
+  postbackLatency,
+  costTotal,
+  sloBudgetRemaining,
+  degraded,
+  trackErrorState
+};
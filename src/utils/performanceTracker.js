@@ -1,10 +1,18 @@
-const fs = require('fs').promises;
 const path = require('path');
 const moment = require('moment-timezone');
 const config = require('../config/config');
+const stateStore = require('./stateStore');
+const { PHASES, PHASE_LABELS } = require('./requestTiming');
+
+// Fases que só existem em conexões novas (zeradas quando o socket é reaproveitado)
+const CONNECTION_PHASES = ['dns', 'tcp', 'tls'];
 
 class PerformanceTracker {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.metricsFile - Arquivo (em data/) para as métricas
+   */
+  constructor(options = {}) {
     this.metrics = {
       current: {
         count: 0,
@@ -18,7 +26,7 @@ class PerformanceTracker {
       lastUpdate: null
     };
     
-    this.metricsFile = path.join(config.paths.data, 'performance-metrics.json');
+    this.metricsFile = path.join(config.paths.data, options.metricsFile || 'performance-metrics.json');
     this.maxSamples = 1000; // Manter últimas 1000 amostras
     this.loadMetrics();
   }
@@ -27,11 +35,11 @@ class PerformanceTracker {
    * Carrega métricas salvas
    */
   async loadMetrics() {
-    try {
-      const data = await fs.readFile(this.metricsFile, 'utf8');
-      this.metrics = JSON.parse(data);
-    } catch (error) {
-      // Arquivo não existe, usar métricas padrão
+    const saved = await stateStore.read(this.metricsFile);
+    
+    // Sem arquivo, usar métricas padrão
+    if (saved) {
+      this.metrics = saved;
     }
   }
 
@@ -40,7 +48,7 @@ class PerformanceTracker {
    */
   async saveMetrics() {
     try {
-      await fs.writeFile(this.metricsFile, JSON.stringify(this.metrics, null, 2));
+      await stateStore.write(this.metricsFile, this.metrics);
     } catch (error) {
       console.error('Erro ao salvar métricas:', error);
     }
@@ -48,8 +56,9 @@ class PerformanceTracker {
 
   /**
    * Registra um tempo de resposta
+   * @param {Object} timings - Fases da requisição (ver requestTiming.getTimings)
    */
-  async recordResponseTime(responseTime, success = true, hasPixCode = true) {
+  async recordResponseTime(responseTime, success = true, hasPixCode = true, timings = null) {
     const now = moment();
     const hour = now.format('YYYY-MM-DD-HH');
     const day = now.format('YYYY-MM-DD');
@@ -65,7 +74,8 @@ class PerformanceTracker {
       time: now.toISOString(),
       responseTime,
       success,
-      hasPixCode
+      hasPixCode,
+      ...(timings && { phases: timings })
     };
     
     this.metrics.current.samples.push(sample);
@@ -82,7 +92,9 @@ class PerformanceTracker {
         totalTime: 0,
         minTime: Infinity,
         maxTime: 0,
-        failures: 0
+        failures: 0,
+        successCount: 0,
+        successTime: 0
       };
     }
     
@@ -92,6 +104,12 @@ class PerformanceTracker {
     this.metrics.hourly[hour].maxTime = Math.max(this.metrics.hourly[hour].maxTime, responseTime);
     if (!success) this.metrics.hourly[hour].failures++;
     
+    // Tempo das verificações com sucesso (base da linha de base do horário)
+    if (success) {
+      this.metrics.hourly[hour].successCount = (this.metrics.hourly[hour].successCount || 0) + 1;
+      this.metrics.hourly[hour].successTime = (this.metrics.hourly[hour].successTime || 0) + responseTime;
+    }
+    
     // Atualizar métricas diárias
     if (!this.metrics.daily[day]) {
       this.metrics.daily[day] = {
@@ -271,6 +289,7 @@ class PerformanceTracker {
       trendPercent: Math.abs(trendPercent).toFixed(1),
       criticalHours,
       percentiles: { p50, p95, p99 },
+      phases: this.getPhasePercentiles(),
       totalRequests: currentStats.count,
       avgResponseTime: currentStats.average,
       bestTime: currentStats.min,
@@ -300,6 +319,144 @@ class PerformanceTracker {
     return totalCount > 0 ? totalTime / totalCount : 0;
   }
 
+  /**
+   * Linha de base do horário: tempo médio das verificações com sucesso na
+   * mesma hora do dia nos dias anteriores (as métricas por hora guardam 7 dias)
+   * @returns {Object} { hour, average, days } (average null sem dados)
+   */
+  getHourBaseline(date = moment()) {
+    const now = moment(date);
+    const hourOfDay = now.format('HH');
+    const today = now.format('YYYY-MM-DD');
+    let totalTime = 0;
+    let totalCount = 0;
+    let days = 0;
+    
+    Object.entries(this.metrics.hourly).forEach(([hourKey, hourData]) => {
+      if (hourKey.slice(11) !== hourOfDay || hourKey.slice(0, 10) >= today) return;
+      
+      // Horas gravadas antes da separação por sucesso usam todas as verificações
+      const count = hourData.successCount !== undefined ? hourData.successCount : hourData.count;
+      const time = hourData.successTime !== undefined ? hourData.successTime : hourData.totalTime;
+      if (count === 0) return;
+      
+      totalTime += time;
+      totalCount += count;
+      days++;
+    });
+    
+    return {
+      hour: `${hourOfDay}h`,
+      average: totalCount > 0 ? Math.round(totalTime / totalCount) : null,
+      days
+    };
+  }
+
+  /**
+   * Tempo médio das últimas verificações com sucesso (null se ainda não houver `count`)
+   */
+  getRecentAverage(count) {
+    const recent = this.metrics.current.samples.filter(sample => sample.success).slice(-count);
+    if (recent.length < count) return null;
+    
+    return Math.round(recent.reduce((total, sample) => total + sample.responseTime, 0) / count);
+  }
+
+  /**
+   * Valores de uma fase nas amostras (as fases de conexão só das conexões novas)
+   */
+  getPhaseValues(samples, phase) {
+    return samples
+      .filter(sample => sample.phases && !(CONNECTION_PHASES.includes(phase) && sample.phases.reused))
+      .map(sample => sample.phases[phase])
+      .filter(value => value !== null && value !== undefined);
+  }
+
+  /**
+   * Percentis de cada fase da requisição (DNS, TCP, TLS, TTFB, download)
+   * @returns {Object} { fase: { count, p50, p95, p99 } }
+   */
+  getPhasePercentiles(samples = this.metrics.current.samples) {
+    const percentiles = {};
+    
+    PHASES.forEach(phase => {
+      const sorted = this.getPhaseValues(samples, phase).sort((a, b) => a - b);
+      
+      percentiles[phase] = {
+        count: sorted.length,
+        p50: this.calculatePercentile(sorted, 50),
+        p95: this.calculatePercentile(sorted, 95),
+        p99: this.calculatePercentile(sorted, 99)
+      };
+    });
+    
+    return percentiles;
+  }
+
+  /**
+   * Tempo médio de cada fase nas últimas verificações com sucesso (null sem fases registradas)
+   */
+  getRecentPhases(count) {
+    const recent = this.metrics.current.samples.filter(sample => sample.success && sample.phases).slice(-count);
+    if (recent.length === 0) return null;
+    
+    const phases = {};
+    PHASES.forEach(phase => {
+      const values = this.getPhaseValues(recent, phase);
+      phases[phase] = values.length > 0
+        ? Math.round(values.reduce((total, value) => total + value, 0) / values.length)
+        : null;
+    });
+    
+    return phases;
+  }
+
+  /**
+   * Avalia a latência recente contra os limites fixos e a linha de base do horário
+   * @param {Object} options - config.monitor.latency
+   * @returns {Object} { level: 'warning' | 'critical' | null, average, baseline, reasons }
+   */
+  evaluateLatency(options, date = moment()) {
+    const average = this.getRecentAverage(options.windowChecks);
+    const baseline = this.getHourBaseline(date);
+    const status = {
+      level: null,
+      average,
+      baseline,
+      reasons: [],
+      // Fases recentes x mediana habitual, para localizar a lentidão
+      phases: this.getRecentPhases(options.windowChecks),
+      typicalPhases: this.getPhasePercentiles()
+    };
+    
+    if (average === null) return status;
+    
+    const hasBaseline = baseline.average !== null && baseline.days >= options.baselineMinDays;
+    const exceeds = (limitMs, factor) => {
+      const reasons = [];
+      if (limitMs && average >= limitMs) {
+        reasons.push(`acima do limite de ${limitMs}ms`);
+      }
+      if (hasBaseline && average >= baseline.average * factor) {
+        reasons.push(`${(average / baseline.average).toFixed(1)}x a linha de base das ${baseline.hour} (${baseline.average}ms)`);
+      }
+      return reasons;
+    };
+    
+    const critical = exceeds(options.criticalMs, options.criticalFactor);
+    const warning = exceeds(options.warningMs, options.warningFactor);
+    
+    if (critical.length > 0) {
+      status.level = 'critical';
+      status.reasons = critical;
+    } else if (warning.length > 0) {
+      status.level = 'warning';
+      status.reasons = warning;
+    }
+    
+    return status;
+  }
+
   /**
    * Calcula percentil
    */
@@ -380,6 +537,22 @@ class PerformanceTracker {
     report += `• P95: ${analysis.percentiles.p95}ms\n`;
     report += `• P99: ${analysis.percentiles.p99}ms\n\n`;
     
+    const baseline = this.getHourBaseline();
+    if (baseline.average !== null) {
+      report += `📏 **Linha de Base (${baseline.hour})**\n`;
+      report += `• ${baseline.average}ms (média de ${baseline.days} dia(s) anteriores)\n\n`;
+    }
+    
+    const phases = PHASES.filter(phase => analysis.phases[phase].count > 0);
+    if (phases.length > 0) {
+      report += `🔬 **Fases da Requisição (p50 / p95 / p99)**\n`;
+      phases.forEach(phase => {
+        const { p50, p95, p99 } = analysis.phases[phase];
+        report += `• ${PHASE_LABELS[phase]}: ${p50} / ${p95} / ${p99}ms\n`;
+      });
+      report += '\n';
+    }
+    
     if (analysis.criticalHours.length > 0) {
       report += `⚠️ **Horários Críticos**\n`;
       analysis.criticalHours.forEach(hour => {
@@ -398,4 +571,5 @@ class PerformanceTracker {
   }
 }
 
-module.exports = new PerformanceTracker();
\ No newline at end of file
+module.exports = new PerformanceTracker();
+module.exports.PerformanceTracker = PerformanceTracker;
\ No newline at end of file
@@ -0,0 +1,239 @@
+const jsQR = require('jsqr');
+const { PNG } = require('pngjs');
+
+// Identificador do arranjo PIX no campo 26 (Merchant Account Information)
+const PIX_GUI = 'br.gov.bcb.pix';
+
+// Campos do BR Code (EMV QRCPS-MPM) usados na validação
+const Fields = {
+  PAYLOAD_FORMAT: '00',
+  MERCHANT_ACCOUNT: '26',
+  MERCHANT_CATEGORY: '52',
+  CURRENCY: '53',
+  AMOUNT: '54',
+  COUNTRY: '58',
+  MERCHANT_NAME: '59',
+  MERCHANT_CITY: '60',
+  ADDITIONAL_DATA: '62',
+  CRC: '63'
+};
+
+// Assinaturas (magic bytes) dos formatos de imagem reconhecidos (null = qualquer byte)
+const IMAGE_SIGNATURES = [
+  { format: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { format: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { format: 'bmp', bytes: [0x42, 0x4d] },
+  // "RIFF", tamanho do arquivo e "WEBP"
+  { format: 'webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] }
+];
+
+// Formatos que o monitor consegue ler
+const SUPPORTED_IMAGE_FORMATS = ['png'];
+
+/**
+ * Cria um erro de validação com tipo específico
+ */
+function createError(type, message, details = {}) {
+  const error = new Error(message);
+  error.type = type;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Calcula o CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF)
+ */
+function crc16(payload) {
+  let crc = 0xFFFF;
+
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xFFFF;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Converte a estrutura TLV (ID de 2 dígitos, tamanho de 2 dígitos, valor)
+ * em um objeto { id: valor }
+ */
+function parseEmv(payload) {
+  const fields = {};
+  let position = 0;
+
+  while (position < payload.length) {
+    const id = payload.substr(position, 2);
+    const length = payload.substr(position + 2, 2);
+
+    if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(length)) {
+      throw createError('INVALID_BR_CODE', `Estrutura EMV inválida na posição ${position}`);
+    }
+
+    const value = payload.substr(position + 4, Number(length));
+    if (value.length !== Number(length)) {
+      throw createError('INVALID_BR_CODE', `Campo ${id} truncado (esperado ${length} caracteres)`);
+    }
+
+    fields[id] = value;
+    position += 4 + Number(length);
+  }
+
+  return fields;
+}
+
+/**
+ * Valida o BR Code ("PIX copia e cola") retornado pela For4
+ * @param {string} payload - Conteúdo de pixCode
+ * @param {Object} expected
+ * @param {number} expected.amount - Valor esperado em centavos
+ * @returns {Object} Campos relevantes do BR Code
+ */
+function validateBrCode(payload, expected = {}) {
+  const code = payload.trim();
+  const fields = parseEmv(code);
+
+  // O CRC cobre todo o payload até o ID e tamanho do próprio campo 63
+  const crcIndex = code.lastIndexOf(`${Fields.CRC}04`);
+  if (!fields[Fields.CRC] || crcIndex === -1 || crcIndex + 8 !== code.length) {
+    throw createError('INVALID_BR_CODE', 'BR Code sem CRC16 (campo 63) no final');
+  }
+
+  const expectedCrc = crc16(code.slice(0, crcIndex + 4));
+  if (fields[Fields.CRC].toUpperCase() !== expectedCrc) {
+    throw createError('BR_CODE_CRC_MISMATCH', `CRC16 inválido: ${fields[Fields.CRC]} (calculado ${expectedCrc})`, {
+      receivedCrc: fields[Fields.CRC],
+      expectedCrc
+    });
+  }
+
+  const problems = [];
+
+  if (fields[Fields.PAYLOAD_FORMAT] !== '01') {
+    problems.push(`indicador de formato: ${fields[Fields.PAYLOAD_FORMAT] || 'ausente'}`);
+  }
+
+  const account = fields[Fields.MERCHANT_ACCOUNT] ? parseEmv(fields[Fields.MERCHANT_ACCOUNT]) : {};
+  if ((account['00'] || '').toLowerCase() !== PIX_GUI) {
+    problems.push(`GUI: ${account['00'] || 'ausente'}`);
+  } else if (!account['01'] && !account['25']) {
+    problems.push('chave PIX ou URL de cobrança ausente');
+  }
+
+  if (!/^\d{4}$/.test(fields[Fields.MERCHANT_CATEGORY] || '')) {
+    problems.push(`categoria do recebedor: ${fields[Fields.MERCHANT_CATEGORY] || 'ausente'}`);
+  }
+
+  if (fields[Fields.CURRENCY] !== '986') {
+    problems.push(`moeda: ${fields[Fields.CURRENCY] || 'ausente'}`);
+  }
+
+  if (fields[Fields.COUNTRY] !== 'BR') {
+    problems.push(`país: ${fields[Fields.COUNTRY] || 'ausente'}`);
+  }
+
+  if (!fields[Fields.MERCHANT_NAME]) {
+    problems.push('nome do recebedor ausente');
+  }
+
+  if (!fields[Fields.MERCHANT_CITY]) {
+    problems.push('cidade do recebedor ausente');
+  }
+
+  if (problems.length > 0) {
+    throw createError('INVALID_BR_CODE', `BR Code com campos inválidos: ${problems.join('; ')}`, { problems });
+  }
+
+  const expectedAmount = (expected.amount / 100).toFixed(2);
+  const amount = fields[Fields.AMOUNT];
+
+  if (expected.amount !== undefined && (!amount || Number(amount).toFixed(2) !== expectedAmount)) {
+    throw createError('BR_CODE_AMOUNT_MISMATCH', `Valor do BR Code ${amount || 'ausente'} (esperado ${expectedAmount})`, {
+      receivedAmount: amount || null,
+      expectedAmount
+    });
+  }
+
+  const additionalData = fields[Fields.ADDITIONAL_DATA] ? parseEmv(fields[Fields.ADDITIONAL_DATA]) : {};
+
+  return {
+    key: account['01'] || null,
+    url: account['25'] || null,
+    amount,
+    merchantName: fields[Fields.MERCHANT_NAME],
+    merchantCity: fields[Fields.MERCHANT_CITY],
+    txid: additionalData['05'] || null,
+    crc: fields[Fields.CRC]
+  };
+}
+
+/**
+ * Identifica o formato de uma imagem pelos primeiros bytes
+ * @returns {string|null} png, jpeg, gif, bmp, webp, svg ou null se desconhecido
+ */
+function detectImageFormat(buffer) {
+  const signature = IMAGE_SIGNATURES.find(({ bytes }) => (
+    buffer.length >= bytes.length && bytes.every((byte, index) => byte === null || buffer[index] === byte)
+  ));
+  if (signature) return signature.format;
+
+  const head = buffer.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (/^<svg[\s>]/i.test(head) || (/^<\?xml/i.test(head) && /<svg[\s>]/i.test(head))) {
+    return 'svg';
+  }
+
+  return null;
+}
+
+/**
+ * Lê o conteúdo de um QR Code em imagem PNG. Imagens em outro formato
+ * reconhecido geram QR_CODE_UNSUPPORTED_FORMAT (aviso, não é falha da For4)
+ * @param {Buffer} buffer - Imagem PNG
+ * @returns {string} Texto codificado no QR Code
+ */
+function decodeQrImage(buffer) {
+  const format = detectImageFormat(buffer);
+
+  if (format && !SUPPORTED_IMAGE_FORMATS.includes(format)) {
+    throw createError('QR_CODE_UNSUPPORTED_FORMAT', `Imagem do QR Code em ${format.toUpperCase()}: apenas PNG é lido`, { format });
+  }
+
+  if (!format) {
+    throw createError('QR_CODE_UNREADABLE', 'Imagem do QR Code inválida: formato não reconhecido');
+  }
+
+  let image;
+  try {
+    image = PNG.sync.read(buffer);
+  } catch (error) {
+    throw createError('QR_CODE_UNREADABLE', `Imagem PNG do QR Code inválida: ${error.message}`);
+  }
+
+  const result = jsQR(new Uint8ClampedArray(image.data), image.width, image.height);
+  if (!result) {
+    throw createError('QR_CODE_UNREADABLE', 'Nenhum QR Code encontrado na imagem');
+  }
+
+  return result.data;
+}
+
+/**
+ * Extrai o buffer de uma imagem em base64 (com ou sem prefixo data:)
+ */
+function parseBase64Image(value) {
+  const base64 = value.replace(/^data:image\/[\w+.-]+;base64,/, '');
+  return Buffer.from(base64, 'base64');
+}
+
+module.exports = {
+  crc16,
+  parseEmv,
+  validateBrCode,
+  detectImageFormat,
+  decodeQrImage,
+  parseBase64Image
+};
@@ -0,0 +1,158 @@
+const net = require('net');
+const { performance } = require('perf_hooks');
+const followRedirects = require('follow-redirects');
+
+// Fases de uma requisição HTTP, na ordem em que acontecem
+const PHASES = ['dns', 'tcp', 'tls', 'ttfb', 'download'];
+
+const PHASE_LABELS = {
+  dns: 'DNS',
+  tcp: 'TCP',
+  tls: 'TLS',
+  ttfb: 'TTFB',
+  download: 'Download'
+};
+
+/**
+ * Protocolo e host de uma etapa da requisição (a original ou um redirecionamento)
+ */
+function describeHop(options) {
+  return {
+    https: /^https:?$/.test(options.protocol || ''),
+    // Host já informado como IP: não há consulta DNS
+    ip: net.isIP(options.hostname || '') !== 0
+  };
+}
+
+/**
+ * Transporte para o axios (opção `transport`) que registra os instantes de
+ * cada fase da requisição em `request.timings`: atribuição do socket, DNS,
+ * conexão TCP, handshake TLS, primeiro byte e fim da resposta. Com conexões
+ * reaproveitadas (keep-alive) não há DNS, TCP nem TLS.
+ *
+ * Usa o follow-redirects, como o transporte padrão do axios, para continuar
+ * seguindo redirecionamentos. Em uma cadeia de redirecionamentos, as fases são
+ * as da última requisição e o total inclui as anteriores
+ */
+function createTimingTransport() {
+  return {
+    request(options, callback) {
+      const timings = {
+        start: performance.now(),
+        ...describeHop(options),
+        reused: false,
+        redirects: 0
+      };
+      const { beforeRedirect } = options;
+      const transport = timings.https ? followRedirects.https : followRedirects.http;
+
+      const request = transport.request({
+        ...options,
+        beforeRedirect: (redirectOptions, ...details) => {
+          Object.assign(timings, describeHop(redirectOptions));
+          timings.redirects++;
+
+          if (beforeRedirect) beforeRedirect(redirectOptions, ...details);
+        }
+      }, response => {
+        timings.firstByte = performance.now();
+        response.once('end', () => {
+          timings.end = performance.now();
+        });
+
+        // O axios expõe a requisição da última etapa (response.req) em response.request
+        response.req.timings = timings;
+        callback(response);
+      });
+
+      request.timings = timings;
+
+      // O follow-redirects repassa o evento "socket" de cada etapa
+      request.on('socket', socket => {
+        timings.socket = performance.now();
+        timings.reused = !socket.connecting;
+        delete timings.lookup;
+        delete timings.connect;
+        delete timings.secureConnect;
+
+        if (timings.reused) return;
+
+        socket.once('lookup', () => {
+          timings.lookup = performance.now();
+        });
+        socket.once('connect', () => {
+          timings.connect = performance.now();
+        });
+        socket.once('secureConnect', () => {
+          timings.secureConnect = performance.now();
+        });
+      });
+
+      return request;
+    }
+  };
+}
+
+/**
+ * Duração (ms) de cada fase a partir dos instantes registrados pelo transporte.
+ * Fases não concluídas (ex: timeout aguardando a resposta) ficam null, e
+ * `pending` indica a primeira delas
+ * @param {ClientRequest} request - Requisição (response.request ou error.request do axios)
+ * @returns {Object|null} { dns, tcp, tls, ttfb, download, total, reused, redirects, pending }
+ */
+function getTimings(request) {
+  const timings = request?.timings;
+  if (!timings || timings.socket === undefined) return null;
+
+  const elapsed = (from, to) => (from !== undefined && to !== undefined ? Math.round(to - from) : null);
+  const phases = { reused: timings.reused, redirects: timings.redirects || 0 };
+
+  if (timings.reused) {
+    Object.assign(phases, { dns: 0, tcp: 0, tls: 0 });
+  } else {
+    phases.dns = timings.ip ? 0 : elapsed(timings.socket, timings.lookup);
+    phases.tcp = elapsed(timings.lookup ?? timings.socket, timings.connect);
+    phases.tls = timings.https ? elapsed(timings.connect, timings.secureConnect) : 0;
+  }
+
+  const ready = timings.reused
+    ? timings.socket
+    : (timings.https ? timings.secureConnect : timings.connect);
+
+  phases.ttfb = elapsed(ready, timings.firstByte);
+  phases.download = elapsed(timings.firstByte, timings.end);
+  phases.total = Math.round((timings.end ?? performance.now()) - timings.start);
+  phases.pending = PHASES.find(phase => phases[phase] === null) || null;
+
+  return phases;
+}
+
+/**
+ * Fases em uma linha ("DNS 3ms | TCP 21ms | TLS 48ms | TTFB 812ms | Download 4ms")
+ */
+function formatPhases(phases) {
+  // Depois de uma fase não concluída, as seguintes nem começaram
+  const shown = phases.pending ? PHASES.slice(0, PHASES.indexOf(phases.pending)) : PHASES;
+  const parts = shown
+    .filter(phase => phases[phase] !== null && phases[phase] !== undefined)
+    .map(phase => `${PHASE_LABELS[phase]} ${phases[phase]}ms`);
+
+  if (phases.pending) {
+    parts.push(`${PHASE_LABELS[phases.pending]} não concluído`);
+  }
+
+  const notes = [
+    phases.reused && 'conexão reaproveitada',
+    phases.redirects > 0 && `${phases.redirects} redirecionamento(s)`
+  ].filter(Boolean);
+
+  return parts.join(' | ') + (notes.length > 0 ? ` (${notes.join(', ')})` : '');
+}
+
+module.exports = {
+  PHASES,
+  PHASE_LABELS,
+  createTimingTransport,
+  getTimings,
+  formatPhases
+};
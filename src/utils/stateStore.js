@@ -0,0 +1,231 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const logger = require('./logger');
+
+// Versão do envelope gravado nos arquivos de estado
+const STATE_VERSION = 1;
+
+/**
+ * Persistência dos arquivos de estado (data/*.json). Cada gravação vai para
+ * um arquivo temporário que substitui o original com rename, então uma queda
+ * no meio da escrita nunca deixa o arquivo truncado. As gravações de um mesmo
+ * arquivo são feitas em fila, e o conteúdo leva um checksum SHA-256 conferido
+ * na leitura. A versão anterior fica em <arquivo>.bak: um arquivo corrompido
+ * é preservado como <arquivo>.corrupt-<data> e restaurado a partir dela.
+ */
+class StateStore {
+  constructor() {
+    // Última gravação de cada arquivo (a próxima espera por ela)
+    this.queues = new Map();
+    // Arquivos cujo conteúdo atual foi lido ou gravado com sucesso
+    this.verified = new Set();
+    this.recoveryHandlers = [];
+    // Recuperações ocorridas antes de haver quem as notifique
+    this.pendingRecoveries = [];
+  }
+
+  /**
+   * Lê um arquivo de estado, recuperando a última versão boa se estiver corrompido
+   * @returns {*} Dados salvos, ou null se não houver (ou nada puder ser recuperado)
+   */
+  async read(file) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      // Arquivo não existe
+      return null;
+    }
+
+    try {
+      const data = this.decode(content);
+      this.verified.add(file);
+      return data;
+    } catch (error) {
+      return await this.recover(file, content, error);
+    }
+  }
+
+  /**
+   * Grava um arquivo de estado (atômico e em fila por arquivo). Os dados são
+   * serializados na chamada, então alterações posteriores não afetam a gravação
+   */
+  async write(file, data) {
+    return await this.enqueue(file, this.encode(data));
+  }
+
+  /**
+   * Grava um JSON comum, sem envelope, checksum ou backup (ex: relatórios,
+   * lidos por ferramentas externas), com a mesma escrita atômica e em fila
+   */
+  async writeJson(file, data) {
+    return await this.enqueue(file, JSON.stringify(data, null, 2), { backup: false });
+  }
+
+  /**
+   * Coloca a gravação na fila do arquivo
+   */
+  async enqueue(file, content, options) {
+    const previous = this.queues.get(file) || Promise.resolve();
+    const current = previous.then(() => this.writeAtomic(file, content, options));
+
+    // A fila segue mesmo que esta gravação falhe
+    const queued = current.catch(() => {});
+    this.queues.set(file, queued);
+    queued.then(() => {
+      if (this.queues.get(file) === queued) {
+        this.queues.delete(file);
+      }
+    });
+
+    return await current;
+  }
+
+  /**
+   * Aguarda as gravações pendentes (ex: antes de encerrar o processo)
+   */
+  async flush() {
+    await Promise.all([...this.queues.values()]);
+  }
+
+  /**
+   * Registra quem notifica as recuperações (recebe também as já ocorridas)
+   * @param {Function} handler - Recebe { file, error, restored, backupFile }
+   */
+  onRecovery(handler) {
+    this.recoveryHandlers.push(handler);
+
+    const pending = this.pendingRecoveries;
+    this.pendingRecoveries = [];
+    pending.forEach(event => this.emitRecovery(event));
+  }
+
+  /**
+   * Envelope gravado: { version, savedAt, checksum, data }
+   */
+  encode(data) {
+    const serialized = JSON.stringify(data);
+
+    return JSON.stringify({
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      checksum: checksum(serialized),
+      data: JSON.parse(serialized)
+    }, null, 2);
+  }
+
+  /**
+   * Valida o envelope e devolve os dados. Arquivos de versões anteriores
+   * (JSON sem envelope) são aceitos como estão
+   */
+  decode(content) {
+    const parsed = JSON.parse(content);
+
+    if (!isEnvelope(parsed)) {
+      return parsed;
+    }
+
+    if (checksum(JSON.stringify(parsed.data)) !== parsed.checksum) {
+      throw new Error('Checksum não confere');
+    }
+
+    return parsed.data;
+  }
+
+  /**
+   * Grava em um arquivo temporário e o renomeia sobre o original, guardando
+   * antes a versão atual (já verificada) como backup
+   */
+  async writeAtomic(file, content, { backup = true } = {}) {
+    const tempFile = `${file}.tmp`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    const handle = await fs.open(tempFile, 'w');
+    try {
+      await handle.writeFile(content);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (!backup) {
+      await fs.rename(tempFile, file);
+      return;
+    }
+
+    if (this.verified.has(file)) {
+      await fs.copyFile(file, `${file}.bak`).catch(() => {});
+    }
+
+    await fs.rename(tempFile, file);
+    this.verified.add(file);
+  }
+
+  /**
+   * Preserva o arquivo corrompido e restaura o backup, se ele for válido
+   */
+  async recover(file, content, error) {
+    const corruptFile = `${file}.corrupt-${moment().format('YYYYMMDD-HHmmss-SSS')}`;
+    await fs.writeFile(corruptFile, content).catch(() => {});
+
+    let data = null;
+    try {
+      data = this.decode(await fs.readFile(`${file}.bak`, 'utf8'));
+      await this.write(file, data);
+    } catch (backupError) {
+      data = null;
+    }
+
+    const restored = data !== null;
+
+    logger.error('💾 Arquivo de estado corrompido', {
+      file,
+      error: error.message,
+      backupFile: corruptFile,
+      restored
+    });
+
+    this.emitRecovery({ file, error: error.message, restored, backupFile: corruptFile });
+
+    return data;
+  }
+
+  /**
+   * Repassa a recuperação para os handlers registrados (ou guarda até haver um)
+   */
+  emitRecovery(event) {
+    if (this.recoveryHandlers.length === 0) {
+      this.pendingRecoveries.push(event);
+      return;
+    }
+
+    this.recoveryHandlers.forEach(handler => {
+      Promise.resolve()
+        .then(() => handler(event))
+        .catch(error => logger.error('Erro ao notificar recuperação de estado', { error: error.message }));
+    });
+  }
+}
+
+/**
+ * SHA-256 do conteúdo serializado
+ */
+function checksum(serialized) {
+  return crypto.createHash('sha256').update(serialized).digest('hex');
+}
+
+/**
+ * Indica se o JSON lido é um envelope do StateStore
+ */
+function isEnvelope(parsed) {
+  return !!parsed && typeof parsed === 'object' &&
+    parsed.version === STATE_VERSION &&
+    typeof parsed.checksum === 'string' &&
+    'data' in parsed;
+}
+
+module.exports = new StateStore();
+module.exports.StateStore = StateStore;
@@ -0,0 +1,205 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment({
+  MONITOR_SCHEDULE: 'seg-sex=8-22,sab=22-6',
+  HOLIDAYS_NATIONAL: 'true',
+  HOLIDAYS_CUSTOM: '2024-02-13=Carnaval,25/01=Aniversário de SP',
+  HOLIDAY_ACTION: 'silence',
+  MAINTENANCE_WINDOWS: '2024-03-12 09:00|2024-03-12 12:00|skip|Manutenção For4;' +
+    '2024-03-13 10:00|2024-03-13 11:00|silence|Deploy|staging'
+});
+
+const moment = require('moment-timezone');
+const config = require('../src/config/config');
+const calendar = require('../src/utils/calendar');
+
+moment.tz.setDefault(config.system.timezone);
+
+const at = text => moment.tz(text, config.system.timezone);
+const target = { name: 'default', schedule: config.calendar.schedule };
+
+describe('getEasterSunday', () => {
+  it('calcula a Páscoa', () => {
+    assert.equal(calendar.getEasterSunday(2024).format('YYYY-MM-DD'), '2024-03-31');
+    assert.equal(calendar.getEasterSunday(2025).format('YYYY-MM-DD'), '2025-04-20');
+    assert.equal(calendar.getEasterSunday(2038).format('YYYY-MM-DD'), '2038-04-25');
+  });
+});
+
+describe('getNationalHolidays', () => {
+  it('inclui os feriados fixos e a Sexta-feira Santa', () => {
+    const holidays = calendar.getNationalHolidays(2025);
+
+    assert.equal(holidays['2025-01-01'], 'Confraternização Universal');
+    assert.equal(holidays['2025-11-20'], 'Dia Nacional de Zumbi e da Consciência Negra');
+    assert.equal(holidays['2025-04-18'], 'Sexta-feira Santa');
+    assert.equal(Object.keys(holidays).length, 10);
+  });
+});
+
+describe('getHoliday', () => {
+  it('encontra feriados nacionais', () => {
+    assert.deepEqual(calendar.getHoliday(at('2024-03-29 10:00')), { date: '2024-03-29', name: 'Sexta-feira Santa' });
+  });
+
+  it('encontra feriados próprios com data e com dia/mês', () => {
+    assert.equal(calendar.getHoliday(at('2024-02-13 12:00')).name, 'Carnaval');
+    assert.equal(calendar.getHoliday(at('2023-02-13 12:00')), null);
+    assert.deepEqual(calendar.getHoliday(at('2031-01-25 12:00')), { date: '2031-01-25', name: 'Aniversário de SP' });
+  });
+
+  it('devolve null em dias comuns', () => {
+    assert.equal(calendar.getHoliday(at('2024-03-11 12:00')), null);
+  });
+});
+
+describe('isScheduled', () => {
+  it('respeita a faixa do dia', () => {
+    assert.equal(calendar.isScheduled(target, at('2024-03-11 07:59')), false);
+    assert.equal(calendar.isScheduled(target, at('2024-03-11 08:00')), true);
+    assert.equal(calendar.isScheduled(target, at('2024-03-11 21:59')), true);
+    assert.equal(calendar.isScheduled(target, at('2024-03-11 22:00')), false);
+  });
+
+  it('não monitora dias fora da agenda', () => {
+    assert.equal(calendar.isScheduled(target, at('2024-03-17 12:00')), false);
+  });
+
+  it('continua faixas que viram a meia-noite no dia seguinte', () => {
+    assert.equal(calendar.isScheduled(target, at('2024-03-16 23:00')), true);
+    assert.equal(calendar.isScheduled(target, at('2024-03-17 05:59')), true);
+    assert.equal(calendar.isScheduled(target, at('2024-03-17 06:00')), false);
+  });
+
+  it('usa o horário de início e fim sem agenda', () => {
+    const hours = { name: 'default', schedule: null, startHour: 22, endHour: 6 };
+
+    assert.equal(calendar.isScheduled(hours, at('2024-03-11 23:00')), true);
+    assert.equal(calendar.isScheduled(hours, at('2024-03-11 12:00')), false);
+  });
+});
+
+describe('getCalendarState', () => {
+  it('não verifica nem alerta fora da agenda', () => {
+    const state = calendar.getCalendarState(target, at('2024-03-17 12:00'));
+
+    assert.equal(state.shouldCheck, false);
+    assert.equal(state.shouldAlert, false);
+  });
+
+  it('aplica a ação da janela de manutenção', () => {
+    const state = calendar.getCalendarState(target, at('2024-03-12 10:00'));
+
+    assert.equal(state.shouldCheck, false);
+    assert.equal(state.shouldAlert, false);
+    assert.equal(state.reason, 'Janela de manutenção: Manutenção For4');
+  });
+
+  it('aplica janelas com alvos apenas a esses alvos', () => {
+    const date = at('2024-03-13 10:30');
+
+    assert.equal(calendar.getCalendarState(target, date).shouldAlert, true);
+
+    const staging = calendar.getCalendarState({ ...target, name: 'staging' }, date);
+    assert.equal(staging.shouldCheck, true);
+    assert.equal(staging.shouldAlert, false);
+  });
+
+  it('verifica sem alertar em feriados (HOLIDAY_ACTION=silence)', () => {
+    const state = calendar.getCalendarState(target, at('2024-03-29 10:00'));
+
+    assert.equal(state.shouldCheck, true);
+    assert.equal(state.shouldAlert, false);
+    assert.equal(state.reason, 'Feriado: Sexta-feira Santa');
+  });
+
+  it('verifica e alerta em dias comuns', () => {
+    const state = calendar.getCalendarState(target, at('2024-03-11 10:00'));
+
+    assert.equal(state.shouldCheck, true);
+    assert.equal(state.shouldAlert, true);
+    assert.equal(state.reason, null);
+  });
+});
+
+describe('isSlot', () => {
+  it('marca os minutos múltiplos do intervalo', () => {
+    assert.equal(calendar.isSlot(15, at('2024-03-11 10:00')), true);
+    assert.equal(calendar.isSlot(15, at('2024-03-11 10:15')), true);
+    assert.equal(calendar.isSlot(15, at('2024-03-11 10:07')), false);
+  });
+
+  it('ignora os segundos dentro do minuto', () => {
+    assert.equal(calendar.isSlot(5, at('2024-03-11 10:05').add(59, 'seconds')), true);
+  });
+
+  it('mantém a cadência de intervalos que não dividem 60 na virada do dia', () => {
+    const slots = [];
+    for (let minute = at('2024-03-11 22:00'); minute.isBefore(at('2024-03-12 02:00')); minute.add(1, 'minute')) {
+      if (calendar.isSlot(45, minute)) slots.push(minute.clone());
+    }
+
+    slots.slice(1).forEach((slot, index) => {
+      assert.equal(slot.diff(slots[index], 'minutes'), 45);
+    });
+    assert.equal(slots.length, 5);
+  });
+
+  it('alinha os horários à meia-noite do fuso configurado', () => {
+    assert.equal(calendar.isSlot(1440, at('2024-03-12 00:00')), true);
+    assert.equal(calendar.isSlot(1440, at('2024-03-11 21:00')), false);
+    assert.equal(calendar.isSlot(120, at('2024-03-11 10:00')), true);
+    assert.equal(calendar.isSlot(120, at('2024-03-11 11:00')), false);
+  });
+
+  it('alinha os horários em fusos com deslocamento fracionário', () => {
+    const timezone = config.system.timezone;
+    config.system.timezone = 'Asia/Kolkata';
+
+    try {
+      assert.equal(calendar.isSlot(1440, moment.tz('2024-03-12 00:00', 'Asia/Kolkata')), true);
+      assert.equal(calendar.isSlot(60, moment.tz('2024-03-12 09:00', 'Asia/Kolkata')), true);
+      assert.equal(calendar.isSlot(60, moment.tz('2024-03-12 09:30', 'Asia/Kolkata')), false);
+    } finally {
+      config.system.timezone = timezone;
+    }
+  });
+});
+
+describe('getScheduleProfile', () => {
+  const profiled = {
+    ...target,
+    intervalMinutes: 15,
+    profiles: [
+      { name: 'pico', start: 8 * 60, end: 22 * 60, intervalMinutes: 5 },
+      { name: 'noite', start: 23 * 60, end: 6 * 60, intervalMinutes: 60 }
+    ]
+  };
+
+  it('usa o perfil que cobre o horário', () => {
+    assert.equal(calendar.getScheduleProfile(profiled, at('2024-03-11 08:00')).name, 'pico');
+    assert.equal(calendar.getScheduleProfile(profiled, at('2024-03-11 02:00')).intervalMinutes, 60);
+  });
+
+  it('usa o intervalo padrão fora dos perfis', () => {
+    assert.deepEqual(calendar.getScheduleProfile(profiled, at('2024-03-11 22:30')), { name: 'padrão', intervalMinutes: 15 });
+  });
+});
+
+describe('getPlannedChecks', () => {
+  it('conta as verificações previstas por perfil, dentro da agenda', () => {
+    const profiled = {
+      ...target,
+      intervalMinutes: 30,
+      profiles: [{ name: 'pico', start: 8 * 60, end: 9 * 60, intervalMinutes: 10 }]
+    };
+
+    // 07:00-07:59 fora da agenda; 08:00-08:59 pico (6); 09:00-10:00 padrão (3)
+    assert.deepEqual(calendar.getPlannedChecks(profiled, at('2024-03-11 07:00'), at('2024-03-11 10:00')), {
+      pico: 6,
+      padrão: 3
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+const chartRenderer = require('../src/utils/chartRenderer');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const SUCCESS = [46, 160, 67];
+const FAILURE = [214, 39, 40];
+const AVERAGE = [33, 115, 230];
+const NO_DATA = [200, 200, 200];
+
+/**
+ * Confere a assinatura e o tamanho do PNG e devolve a imagem decodificada
+ */
+function decode(buffer, width, height) {
+  assert.ok(Buffer.isBuffer(buffer));
+  assert.deepEqual(buffer.subarray(0, 8), PNG_SIGNATURE);
+
+  const image = PNG.sync.read(buffer);
+  assert.equal(image.width, width);
+  assert.equal(image.height, height);
+
+  return image;
+}
+
+/**
+ * Indica se algum pixel da imagem tem a cor informada
+ */
+function hasColor(image, [r, g, b]) {
+  for (let index = 0; index < image.data.length; index += 4) {
+    if (image.data[index] === r && image.data[index + 1] === g && image.data[index + 2] === b) return true;
+  }
+  return false;
+}
+
+/**
+ * Cor (RGB) de um pixel
+ */
+function pixel(image, x, y) {
+  const index = (image.width * y + x) << 2;
+  return [image.data[index], image.data[index + 1], image.data[index + 2]];
+}
+
+const hours = ['10', '11', '12', '13'];
+
+describe('renderLatencyChart', () => {
+  it('gera um PNG 800x360 com a linha da média', () => {
+    const points = hours.map((label, index) => ({ label, avg: 800 + index * 100, p95: 1500 + index * 200 }));
+    const image = decode(chartRenderer.renderLatencyChart(points), 800, 360);
+
+    assert.ok(hasColor(image, AVERAGE));
+  });
+
+  it('aceita períodos sem verificações', () => {
+    const points = hours.map(label => ({ label, avg: null, p95: null }));
+    decode(chartRenderer.renderLatencyChart(points), 800, 360);
+  });
+});
+
+describe('renderResultsChart', () => {
+  it('empilha as barras de sucesso e falha', () => {
+    const points = hours.map((label, index) => ({ label, success: 4, failure: index === 2 ? 2 : 0 }));
+    const image = decode(chartRenderer.renderResultsChart(points), 800, 360);
+
+    assert.ok(hasColor(image, SUCCESS));
+    assert.ok(hasColor(image, FAILURE));
+  });
+});
+
+describe('renderUptimeStrip', () => {
+  it('gera uma faixa 800x150 com uma célula por dia', () => {
+    const days = Array.from({ length: 30 }, (_, index) => ({
+      label: String(index + 1).padStart(2, '0'),
+      uptime: index === 10 ? 90 : index === 11 ? null : 100
+    }));
+    const image = decode(chartRenderer.renderUptimeStrip(days), 800, 150);
+
+    // Centro da célula de cada dia (área do gráfico de x=70 a x=780, células de y=50 a y=100)
+    const cell = index => pixel(image, Math.round(70 + (710 / 30) * (index + 0.5)), 75);
+
+    assert.deepEqual(cell(0), SUCCESS);
+    assert.deepEqual(cell(10), FAILURE);
+    assert.deepEqual(cell(11), NO_DATA);
+  });
+});
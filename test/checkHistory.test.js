@@ -0,0 +1,155 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment({ HISTORY_RETENTION_DAYS: '30' });
+
+const moment = require('moment-timezone');
+const CheckHistory = require('../src/services/checkHistory');
+
+let sequence = 0;
+
+/**
+ * Histórico de um alvo novo, com as verificações gravadas direto nas partições
+ * (um registro a cada `time`, na ordem recebida)
+ */
+function createHistory(entries = []) {
+  const history = new CheckHistory({ target: `alvo-${++sequence}` });
+  fs.mkdirSync(history.dir, { recursive: true });
+
+  entries.forEach(entry => {
+    const time = moment(entry.time);
+    const record = { method: 'pix', result: 'success', responseTime: 100, ...entry, time: time.toISOString() };
+    fs.appendFileSync(history.getPartitionFile(time.format('YYYY-MM-DD')), JSON.stringify(record) + '\n');
+  });
+
+  return history;
+}
+
+describe('CheckHistory.query', () => {
+  let history;
+
+  beforeEach(() => {
+    history = createHistory([
+      { time: '2024-03-10T23:50:00', trackingId: 'a' },
+      { time: '2024-03-11T00:00:00', trackingId: 'b', method: 'card' },
+      { time: '2024-03-11T10:00:00', trackingId: 'c', result: 'failure', errorType: 'TIMEOUT' },
+      { time: '2024-03-11T10:00:00', trackingId: 'd' },
+      { time: '2024-03-12T08:00:00', trackingId: 'e' }
+    ]);
+  });
+
+  const ids = entries => entries.map(entry => entry.trackingId);
+
+  it('devolve o período com início inclusivo e fim exclusivo', async () => {
+    const entries = await history.query({ from: '2024-03-11T00:00:00', to: '2024-03-11T10:00:00' });
+    assert.deepEqual(ids(entries), ['b']);
+  });
+
+  it('atravessa as partições dos dias em ordem de horário', async () => {
+    const entries = await history.query({ from: '2024-03-10T12:00:00', to: '2024-03-13T00:00:00' });
+    assert.deepEqual(ids(entries), ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('inclui todos os registros do mesmo horário', async () => {
+    const entries = await history.query({ from: '2024-03-11T10:00:00', to: '2024-03-11T10:00:01' });
+    assert.deepEqual(ids(entries), ['c', 'd']);
+  });
+
+  it('filtra por método e resultado', async () => {
+    const range = { from: '2024-03-10T00:00:00', to: '2024-03-13T00:00:00' };
+
+    assert.deepEqual(ids(await history.query({ ...range, method: 'card' })), ['b']);
+    assert.deepEqual(ids(await history.query({ ...range, method: 'pix', result: 'failure' })), ['c']);
+  });
+
+  it('devolve vazio para dias sem partição', async () => {
+    assert.deepEqual(await history.query({ from: '2024-01-01T00:00:00', to: '2024-01-03T00:00:00' }), []);
+  });
+
+  it('ignora linhas incompletas', async () => {
+    fs.appendFileSync(history.getPartitionFile('2024-03-12'), '{"time":"2024-03-12T09:00');
+
+    const entries = await history.query({ from: '2024-03-12T00:00:00', to: '2024-03-13T00:00:00' });
+    assert.deepEqual(ids(entries), ['e']);
+  });
+});
+
+describe('CheckHistory.record', () => {
+  it('acrescenta à partição do dia e ao cache já carregado', async () => {
+    const history = createHistory();
+    const from = moment().startOf('day');
+
+    assert.deepEqual(await history.query({ from }), []);
+
+    const record = await history.record({ trackingId: 'novo', method: 'pix', result: 'success', responseTime: 50 });
+    assert.equal(record.target, history.target);
+
+    const entries = await history.query({ from, to: moment().add(1, 'minute') });
+    assert.deepEqual(entries.map(entry => entry.trackingId), ['novo']);
+
+    const file = history.getPartitionFile(moment().format('YYYY-MM-DD'));
+    assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+  });
+
+  it('não perde nem duplica registros gravados durante uma consulta', async () => {
+    const history = createHistory([{ time: moment().subtract(1, 'minute').toISOString(), trackingId: 'antes' }]);
+    const range = { from: moment().startOf('day'), to: moment().add(1, 'minute') };
+
+    // Leitura lenta: o arquivo é lido antes das gravações e entregue depois delas
+    const readFile = fs.promises.readFile;
+    mock.method(fs.promises, 'readFile', async (...args) => {
+      const data = await readFile(...args);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return data;
+    });
+
+    let concurrent;
+    try {
+      [concurrent] = await Promise.all([
+        history.query(range),
+        history.record({ trackingId: 'durante', method: 'pix', result: 'success' }),
+        history.record({ trackingId: 'depois', method: 'pix', result: 'success' })
+      ]);
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.deepEqual(concurrent.map(entry => entry.trackingId), ['antes']);
+
+    const entries = await history.query(range);
+    assert.deepEqual(entries.map(entry => entry.trackingId), ['antes', 'durante', 'depois']);
+  });
+
+  it('remove as partições mais antigas que a retenção', async () => {
+    const old = moment().subtract(40, 'days');
+    const history = createHistory([{ time: old.toISOString(), trackingId: 'antigo' }]);
+
+    await history.record({ trackingId: 'novo', method: 'pix', result: 'success' });
+
+    assert.equal(fs.existsSync(history.getPartitionFile(old.format('YYYY-MM-DD'))), false);
+    assert.deepEqual(fs.readdirSync(history.dir), [`${moment().format('YYYY-MM-DD')}.jsonl`]);
+  });
+});
+
+describe('CheckHistory.getStats', () => {
+  it('calcula uptime, percentis e erros por tipo', async () => {
+    const entries = [];
+    for (let i = 1; i <= 10; i++) {
+      entries.push({ time: `2024-03-11T10:${String(i).padStart(2, '0')}:00`, responseTime: i * 100 });
+    }
+    entries.push({ time: '2024-03-11T11:00:00', result: 'failure', errorType: 'TIMEOUT', suppressed: true });
+    entries.push({ time: '2024-03-11T11:01:00', result: 'failure', errorType: 'TIMEOUT' });
+
+    const stats = await createHistory(entries).getStats('2024-03-11T00:00:00', '2024-03-12T00:00:00');
+
+    assert.equal(stats.total, 12);
+    assert.equal(stats.failed, 2);
+    assert.equal(stats.suppressed, 1);
+    assert.equal(stats.uptime, '83.33');
+    assert.equal(stats.avgResponseTime, 550);
+    assert.deepEqual(stats.latency, { p50: 500, p90: 900, p95: 1000, p99: 1000, max: 1000 });
+    assert.deepEqual(stats.errorsByType, { TIMEOUT: 2 });
+  });
+});
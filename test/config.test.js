@@ -0,0 +1,204 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnvironment } = require('./helpers');
+
+const dir = setupTestEnvironment();
+
+const { ConfigSchema, readConfigFile } = require('../src/config/schema');
+const { loadConfig } = require('../src/config/loader');
+
+/**
+ * Grava um arquivo de configuração no diretório temporário
+ */
+function configFile(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe('ConfigSchema', () => {
+  it('valida inteiros e limites, apontando a origem do valor', () => {
+    const schema = new ConfigSchema({ env: { A: '10', B: '1.5', C: '0' } });
+
+    assert.equal(schema.integer('monitor.a', 'A', { min: 1, max: 60 }), 10);
+    assert.equal(schema.integer('monitor.b', 'B', { default: 5 }), 5);
+    assert.equal(schema.integer('monitor.c', 'C', { default: 15, min: 1, max: 1440 }), 15);
+    assert.equal(schema.integer('monitor.d', 'D', { default: 3 }), 3);
+
+    assert.deepEqual(schema.errors, [
+      'monitor.b [B]: deve ser um número inteiro (recebido: "1.5")',
+      'monitor.c [C]: deve estar entre 1 e 1440 (recebido: 0)'
+    ]);
+  });
+
+  it('aceita decimais em number', () => {
+    const schema = new ConfigSchema({ env: { RATE: '14.4', BAD: 'rápido' } });
+
+    assert.equal(schema.number('slo.rate', 'RATE', { min: 1 }), 14.4);
+    assert.equal(schema.number('slo.bad', 'BAD', { default: 6 }), 6);
+    assert.deepEqual(schema.errors, ['slo.bad [BAD]: deve ser um número (recebido: "rápido")']);
+  });
+
+  it('lê booleanos do ambiente e do arquivo', () => {
+    const schema = new ConfigSchema({ file: { a: true, b: 'sim' }, fileName: 'config.yml', env: { C: 'TRUE' } });
+
+    assert.equal(schema.boolean('a', null), true);
+    assert.equal(schema.boolean('b', null, false), false);
+    assert.equal(schema.boolean('c', 'C'), true);
+    assert.deepEqual(schema.errors, ['b [config.yml]: deve ser true ou false (recebido: "sim")']);
+  });
+
+  it('lê listas separadas por vírgula ou como array', () => {
+    const schema = new ConfigSchema({ file: { a: ['slack', ' email '], b: [{ x: 1 }] }, fileName: 'config.yml', env: { C: 'telegram, ,slack' } });
+
+    assert.deepEqual(schema.list('a', null), ['slack', 'email']);
+    assert.deepEqual(schema.list('b', null, ['telegram']), ['telegram']);
+    assert.deepEqual(schema.list('c', 'C'), ['telegram', 'slack']);
+    assert.deepEqual(schema.errors, ['b [config.yml]: deve ser uma lista de textos']);
+  });
+
+  it('restringe oneOf aos valores permitidos', () => {
+    const schema = new ConfigSchema({ env: { LOG_LEVEL: 'verbose' } });
+
+    assert.equal(schema.oneOf('system.logLevel', 'LOG_LEVEL', ['info', 'debug'], 'info'), 'info');
+    assert.deepEqual(schema.errors, ['system.logLevel [LOG_LEVEL]: deve ser "info" ou "debug" (recebido: "verbose")']);
+  });
+
+  it('valida expressões cron', () => {
+    const schema = new ConfigSchema({ env: { OK: '*/5 * * * *', BAD: '61 * * * *' } });
+
+    assert.equal(schema.cron('schedules.ok', 'OK', '0 * * * *'), '*/5 * * * *');
+    assert.equal(schema.cron('schedules.bad', 'BAD', '0 * * * *'), '0 * * * *');
+    assert.deepEqual(schema.errors, ['schedules.bad [BAD]: expressão cron inválida (recebido: "61 * * * *")']);
+  });
+
+  it('dá precedência ao arquivo sobre o ambiente', () => {
+    const schema = new ConfigSchema({
+      file: { monitor: { intervalMinutes: 5, label: '' } },
+      fileName: 'config.yml',
+      env: { CHECK_INTERVAL_MINUTES: '30', LABEL: 'ambiente' }
+    });
+
+    assert.equal(schema.integer('monitor.intervalMinutes', 'CHECK_INTERVAL_MINUTES'), 5);
+    // Valor vazio no arquivo conta como não informado
+    assert.equal(schema.string('monitor.label', 'LABEL'), 'ambiente');
+  });
+
+  it('aponta chaves desconhecidas do arquivo', () => {
+    const schema = new ConfigSchema({
+      file: { monitor: { intervalMinutes: 5, intervalMinuts: 10, latency: { warningMs: 1 } } },
+      fileName: 'config.yml',
+      env: {}
+    });
+
+    schema.integer('monitor.intervalMinutes', 'CHECK_INTERVAL_MINUTES');
+    schema.checkUnknownKeys();
+
+    assert.deepEqual(schema.errors, [
+      'monitor.intervalMinuts [config.yml]: chave desconhecida',
+      'monitor.latency.warningMs [config.yml]: chave desconhecida'
+    ]);
+  });
+
+  it('exige um mapa em keys', () => {
+    const schema = new ConfigSchema({ file: { targets: ['staging'] }, fileName: 'config.yml', env: {} });
+
+    assert.deepEqual(schema.keys('targets'), []);
+    assert.deepEqual(schema.keys('outros'), []);
+    assert.deepEqual(schema.errors, ['targets [config.yml]: deve ser um mapa (chave: valor)']);
+
+    // A chave inválida já foi apontada, então não volta como desconhecida
+    schema.checkUnknownKeys();
+    assert.equal(schema.errors.length, 1);
+  });
+});
+
+describe('readConfigFile', () => {
+  it('lê YAML e JSON pela extensão', () => {
+    assert.deepEqual(readConfigFile(configFile('leitura.yml', 'monitor:\n  intervalMinutes: 5\n')), { monitor: { intervalMinutes: 5 } });
+    assert.deepEqual(readConfigFile(configFile('leitura.json', '{"monitor":{"intervalMinutes":5}}')), { monitor: { intervalMinutes: 5 } });
+    assert.deepEqual(readConfigFile(configFile('vazio.yml', '')), {});
+  });
+
+  it('recusa conteúdo que não seja um objeto', () => {
+    assert.throws(() => readConfigFile(configFile('lista.yml', '- a\n- b\n')), /o conteúdo deve ser um objeto/);
+  });
+});
+
+describe('loadConfig', () => {
+  const env = { FOR4_SECRET_KEY: 'segredo', LOG_LEVEL: 'error' };
+
+  it('carrega os padrões com o mínimo obrigatório', () => {
+    const { config, errors } = loadConfig(env);
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.monitor.intervalMinutes, 15);
+    assert.equal(config.targets.length, 1);
+    assert.equal(config.targets[0].name, 'default');
+    assert.equal(config.targets[0].secretKey, 'segredo');
+    assert.equal(config.system.configFile, null);
+  });
+
+  it('acumula todos os erros de uma vez', () => {
+    const { errors } = loadConfig({ CHECK_INTERVAL_MINUTES: 'quinze', ALERT_THRESHOLD: '3/2' });
+
+    assert.ok(errors.includes('monitor.intervalMinutes [CHECK_INTERVAL_MINUTES]: deve ser um número inteiro (recebido: "quinze")'));
+    assert.ok(errors.includes('monitor.alertPolicies.default.threshold [ALERT_THRESHOLD]: use "N/M", com 1 <= N <= M (recebido: "3/2")'));
+    assert.ok(errors.includes('for4.secretKey [FOR4_SECRET_KEY]: obrigatório'));
+  });
+
+  it('lê as políticas de alerta no formato N/M', () => {
+    const { config } = loadConfig({ ...env, ALERT_THRESHOLD: '2/5', ALERT_THRESHOLD_TIMEOUT: '3' });
+
+    assert.equal(config.monitor.alertPolicies.default.failures, 2);
+    assert.equal(config.monitor.alertPolicies.default.window, 5);
+    assert.equal(config.monitor.alertPolicies.byType.TIMEOUT.failures, 3);
+    assert.equal(config.monitor.alertPolicies.byType.TIMEOUT.window, 3);
+  });
+
+  it('usa o arquivo de CONFIG_FILE com precedência sobre o ambiente', () => {
+    const file = configFile('monitor.yml', [
+      'for4:',
+      '  secretKey: do-arquivo',
+      'monitor:',
+      '  intervalMinutes: 5',
+      'targets:',
+      '  staging:',
+      '    secretKey: chave-staging',
+      '    intervalMinutes: 30',
+      ''
+    ].join('\n'));
+
+    const { config, errors } = loadConfig({ ...env, CONFIG_FILE: file, CHECK_INTERVAL_MINUTES: '10' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.for4.secretKey, 'do-arquivo');
+    assert.equal(config.monitor.intervalMinutes, 5);
+    assert.deepEqual(config.targets.map(target => [target.name, target.intervalMinutes]), [['staging', 30]]);
+    assert.equal(config.system.configFile, file);
+  });
+
+  it('aponta erros e chaves desconhecidas do arquivo pelo nome', () => {
+    const file = configFile('monitor.json', JSON.stringify({
+      monitor: { intervalMinutes: 0 },
+      telegram: { chatID: '123' }
+    }));
+
+    const { errors } = loadConfig({ ...env, CONFIG_FILE: file });
+
+    assert.deepEqual(errors, [
+      'monitor.intervalMinutes [monitor.json]: deve estar entre 1 e 1440 (recebido: 0)',
+      'telegram.chatID [monitor.json]: chave desconhecida'
+    ]);
+  });
+
+  it('informa quando o arquivo não existe ou não pode ser lido', () => {
+    const missing = path.join(dir, 'inexistente.yml');
+    assert.deepEqual(loadConfig({ ...env, CONFIG_FILE: missing }).errors, [`CONFIG_FILE (${missing}): arquivo não encontrado`]);
+
+    const invalid = configFile('invalido.json', '{"monitor":');
+    assert.match(loadConfig({ ...env, CONFIG_FILE: invalid }).errors[0], /^CONFIG_FILE \(.*invalido\.json\): /);
+  });
+});
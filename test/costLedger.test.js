@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment({
+  BUDGET_DAILY: '10',
+  BUDGET_MONTHLY: '100',
+  BUDGET_WARN_PERCENT: '80',
+  BUDGET_ACTION: 'cheap',
+  BUDGET_INTERVAL_MULTIPLIER: '4'
+});
+
+const moment = require('moment-timezone');
+const config = require('../src/config/config');
+const costLedger = require('../src/services/costLedger');
+const notificationService = require('../src/services/notificationService');
+const PixMonitor = require('../src/monitor');
+
+// Meio do mês, para a previsão ter um ritmo a projetar
+const NOW = moment.tz('2024-03-16 12:00', config.system.timezone);
+
+/**
+ * Registra `count` transações de `amount` centavos
+ */
+async function spend(count, amount = 100, target = 'default') {
+  for (let i = 0; i < count; i++) {
+    await costLedger.record({ target, method: 'pix', amount, transactionId: `tx-${i}`, trackingId: `TRK-${i}` });
+  }
+}
+
+let messages;
+
+beforeEach(async () => {
+  await costLedger.ready;
+  costLedger.state = { days: {}, entries: [], alerts: {} };
+  mock.timers.enable({ apis: ['Date'], now: NOW.valueOf() });
+  messages = mock.method(notificationService, 'sendMessage', async () => true);
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+  config.budget.action = 'cheap';
+});
+
+describe('CostLedger.record', () => {
+  it('soma o gasto do dia, do mês e de cada alvo', async () => {
+    await spend(2, 500, 'default');
+    await spend(1, 300, 'homologacao');
+
+    assert.deepEqual(costLedger.getDayTotals(), { total: 1300, count: 3 });
+    assert.deepEqual(costLedger.getDayTotals(NOW, 'homologacao'), { total: 300, count: 1 });
+    assert.deepEqual(costLedger.getMonthTotals(NOW, 'default'), { total: 1000, count: 2 });
+    assert.equal(costLedger.state.entries.length, 3);
+  });
+
+  it('totaliza períodos com os dois extremos inclusos', async () => {
+    costLedger.state.days = {
+      '2024-03-09': { total: 100, count: 1, targets: { default: { total: 100, count: 1 } } },
+      '2024-03-10': { total: 200, count: 2, targets: { default: { total: 200, count: 2 } } },
+      '2024-03-16': { total: 400, count: 4, targets: { default: { total: 400, count: 4 } } }
+    };
+
+    assert.deepEqual(costLedger.getPeriodTotals('2024-03-10', NOW), { total: 600, count: 6 });
+  });
+
+  it('remove os dias além da retenção e os alertas de meses anteriores', async () => {
+    costLedger.state.days['2022-01-01'] = { total: 100, count: 1, targets: {} };
+    costLedger.state.alerts['daily:2024-02-20:warn'] = true;
+
+    await spend(1);
+
+    assert.deepEqual(Object.keys(costLedger.state.days), ['2024-03-16']);
+    assert.deepEqual(Object.keys(costLedger.state.alerts), []);
+  });
+});
+
+describe('CostLedger.getMonthForecast', () => {
+  it('projeta o ritmo do mês até o último dia', () => {
+    costLedger.state.days['2024-03-01'] = { total: 1550, count: 1, targets: {} };
+
+    // 15,5 dias decorridos de 31
+    assert.equal(costLedger.getMonthForecast(), 3100);
+  });
+
+  it('no primeiro dia do mês devolve apenas o gasto', () => {
+    mock.timers.setTime(moment.tz('2024-03-01 10:00', config.system.timezone).valueOf());
+    costLedger.state.days['2024-03-01'] = { total: 700, count: 1, targets: {} };
+
+    assert.equal(costLedger.getMonthForecast(), 700);
+  });
+});
+
+describe('CostLedger: orçamentos', () => {
+  it('calcula o percentual e estoura ao atingir o limite', async () => {
+    await spend(9);
+
+    let status = costLedger.getBudgetStatus();
+    assert.equal(status.daily.limit, 1000);
+    assert.equal(status.daily.percent, 90);
+    assert.equal(status.exceeded, false);
+
+    await spend(1);
+
+    status = costLedger.getBudgetStatus();
+    assert.equal(status.daily.exceeded, true);
+    assert.equal(status.monthly.exceeded, false);
+    assert.equal(costLedger.isOverBudget(), true);
+  });
+
+  it('avisa uma vez ao se aproximar e uma vez ao estourar', async () => {
+    await spend(7);
+    assert.equal(messages.mock.callCount(), 0);
+
+    await spend(2);
+    assert.equal(messages.mock.callCount(), 1);
+    assert.match(messages.mock.calls[0].arguments[0], /ORÇAMENTO DIÁRIO PRÓXIMO DO LIMITE/);
+    assert.equal(messages.mock.calls[0].arguments[1], 'budget');
+
+    await spend(1);
+    await spend(1);
+    assert.equal(messages.mock.callCount(), 2);
+    assert.match(messages.mock.calls[1].arguments[0], /ORÇAMENTO DIÁRIO ESTOURADO/);
+    assert.match(messages.mock.calls[1].arguments[0], /sondas sem custo/);
+  });
+
+  it('avisa de novo no dia seguinte', async () => {
+    await spend(10);
+    assert.equal(messages.mock.callCount(), 2);
+
+    mock.timers.setTime(NOW.clone().add(1, 'day').valueOf());
+    await spend(10);
+
+    assert.equal(messages.mock.callCount(), 4);
+  });
+});
+
+describe('PixMonitor com o orçamento estourado', () => {
+  let sequence = 0;
+
+  /**
+   * Monitor de um alvo novo com as chamadas à For4 substituídas
+   */
+  async function createMonitor() {
+    const name = `orcamento-${++sequence}`;
+    const monitor = new PixMonitor({ ...config.targets[0], name, label: name, isDefault: false, fileSuffix: `-${name}` });
+    await monitor.initialize();
+
+    const create = mock.method(monitor.for4Service, 'createPixTransaction', async () => (
+      { data: { id: 'novo', pixCode: '000201' }, responseTime: 100, steps: {} }
+    ));
+    const readOnly = mock.method(monitor.for4Service, 'runPixReadOnlyCheck', async (trackingId, transactionId) => (
+      { success: true, readOnly: true, data: { id: transactionId }, responseTime: 50, steps: {} }
+    ));
+
+    return { monitor, create, readOnly };
+  }
+
+  beforeEach(async () => {
+    await spend(10);
+  });
+
+  it('com a ação "cheap", consulta a última transação em vez de criar outra', async () => {
+    const { monitor, create, readOnly } = await createMonitor();
+    monitor.stats.lastTransactionId = 'anterior';
+
+    await monitor.runPixCheck();
+
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(readOnly.mock.callCount(), 1);
+    assert.equal(readOnly.mock.calls[0].arguments[1], 'anterior');
+    assert.equal(costLedger.getDayTotals(NOW, monitor.target.name).count, 0);
+  });
+
+  it('com a ação "cheap" e nenhuma transação anterior, não verifica', async () => {
+    const { monitor, create, readOnly } = await createMonitor();
+
+    await monitor.runPixCheck();
+
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(readOnly.mock.callCount(), 0);
+  });
+
+  it('com a ação "stretch", multiplica o intervalo e continua criando transações', async () => {
+    config.budget.action = 'stretch';
+    const { monitor, create } = await createMonitor();
+
+    assert.equal(monitor.getIntervalMinutes(), monitor.target.intervalMinutes * 4);
+
+    await monitor.runPixCheck();
+    assert.equal(create.mock.callCount(), 1);
+  });
+});
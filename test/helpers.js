@@ -0,0 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Prepara um ambiente isolado antes de carregar os módulos que leem a
+ * configuração: diretório temporário como diretório atual (data/ e logs/ vão
+ * para ele, e nenhum .env ou CONFIG_FILE do desenvolvedor é lido) e as
+ * variáveis mínimas para a configuração ser válida
+ * @returns {string} Diretório temporário (removido ao fim do processo)
+ */
+function setupTestEnvironment(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'for4-monitor-test-'));
+  process.chdir(dir);
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+  delete process.env.CONFIG_FILE;
+  Object.assign(process.env, {
+    FOR4_SECRET_KEY: 'test',
+    ENABLE_NOTIFICATIONS: 'false',
+    LOG_LEVEL: 'error',
+    ...env
+  });
+
+  return dir;
+}
+
+module.exports = {
+  setupTestEnvironment
+};
@@ -0,0 +1,163 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment({ ALERT_THRESHOLD: '2/3', ALERT_CONFIRM_RETRIES_NETWORK_ERROR: '1' });
+
+const config = require('../src/config/config');
+const PixMonitor = require('../src/monitor');
+
+let sequence = 0;
+
+/**
+ * Monitor de um alvo novo (arquivos de estado próprios) com a criação do PIX
+ * substituída: `pix.fail()` (timeout) e `pix.succeed()` definem o resultado das
+ * próximas verificações e `alerts` conta os alertas de erro enviados
+ */
+async function createMonitor() {
+  const name = `alvo-${++sequence}`;
+  const monitor = new PixMonitor({ ...config.targets[0], name, label: name, isDefault: false, fileSuffix: `-${name}` });
+  await monitor.initialize();
+  const alerts = mock.method(monitor.notifier, 'sendErrorAlert', async () => {});
+
+  let outcome = 'success';
+  monitor.for4Service.createPixTransaction = async () => {
+    if (outcome === 'success') {
+      return { data: { id: `tx-${Date.now()}`, pixCode: '000201' }, responseTime: 100, steps: {} };
+    }
+
+    if (outcome === 'network') {
+      outcome = next;
+      const error = new Error('getaddrinfo ENOTFOUND api.for4.com.br');
+      error.code = 'ENOTFOUND';
+      throw error;
+    }
+
+    const error = new Error('timeout of 30000ms exceeded');
+    error.code = 'ECONNABORTED';
+    throw error;
+  };
+
+  let next = 'success';
+  const pix = {
+    fail: () => { outcome = 'failure'; },
+    succeed: () => { outcome = 'success'; },
+    // Uma falha de rede (com re-verificação imediata) e depois `then` ('success', 'failure' ou 'network')
+    failNetwork: (then = 'success') => { outcome = 'network'; next = then; }
+  };
+
+  return { monitor, alerts, pix };
+}
+
+describe('PixMonitor: incidentes', () => {
+  it('abre o incidente na primeira falha, mesmo com o alerta aguardando o limite', async () => {
+    const { monitor, alerts, pix } = await createMonitor();
+
+    pix.fail();
+    const before = Date.now();
+    await monitor.runPixCheck();
+    const firstFailure = Date.now();
+
+    assert.equal(alerts.mock.callCount(), 0);
+    const incident = monitor.incidentLog.getOpen('pix');
+    assert.ok(incident);
+    assert.equal(incident.alerted, false);
+
+    await monitor.runPixCheck();
+
+    assert.equal(alerts.mock.callCount(), 1);
+    assert.equal(monitor.incidentLog.getOpen('pix'), incident);
+    assert.equal(incident.failedChecks, 2);
+    assert.equal(incident.alerted, true);
+
+    const startedAt = Date.parse(incident.startedAt);
+    assert.ok(startedAt >= before && startedAt <= firstFailure);
+
+    pix.succeed();
+    await monitor.runPixCheck();
+
+    assert.equal(monitor.incidentLog.getOpen('pix'), null);
+    assert.equal(incident.durationMs, Date.parse(incident.endedAt) - startedAt);
+  });
+});
+
+describe('PixMonitor: limite "N de M"', () => {
+  it('alerta apenas quando o limite é atingido', async () => {
+    const { monitor, alerts, pix } = await createMonitor();
+
+    pix.fail();
+    await monitor.runPixCheck();
+    assert.equal(alerts.mock.callCount(), 0);
+    assert.equal(monitor.stats.alertSent, false);
+
+    await monitor.runPixCheck();
+    assert.equal(alerts.mock.callCount(), 1);
+    assert.equal(monitor.stats.alertSent, true);
+  });
+
+  it('conta as falhas das últimas M verificações, mesmo intercaladas com sucessos', async () => {
+    const { monitor, alerts, pix } = await createMonitor();
+
+    pix.fail();
+    await monitor.runPixCheck();
+    pix.succeed();
+    await monitor.runPixCheck();
+    pix.fail();
+    await monitor.runPixCheck();
+
+    assert.equal(alerts.mock.callCount(), 1);
+  });
+
+  it('registra no histórico as falhas sem alerta como suprimidas', async () => {
+    const { monitor, pix } = await createMonitor();
+
+    pix.fail();
+    await monitor.runPixCheck();
+    await monitor.runPixCheck();
+
+    const failures = await monitor.history.getRecent({ method: 'pix', result: 'failure' });
+    assert.deepEqual(failures.map(entry => !!entry.suppressed), [false, true]);
+  });
+
+  it('volta a exigir o limite quando as falhas saem da janela', async () => {
+    const { monitor, alerts, pix } = await createMonitor();
+
+    pix.fail();
+    await monitor.runPixCheck();
+    await monitor.runPixCheck();
+    assert.equal(alerts.mock.callCount(), 1);
+
+    pix.succeed();
+    for (let i = 0; i < 3; i++) await monitor.runPixCheck();
+    assert.equal(monitor.stats.alertSent, false);
+
+    pix.fail();
+    await monitor.runPixCheck();
+    assert.equal(alerts.mock.callCount(), 1);
+
+    // O cooldown também recomeça com a recuperação
+    await monitor.runPixCheck();
+    assert.equal(alerts.mock.callCount(), 2);
+  });
+
+  it('não alerta quando a re-verificação imediata tem sucesso', async () => {
+    const { monitor, alerts, pix } = await createMonitor();
+
+    pix.failNetwork('success');
+    await monitor.runPixCheck();
+
+    assert.equal(alerts.mock.callCount(), 0);
+    assert.deepEqual(monitor.stats.recentResults, [false, true]);
+    assert.equal(monitor.incidentLog.getOpen('pix'), null);
+  });
+
+  it('alerta quando a re-verificação confirma a falha', async () => {
+    const { monitor, alerts, pix } = await createMonitor();
+
+    pix.failNetwork('network');
+    await monitor.runPixCheck();
+
+    assert.equal(alerts.mock.callCount(), 1);
+    assert.deepEqual(monitor.stats.recentResults, [false, false]);
+  });
+});
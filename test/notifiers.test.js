@@ -0,0 +1,103 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment();
+
+const axios = require('axios');
+const SlackNotifier = require('../src/services/notifiers/slackNotifier');
+const DiscordNotifier = require('../src/services/notifiers/discordNotifier');
+const WebhookNotifier = require('../src/services/notifiers/webhookNotifier');
+
+// Mensagem no formato do Telegram, com texto de usuário escapado (escapeMarkdown)
+const TEXT = '👍 **Incidente reconhecido**\n👤 Por: @user\\_name (123)';
+
+/**
+ * Substitui o axios.post e devolve o mock para inspecionar as chamadas
+ */
+function mockPost() {
+  return mock.method(axios, 'post', async () => ({ status: 200, data: {} }));
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('SlackNotifier', () => {
+  it('converte o negrito e desfaz o escape', async () => {
+    const post = mockPost();
+
+    await new SlackNotifier({ webhookUrl: 'https://hooks.slack.test/x' }).send('recovery', TEXT);
+
+    assert.equal(post.mock.calls[0].arguments[1].text, '👍 *Incidente reconhecido*\n👤 Por: @user_name (123)');
+  });
+});
+
+describe('DiscordNotifier', () => {
+  it('mantém o negrito e desfaz o escape', async () => {
+    const post = mockPost();
+
+    await new DiscordNotifier({ webhookUrl: 'https://discord.test/api/webhooks/x' }).send('recovery', TEXT);
+
+    assert.equal(post.mock.calls[0].arguments[1].content, '👍 **Incidente reconhecido**\n👤 Por: @user_name (123)');
+  });
+
+  it('trunca no limite de caracteres do Discord', async () => {
+    const post = mockPost();
+
+    await new DiscordNotifier({ webhookUrl: 'https://discord.test/api/webhooks/x' }).send('message', 'a'.repeat(2500));
+
+    const { content } = post.mock.calls[0].arguments[1];
+    assert.equal(content.length, 2000);
+    assert.ok(content.endsWith('...'));
+  });
+});
+
+describe('WebhookNotifier', () => {
+  const secret = 'segredo';
+
+  it('assina "<timestamp>.<corpo>" com HMAC-SHA256', async () => {
+    const post = mockPost();
+
+    await new WebhookNotifier({ url: 'https://hooks.test/monitor', secret }).send('recovery', TEXT, {
+      target: 'default',
+      data: { incidentId: 'INC-1' }
+    });
+
+    const [url, body, { headers }] = post.mock.calls[0].arguments;
+    const timestamp = headers['X-Monitor-Timestamp'];
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+    assert.equal(url, 'https://hooks.test/monitor');
+    assert.match(timestamp, /^\d+$/);
+    assert.equal(headers['X-Monitor-Signature'], `sha256=${expected}`);
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'recovery');
+    assert.equal(payload.target, 'default');
+    assert.deepEqual(payload.data, { incidentId: 'INC-1' });
+    assert.equal(payload.text, '👍 Incidente reconhecido\n👤 Por: @user_name (123)');
+  });
+
+  it('a assinatura muda com o corpo', async () => {
+    const post = mockPost();
+    const notifier = new WebhookNotifier({ url: 'https://hooks.test/monitor', secret });
+
+    await notifier.send('message', 'primeira');
+    await notifier.send('message', 'segunda');
+
+    const [first, second] = post.mock.calls.map(call => call.arguments[2].headers['X-Monitor-Signature']);
+    assert.notEqual(first, second);
+  });
+
+  it('sem segredo, envia sem assinatura', async () => {
+    const post = mockPost();
+
+    await new WebhookNotifier({ url: 'https://hooks.test/monitor' }).send('message', TEXT);
+
+    const { headers } = post.mock.calls[0].arguments[2];
+    assert.equal(headers['X-Monitor-Signature'], undefined);
+    assert.ok(headers['X-Monitor-Timestamp']);
+  });
+});
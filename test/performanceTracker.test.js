@@ -0,0 +1,169 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment();
+
+const moment = require('moment-timezone');
+const { PerformanceTracker } = require('../src/utils/performanceTracker');
+
+const NOW = moment('2024-03-11T10:30:00');
+
+const OPTIONS = {
+  windowChecks: 3,
+  baselineMinDays: 2,
+  warningMs: 4000,
+  criticalMs: 8000,
+  warningFactor: 2,
+  criticalFactor: 3
+};
+
+let sequence = 0;
+
+/**
+ * Tracker com arquivo próprio, métricas por hora e amostras recentes informadas
+ * @param {Object} hourly - { 'YYYY-MM-DD-HH': dados da hora }
+ * @param {number[]} recent - Tempos das últimas verificações com sucesso
+ */
+async function createTracker(hourly = {}, recent = []) {
+  const tracker = new PerformanceTracker({ metricsFile: `performance-metrics-${++sequence}.json` });
+  await tracker.loadMetrics();
+
+  tracker.metrics.hourly = hourly;
+  tracker.metrics.current.samples = recent.map((responseTime, index) => ({
+    time: NOW.clone().subtract(recent.length - index, 'minutes').toISOString(),
+    responseTime,
+    success: true,
+    hasPixCode: true
+  }));
+
+  return tracker;
+}
+
+/**
+ * Dados de uma hora só com verificações com sucesso
+ */
+const hour = (count, average) => ({
+  count,
+  totalTime: count * average,
+  minTime: average,
+  maxTime: average,
+  failures: 0,
+  successCount: count,
+  successTime: count * average
+});
+
+describe('PerformanceTracker.getHourBaseline', () => {
+  it('calcula a média da mesma hora nos dias anteriores', async () => {
+    const tracker = await createTracker({
+      '2024-03-08-10': hour(4, 1000),
+      '2024-03-09-10': hour(4, 1500),
+      '2024-03-10-10': hour(2, 3000),
+      // Outra hora e o próprio dia não entram
+      '2024-03-10-11': hour(4, 9000),
+      '2024-03-11-10': hour(4, 9000)
+    });
+
+    // (4000 + 6000 + 6000) / 10
+    assert.deepEqual(tracker.getHourBaseline(NOW), { hour: '10h', average: 1600, days: 3 });
+  });
+
+  it('usa apenas as verificações com sucesso', async () => {
+    const tracker = await createTracker({
+      '2024-03-10-10': { count: 4, totalTime: 62000, minTime: 500, maxTime: 30000, failures: 2, successCount: 2, successTime: 2000 }
+    });
+
+    assert.equal(tracker.getHourBaseline(NOW).average, 1000);
+  });
+
+  it('horas gravadas antes de successCount usam todas as verificações', async () => {
+    const tracker = await createTracker({
+      '2024-03-09-10': { count: 2, totalTime: 3000, minTime: 1000, maxTime: 2000, failures: 0 },
+      '2024-03-10-10': hour(2, 2500)
+    });
+
+    assert.deepEqual(tracker.getHourBaseline(NOW), { hour: '10h', average: 2000, days: 2 });
+  });
+
+  it('ignora horas sem verificações com sucesso', async () => {
+    const tracker = await createTracker({
+      '2024-03-10-10': { count: 3, totalTime: 90000, minTime: 30000, maxTime: 30000, failures: 3, successCount: 0, successTime: 0 }
+    });
+
+    assert.deepEqual(tracker.getHourBaseline(NOW), { hour: '10h', average: null, days: 0 });
+  });
+});
+
+describe('PerformanceTracker.evaluateLatency', () => {
+  const baseline = {
+    '2024-03-09-10': hour(4, 1000),
+    '2024-03-10-10': hour(4, 1000)
+  };
+
+  it('sem verificações suficientes não classifica', async () => {
+    const tracker = await createTracker(baseline, [9000, 9000]);
+
+    const status = tracker.evaluateLatency(OPTIONS, NOW);
+    assert.equal(status.average, null);
+    assert.equal(status.level, null);
+  });
+
+  it('dentro do normal não classifica', async () => {
+    const tracker = await createTracker(baseline, [900, 1100, 1000]);
+
+    const status = tracker.evaluateLatency(OPTIONS, NOW);
+    assert.equal(status.average, 1000);
+    assert.equal(status.level, null);
+    assert.deepEqual(status.reasons, []);
+  });
+
+  it('alerta ao atingir o fator de aviso da linha de base', async () => {
+    const tracker = await createTracker(baseline, [2000, 2000, 2000]);
+
+    const status = tracker.evaluateLatency(OPTIONS, NOW);
+    assert.equal(status.level, 'warning');
+    assert.deepEqual(status.reasons, ['2.0x a linha de base das 10h (1000ms)']);
+  });
+
+  it('classifica como crítico pelo fator crítico', async () => {
+    const tracker = await createTracker(baseline, [3000, 3000, 3000]);
+
+    assert.equal(tracker.evaluateLatency(OPTIONS, NOW).level, 'critical');
+  });
+
+  it('considera apenas as últimas verificações da janela', async () => {
+    const tracker = await createTracker(baseline, [9000, 9000, 1000, 1000, 1000]);
+
+    assert.equal(tracker.evaluateLatency(OPTIONS, NOW).level, null);
+  });
+
+  it('aplica os limites fixos mesmo sem linha de base', async () => {
+    const tracker = await createTracker({}, [4000, 4000, 4000]);
+
+    let status = tracker.evaluateLatency(OPTIONS, NOW);
+    assert.equal(status.level, 'warning');
+    assert.deepEqual(status.reasons, ['acima do limite de 4000ms']);
+
+    tracker.metrics.current.samples.forEach(sample => { sample.responseTime = 8000; });
+
+    status = tracker.evaluateLatency(OPTIONS, NOW);
+    assert.equal(status.level, 'critical');
+    assert.deepEqual(status.reasons, ['acima do limite de 8000ms']);
+  });
+
+  it('ignora a linha de base com menos dias que o mínimo', async () => {
+    const tracker = await createTracker({ '2024-03-10-10': hour(4, 1000) }, [3000, 3000, 3000]);
+
+    const status = tracker.evaluateLatency(OPTIONS, NOW);
+    assert.equal(status.baseline.days, 1);
+    assert.equal(status.level, null);
+  });
+
+  it('junta os motivos do limite fixo e da linha de base', async () => {
+    const tracker = await createTracker(baseline, [9000, 9000, 9000]);
+
+    const status = tracker.evaluateLatency(OPTIONS, NOW);
+    assert.equal(status.level, 'critical');
+    assert.deepEqual(status.reasons, ['acima do limite de 8000ms', '9.0x a linha de base das 10h (1000ms)']);
+  });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment();
+
+const moment = require('moment-timezone');
+const config = require('../src/config/config');
+const costLedger = require('../src/services/costLedger');
+const PixMonitor = require('../src/monitor');
+
+const at = text => moment.tz(text, config.system.timezone);
+
+// Semana ISO de 11/03/2024 (segunda) e a anterior, de 04/03/2024
+const WEEK = at('2024-03-13 15:00');
+
+let sequence = 0;
+
+/**
+ * Monitor de um alvo novo com as verificações e incidentes informados
+ */
+async function createMonitor({ checks = [], incidents = [] } = {}) {
+  const name = `sla-${++sequence}`;
+  const monitor = new PixMonitor({ ...config.targets[0], name, label: name, isDefault: false, fileSuffix: `-${name}` });
+  await monitor.incidentLog.ready;
+
+  fs.mkdirSync(monitor.history.dir, { recursive: true });
+  checks.forEach(check => {
+    const time = at(check.time);
+    const entry = { method: 'pix', result: 'success', responseTime: 1000, ...check, time: time.toISOString() };
+    fs.appendFileSync(monitor.history.getPartitionFile(time.format('YYYY-MM-DD')), JSON.stringify(entry) + '\n');
+  });
+
+  monitor.incidentLog.incidents = incidents.map((incident, index) => {
+    const startedAt = at(incident.startedAt);
+    const endedAt = at(incident.endedAt);
+    return {
+      id: `INC-${index + 1}`,
+      target: name,
+      method: 'pix',
+      startedAt: startedAt.toISOString(),
+      endedAt: endedAt.toISOString(),
+      durationMs: endedAt.diff(startedAt),
+      errorTypes: ['TIMEOUT'],
+      trackingIds: [],
+      failedChecks: 2,
+      acknowledgedBy: null
+    };
+  });
+
+  return monitor;
+}
+
+describe('PixMonitor.getReportPeriod', () => {
+  const monitor = new PixMonitor({ ...config.targets[0], name: 'periodo', isDefault: false, fileSuffix: '-periodo' });
+
+  it('semana ISO, de segunda a segunda', () => {
+    const { from, to } = monitor.getReportPeriod('weekly', WEEK);
+
+    assert.equal(from.format('YYYY-MM-DD HH:mm'), '2024-03-11 00:00');
+    assert.equal(to.format('YYYY-MM-DD HH:mm'), '2024-03-18 00:00');
+  });
+
+  it('mês do primeiro ao primeiro dia do mês seguinte', () => {
+    const { from, to } = monitor.getReportPeriod('monthly', at('2024-02-29 23:00'));
+
+    assert.equal(from.format('YYYY-MM-DD HH:mm'), '2024-02-01 00:00');
+    assert.equal(to.format('YYYY-MM-DD HH:mm'), '2024-03-01 00:00');
+  });
+});
+
+describe('PixMonitor.buildPeriodReport', () => {
+  let monitor;
+  let report;
+
+  before(async () => {
+    monitor = await createMonitor({
+      checks: [
+        { time: '2024-03-05 10:00', responseTime: 500 },
+        { time: '2024-03-06 10:00', result: 'failure', errorType: 'TIMEOUT' },
+        { time: '2024-03-11 10:00', responseTime: 1000 },
+        { time: '2024-03-12 10:00', responseTime: 2000 },
+        { time: '2024-03-13 10:00', result: 'failure', errorType: 'TIMEOUT' },
+        { time: '2024-03-13 10:15', result: 'failure', errorType: 'TIMEOUT', suppressed: true },
+        { time: '2024-03-17 23:59', responseTime: 3000 },
+        // Já na semana seguinte
+        { time: '2024-03-18 00:00', responseTime: 9000 }
+      ],
+      incidents: [
+        { startedAt: '2024-03-06 10:00', endedAt: '2024-03-06 10:30' },
+        { startedAt: '2024-03-13 10:00', endedAt: '2024-03-13 11:00' }
+      ]
+    });
+
+    await costLedger.ready;
+    costLedger.state.days['2024-03-06'] = { total: 500, count: 1, targets: { [monitor.target.name]: { total: 500, count: 1 } } };
+    costLedger.state.days['2024-03-12'] = { total: 1000, count: 2, targets: { [monitor.target.name]: { total: 1000, count: 2 } } };
+
+    report = await monitor.buildPeriodReport('weekly', WEEK);
+  });
+
+  it('delimita o período e o anterior', () => {
+    assert.equal(report.period, 'weekly');
+    assert.equal(moment(report.from).valueOf(), at('2024-03-11 00:00').valueOf());
+    assert.equal(moment(report.to).valueOf(), at('2024-03-18 00:00').valueOf());
+    assert.equal(moment(report.previousFrom).valueOf(), at('2024-03-04 00:00').valueOf());
+  });
+
+  it('pondera o uptime pela duração dos incidentes', () => {
+    // 1h de indisponibilidade em 168h; na semana anterior, 30min
+    assert.equal(report.pix.uptime, 99.405);
+    assert.equal(report.pix.previous.uptime, 99.702);
+    assert.equal(report.pix.incidents.downtimeMs, 60 * 60 * 1000);
+    assert.equal(report.pix.previous.downtimeMs, 30 * 60 * 1000);
+  });
+
+  it('conta as verificações e a latência de cada período', () => {
+    assert.deepEqual(report.pix.checks, { total: 5, success: 3, failed: 2, suppressed: 1 });
+    assert.deepEqual(report.pix.previous.checks, { total: 2, success: 1, failed: 1, suppressed: 0 });
+    assert.equal(report.pix.latency.avg, 2000);
+    assert.equal(report.pix.latency.max, 3000);
+    assert.deepEqual(report.pix.errorsByType, { TIMEOUT: 2 });
+  });
+
+  it('lista os incidentes do período e compara a quantidade', () => {
+    assert.deepEqual(report.pix.incidentList.map(incident => incident.id), ['INC-2']);
+    assert.equal(report.pix.incidents.count, 1);
+    assert.equal(report.pix.previous.incidents, 1);
+  });
+
+  it('soma o custo do alvo em cada período', () => {
+    assert.deepEqual(report.cost, { total: 1000, count: 2 });
+    assert.deepEqual(report.previousCost, { total: 500, count: 1 });
+  });
+
+  it('formata a comparação com o período anterior', () => {
+    const message = monitor.telegram.formatPeriodReport(report);
+
+    assert.match(message, /RELATÓRIO SEMANAL DE SLA/);
+    assert.match(message, /Período:\*\* 11\/03\/2024 a 17\/03\/2024/);
+    assert.match(message, /Comparado com 04\/03\/2024 a 10\/03\/2024/);
+    assert.match(message, /Uptime: 99\.405% \(anterior: 99\.702%, ▼ 0\.297 p\.p\.\)/);
+    assert.match(message, /Verificações: 5 \(✅ 3 \| ❌ 2\) \(anterior: 2\)/);
+  });
+
+  it('escapa os tipos de erro no Markdown do Telegram', () => {
+    const pix = {
+      ...report.pix,
+      errorsByType: { TIMEOUT_ERROR: 2 },
+      incidentList: report.pix.incidentList.map(incident => ({ ...incident, errorTypes: ['TIMEOUT_ERROR'] }))
+    };
+    const message = monitor.telegram.formatPeriodReport({ ...report, pix });
+
+    assert.match(message, /◦ TIMEOUT\\_ERROR: 2/);
+    assert.match(message, /◦ INC-2 - .* TIMEOUT\\_ERROR/);
+    assert.doesNotMatch(message, /TIMEOUT_ERROR/);
+  });
+});
+
+describe('PixMonitor.generatePeriodReport', () => {
+  it('salva o relatório como JSON comum', async () => {
+    const monitor = await createMonitor({ checks: [{ time: '2024-03-12 10:00' }] });
+
+    const report = await monitor.generatePeriodReport('weekly', WEEK, { send: false });
+
+    const file = path.join(config.paths.data, `report-${monitor.target.name}-weekly-2024-03-11.json`);
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(saved.period, 'weekly');
+    assert.deepEqual(saved.pix.checks, report.pix.checks);
+    assert.equal(saved.checksum, undefined);
+  });
+});
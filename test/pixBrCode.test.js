@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+const { crc16, parseEmv, validateBrCode, detectImageFormat, decodeQrImage } = require('../src/utils/pixBrCode');
+
+// Exemplo do manual do BR Code do Banco Central (CRC 1D3D)
+const BCB_EXAMPLE = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR' +
+  '5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+
+/**
+ * Campo TLV: ID, tamanho com 2 dígitos e valor
+ */
+function tlv(id, value) {
+  return `${id}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+/**
+ * Monta um BR Code com CRC válido; `overrides` troca ou remove (null) campos
+ */
+function buildBrCode(overrides = {}) {
+  const fields = {
+    '00': '01',
+    '26': tlv('00', 'br.gov.bcb.pix') + tlv('01', 'monitor@example.com'),
+    '52': '0000',
+    '53': '986',
+    '54': '5.00',
+    '58': 'BR',
+    '59': 'FOR4 MONITOR',
+    '60': 'SAO PAULO',
+    '62': tlv('05', 'TX123'),
+    ...overrides
+  };
+
+  const payload = Object.entries(fields)
+    .filter(([, value]) => value !== null)
+    .map(([id, value]) => tlv(id, value))
+    .join('') + '6304';
+
+  return payload + crc16(payload);
+}
+
+describe('crc16', () => {
+  it('calcula o CRC16-CCITT (0x1021, início 0xFFFF)', () => {
+    assert.equal(crc16('123456789'), '29B1');
+  });
+
+  it('confere com o exemplo do Banco Central', () => {
+    assert.equal(crc16(BCB_EXAMPLE.slice(0, -4)), '1D3D');
+  });
+
+  it('completa com zeros à esquerda', () => {
+    assert.match(crc16(''), /^[0-9A-F]{4}$/);
+  });
+});
+
+describe('parseEmv', () => {
+  it('converte a estrutura TLV em { id: valor }', () => {
+    assert.deepEqual(parseEmv('000201' + tlv('59', 'Fulano')), { '00': '01', 59: 'Fulano' });
+  });
+
+  it('lê campos aninhados com uma nova chamada', () => {
+    const account = parseEmv(parseEmv(BCB_EXAMPLE)['26']);
+    assert.equal(account['00'], 'br.gov.bcb.pix');
+    assert.equal(account['01'], '123e4567-e12b-12d1-a456-426655440000');
+  });
+
+  it('recusa ID ou tamanho não numérico', () => {
+    assert.throws(() => parseEmv('0002010X'), { type: 'INVALID_BR_CODE', message: /posição 6/ });
+  });
+
+  it('recusa campo truncado', () => {
+    assert.throws(() => parseEmv('000201' + '5910Fulano'), { type: 'INVALID_BR_CODE', message: /Campo 59 truncado/ });
+  });
+});
+
+describe('validateBrCode', () => {
+  it('aceita o exemplo do Banco Central', () => {
+    const brCode = validateBrCode(BCB_EXAMPLE);
+
+    assert.equal(brCode.key, '123e4567-e12b-12d1-a456-426655440000');
+    assert.equal(brCode.merchantName, 'Fulano de Tal');
+    assert.equal(brCode.txid, '***');
+    assert.equal(brCode.crc, '1D3D');
+  });
+
+  it('confere o valor esperado (em centavos)', () => {
+    assert.equal(validateBrCode(buildBrCode(), { amount: 500 }).amount, '5.00');
+    assert.throws(() => validateBrCode(buildBrCode(), { amount: 700 }), {
+      type: 'BR_CODE_AMOUNT_MISMATCH',
+      receivedAmount: '5.00',
+      expectedAmount: '7.00'
+    });
+  });
+
+  it('ignora espaços nas pontas', () => {
+    assert.doesNotThrow(() => validateBrCode(`  ${buildBrCode()}\n`));
+  });
+
+  it('aponta CRC divergente', () => {
+    const code = buildBrCode();
+    const wrongCrc = code.slice(0, -4) + (code.endsWith('0000') ? 'FFFF' : '0000');
+
+    assert.throws(() => validateBrCode(wrongCrc), { type: 'BR_CODE_CRC_MISMATCH', expectedCrc: code.slice(-4) });
+  });
+
+  it('exige o CRC no final', () => {
+    const code = buildBrCode();
+    assert.throws(() => validateBrCode(code.slice(0, -8) + tlv('99', 'X')), { type: 'INVALID_BR_CODE', message: /CRC16/ });
+  });
+
+  it('lista os campos inválidos', () => {
+    const code = buildBrCode({
+      '26': tlv('00', 'br.gov.bcb.outro') + tlv('01', 'chave'),
+      '53': '840',
+      '59': null
+    });
+
+    assert.throws(() => validateBrCode(code), error => {
+      assert.equal(error.type, 'INVALID_BR_CODE');
+      assert.deepEqual(error.problems, ['GUI: br.gov.bcb.outro', 'moeda: 840', 'nome do recebedor ausente']);
+      return true;
+    });
+  });
+
+  it('exige chave PIX ou URL de cobrança', () => {
+    const withUrl = buildBrCode({ '26': tlv('00', 'br.gov.bcb.pix') + tlv('25', 'qr.example.com/cobv/1') });
+    assert.equal(validateBrCode(withUrl).url, 'qr.example.com/cobv/1');
+
+    const withoutKey = buildBrCode({ '26': tlv('00', 'br.gov.bcb.pix') });
+    assert.throws(() => validateBrCode(withoutKey), { problems: ['chave PIX ou URL de cobrança ausente'] });
+  });
+});
+
+describe('detectImageFormat', () => {
+  it('identifica os formatos pelos primeiros bytes', () => {
+    const png = PNG.sync.write(new PNG({ width: 1, height: 1 }));
+
+    assert.equal(detectImageFormat(png), 'png');
+    assert.equal(detectImageFormat(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'jpeg');
+    assert.equal(detectImageFormat(Buffer.from('GIF89a')), 'gif');
+    assert.equal(detectImageFormat(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'webp');
+    assert.equal(detectImageFormat(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg">')), 'svg');
+  });
+
+  it('não confunde outros arquivos RIFF com WebP', () => {
+    assert.equal(detectImageFormat(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), null);
+  });
+
+  it('devolve null para conteúdo desconhecido', () => {
+    assert.equal(detectImageFormat(Buffer.from('não é imagem')), null);
+    assert.equal(detectImageFormat(Buffer.alloc(0)), null);
+  });
+});
+
+describe('decodeQrImage', () => {
+  it('avisa sobre formato reconhecido mas não suportado', () => {
+    assert.throws(() => decodeQrImage(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), {
+      type: 'QR_CODE_UNSUPPORTED_FORMAT',
+      format: 'jpeg'
+    });
+  });
+
+  it('falha com conteúdo que não é imagem', () => {
+    assert.throws(() => decodeQrImage(Buffer.from('texto')), { type: 'QR_CODE_UNREADABLE' });
+  });
+
+  it('falha com PNG sem QR Code', () => {
+    const blank = PNG.sync.write(new PNG({ width: 8, height: 8 }));
+    assert.throws(() => decodeQrImage(blank), { type: 'QR_CODE_UNREADABLE', message: /Nenhum QR Code/ });
+  });
+});
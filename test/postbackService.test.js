@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment({
+  POSTBACK_ENABLED: 'true',
+  POSTBACK_DEADLINE_MINUTES: '5'
+});
+
+const config = require('../src/config/config');
+const postbackService = require('../src/services/postbackService');
+
+const NOW = new Date('2024-03-11T13:00:00Z').getTime();
+
+let sequence = 0;
+let target;
+let notifier;
+
+/**
+ * Requisição do receptor com o payload e a query string informados
+ */
+const request = (body, query = '') => ({ body, query: new URLSearchParams(query), socket: {} });
+
+/**
+ * Registra uma transação de teste do alvo e devolve o id
+ */
+async function track() {
+  const id = `tx-${++sequence}`;
+  await postbackService.track({ data: { id } }, `TRK-${sequence}`, target);
+  return id;
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+
+  target = { ...config.targets[0], name: `postback-${++sequence}`, label: 'Postback', isDefault: false };
+  notifier = {
+    sendErrorAlert: mock.fn(async () => true),
+    sendRecoveryAlert: mock.fn(async () => true)
+  };
+  postbackService.registerTarget(target, notifier);
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+describe('PostbackService: status esperado', () => {
+  it('aceita por padrão o status da cobrança recém-criada', async () => {
+    assert.deepEqual(config.postback.expectedStatuses, ['PENDING']);
+
+    const id = await track();
+    await postbackService.handlePostback(request({ id, status: 'PENDING' }));
+
+    const summary = postbackService.getSummary(target.name);
+    assert.equal(summary.healthy, true);
+    assert.equal(summary.received, 1);
+    assert.equal(summary.unexpected, 0);
+    assert.equal(notifier.sendErrorAlert.mock.callCount(), 0);
+  });
+
+  it('alerta sobre um status não esperado', async () => {
+    const id = await track();
+    await postbackService.handlePostback(request({ id, status: 'CANCELED' }));
+
+    assert.equal(postbackService.getSummary(target.name).unexpected, 1);
+    assert.equal(notifier.sendErrorAlert.mock.callCount(), 1);
+    assert.match(notifier.sendErrorAlert.mock.calls[0].arguments[0], /status inesperado: CANCELED \(esperado: PENDING\)/);
+  });
+});
+
+describe('PostbackService: postback atrasado', () => {
+  it('depois do alerta de ausência, recupera a saúde e notifica', async () => {
+    const id = await track();
+
+    mock.timers.setTime(NOW + 6 * 60 * 1000);
+    await postbackService.checkDeadlines();
+
+    assert.equal(notifier.sendErrorAlert.mock.callCount(), 1);
+    assert.equal(postbackService.getSummary(target.name).healthy, false);
+
+    mock.timers.setTime(NOW + 10 * 60 * 1000);
+    const result = await postbackService.handlePostback(request({ id, status: 'PENDING' }));
+
+    const summary = postbackService.getSummary(target.name);
+    assert.equal(result.matched, true);
+    assert.equal(summary.healthy, true);
+    assert.equal(summary.missing, 1);
+    assert.equal(summary.late, 1);
+    assert.equal(notifier.sendRecoveryAlert.mock.callCount(), 1);
+    assert.match(notifier.sendRecoveryAlert.mock.calls[0].arguments[0], /600000ms \(após o prazo\)/);
+  });
+
+  it('com status inesperado, continua com problema', async () => {
+    const id = await track();
+
+    mock.timers.setTime(NOW + 6 * 60 * 1000);
+    await postbackService.checkDeadlines();
+    await postbackService.handlePostback(request({ id, status: 'CANCELED' }));
+
+    assert.equal(postbackService.getSummary(target.name).healthy, false);
+    assert.equal(notifier.sendRecoveryAlert.mock.callCount(), 0);
+  });
+});
+
+describe('PostbackService: token', () => {
+  beforeEach(() => {
+    config.postback.secret = 'segredo';
+  });
+
+  afterEach(() => {
+    config.postback.secret = null;
+  });
+
+  it('recusa postbacks sem o token ou com outro token', async () => {
+    const id = await track();
+
+    for (const query of ['', 'token=outro', 'token=segredo-longo']) {
+      const result = await postbackService.handlePostback(request({ id, status: 'PENDING' }, query));
+      assert.equal(result.statusCode, 401, query);
+    }
+
+    assert.equal(postbackService.getSummary(target.name).received, 0);
+  });
+
+  it('aceita o token configurado', async () => {
+    const id = await track();
+
+    const result = await postbackService.handlePostback(request({ id, status: 'PENDING' }, 'token=segredo'));
+
+    assert.equal(result.matched, true);
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const { createTimingTransport, getTimings, formatPhases } = require('../src/utils/requestTiming');
+
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: '/ok' });
+      res.end();
+    } else if (req.url === '/redirect-host') {
+      res.writeHead(302, { Location: `http://localhost:${port}/ok` });
+      res.end();
+    } else if (req.url === '/slow') {
+      // Nunca responde: a requisição termina por timeout
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * Cliente com o transporte de tempos e conexões keep-alive
+ */
+function createClient() {
+  const httpAgent = new http.Agent({ keepAlive: true });
+  const client = axios.create({ baseURL: `http://127.0.0.1:${port}`, transport: createTimingTransport(), httpAgent, timeout: 5000 });
+  return { client, close: () => httpAgent.destroy() };
+}
+
+const isDuration = value => Number.isInteger(value) && value >= 0;
+
+describe('createTimingTransport', () => {
+  it('registra as fases de uma conexão nova', async () => {
+    const { client, close } = createClient();
+
+    try {
+      const response = await client.get('/ok');
+      const timings = getTimings(response.request);
+
+      assert.deepEqual(response.data, { ok: true });
+      assert.equal(timings.reused, false);
+      assert.equal(timings.redirects, 0);
+      // Host informado como IP e conexão sem TLS
+      assert.equal(timings.dns, 0);
+      assert.equal(timings.tls, 0);
+      ['tcp', 'ttfb', 'download', 'total'].forEach(phase => assert.ok(isDuration(timings[phase]), phase));
+      assert.equal(timings.pending, null);
+    } finally {
+      close();
+    }
+  });
+
+  it('zera DNS, TCP e TLS em conexões reaproveitadas', async () => {
+    const { client, close } = createClient();
+
+    try {
+      await client.get('/ok');
+      const timings = getTimings((await client.get('/ok')).request);
+
+      assert.equal(timings.reused, true);
+      assert.equal(timings.dns, 0);
+      assert.equal(timings.tcp, 0);
+      assert.equal(timings.tls, 0);
+      assert.ok(isDuration(timings.ttfb));
+      assert.ok(isDuration(timings.download));
+    } finally {
+      close();
+    }
+  });
+
+  it('segue redirecionamentos e conta as etapas', async () => {
+    const { client, close } = createClient();
+
+    try {
+      const response = await client.get('/redirect');
+      const timings = getTimings(response.request);
+
+      assert.deepEqual(response.data, { ok: true });
+      assert.equal(timings.redirects, 1);
+      // Fases da última etapa, que abre outra conexão
+      assert.equal(timings.reused, false);
+      assert.ok(isDuration(timings.tcp));
+      assert.ok(isDuration(timings.ttfb));
+      assert.ok(timings.total >= timings.ttfb + timings.download);
+    } finally {
+      close();
+    }
+  });
+
+  it('mede as fases da última etapa quando o redirecionamento troca de host', async () => {
+    const { client, close } = createClient();
+
+    try {
+      const response = await client.get('/redirect-host');
+      const timings = getTimings(response.request);
+
+      assert.equal(timings.redirects, 1);
+      // Nova conexão para "localhost", com consulta DNS
+      assert.equal(timings.reused, false);
+      assert.ok(isDuration(timings.dns));
+      assert.ok(isDuration(timings.tcp));
+      assert.equal(timings.pending, null);
+    } finally {
+      close();
+    }
+  });
+
+  it('indica a fase pendente em um timeout', async () => {
+    const { client, close } = createClient();
+
+    try {
+      const error = await client.get('/slow', { timeout: 100 }).catch(error => error);
+      const timings = getTimings(error.request);
+
+      assert.equal(error.code, 'ECONNABORTED');
+      assert.ok(isDuration(timings.tcp));
+      assert.equal(timings.ttfb, null);
+      assert.equal(timings.pending, 'ttfb');
+    } finally {
+      close();
+    }
+  });
+});
+
+describe('getTimings', () => {
+  it('devolve null para requisições sem o transporte', () => {
+    assert.equal(getTimings(undefined), null);
+    assert.equal(getTimings({}), null);
+  });
+});
+
+describe('formatPhases', () => {
+  it('lista as fases e as observações', () => {
+    const text = formatPhases({ dns: 0, tcp: 0, tls: 0, ttfb: 812, download: 4, reused: true, redirects: 1, pending: null });
+    assert.equal(text, 'DNS 0ms | TCP 0ms | TLS 0ms | TTFB 812ms | Download 4ms (conexão reaproveitada, 1 redirecionamento(s))');
+  });
+
+  it('para na fase não concluída', () => {
+    const text = formatPhases({ dns: 3, tcp: 21, tls: 48, ttfb: null, download: null, reused: false, redirects: 0, pending: 'ttfb' });
+    assert.equal(text, 'DNS 3ms | TCP 21ms | TLS 48ms | TTFB não concluído');
+  });
+});
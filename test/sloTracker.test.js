@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment({ SLO_FAST_BURN_RATE: '14.4', SLO_SLOW_BURN_RATE: '6' });
+
+const moment = require('moment-timezone');
+const SloTracker = require('../src/services/sloTracker');
+
+const NOW = moment('2024-03-11T12:00:00Z');
+// Avaliação logo depois da última verificação (o fim da consulta é exclusivo)
+const EVALUATED_AT = NOW.clone().add(1, 'second');
+
+// As taxas de consumo são divisões em ponto flutuante
+const round = value => Math.round(value * 100) / 100;
+
+const SLO = { name: 'pix-criacao', method: 'pix', objective: 99, latencyMs: 3000, windowDays: 30 };
+
+/**
+ * Histórico em memória com a mesma consulta por período do CheckHistory
+ */
+function fakeHistory(entries) {
+  return {
+    query: async ({ from, to, method }) => entries
+      .filter(entry => moment(entry.time).isSameOrAfter(from) && moment(entry.time).isBefore(to))
+      .filter(entry => !method || entry.method === method)
+      .sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+  };
+}
+
+/**
+ * Verificações a cada `everyMinutes` até NOW (a mais recente tem índice 0)
+ * @param {Function} isBad - Recebe o índice e indica se a verificação falhou
+ */
+function checks(count, everyMinutes, isBad = () => false) {
+  return Array.from({ length: count }, (_, index) => ({
+    time: NOW.clone().subtract(index * everyMinutes, 'minutes').toISOString(),
+    method: 'pix',
+    result: isBad(index) ? 'failure' : 'success',
+    responseTime: 500
+  }));
+}
+
+describe('SloTracker.isGood', () => {
+  const tracker = new SloTracker(fakeHistory([]));
+
+  it('exige sucesso dentro da latência máxima', () => {
+    assert.equal(tracker.isGood(SLO, { result: 'success', responseTime: 3000 }), true);
+    assert.equal(tracker.isGood(SLO, { result: 'success', responseTime: 3001 }), false);
+    assert.equal(tracker.isGood(SLO, { result: 'failure', responseTime: 100 }), false);
+  });
+
+  it('sem latência máxima, vale apenas o sucesso', () => {
+    assert.equal(tracker.isGood({ ...SLO, latencyMs: null }, { result: 'success', responseTime: 60000 }), true);
+  });
+});
+
+describe('SloTracker.getBurnRate', () => {
+  const tracker = new SloTracker(fakeHistory([]));
+
+  it('compara a taxa de falhas com a permitida pelo objetivo', () => {
+    assert.equal(round(tracker.getBurnRate(SLO, checks(100, 5, index => index === 0))), 1);
+    assert.equal(round(tracker.getBurnRate(SLO, checks(10, 5, index => index < 5))), 50);
+  });
+
+  it('é zero sem verificações', () => {
+    assert.equal(tracker.getBurnRate(SLO, []), 0);
+  });
+});
+
+describe('SloTracker.evaluate', () => {
+  it('sem verificações, o orçamento está intacto', async () => {
+    const status = await new SloTracker(fakeHistory([])).evaluate(SLO, EVALUATED_AT);
+
+    assert.equal(status.total, 0);
+    assert.equal(status.sli, null);
+    assert.equal(status.budgetRemaining, 100);
+    assert.equal(status.exhausted, false);
+    assert.equal(status.burning, null);
+  });
+
+  it('alerta consumo rápido com falhas na última hora', async () => {
+    const history = fakeHistory(checks(12 * 24, 5, index => index < 12));
+    const status = await new SloTracker(history).evaluate(SLO, EVALUATED_AT);
+
+    assert.equal(status.burning, 'fast');
+    assert.equal(round(status.burnRates.fast.long), 100);
+    assert.equal(round(status.burnRates.fast.short), 100);
+  });
+
+  it('alerta consumo lento quando só as janelas de 6h e 30min passam do limite', async () => {
+    // Uma falha a cada hora, nenhuma na verificação mais recente
+    const history = fakeHistory(checks(72, 5, index => index % 12 === 4));
+    const { burnRates, burning } = await new SloTracker(history).evaluate(SLO, EVALUATED_AT);
+
+    assert.equal(burning, 'slow');
+    assert.ok(burnRates.fast.long < 14.4);
+    assert.equal(burnRates.fast.short, 0);
+    assert.ok(burnRates.slow.long >= 6 && burnRates.slow.short >= 6);
+  });
+
+  it('não alerta quando a janela curta já se recuperou', async () => {
+    // Falhas entre 35min e 1h atrás: a janela longa consome, a curta não
+    const history = fakeHistory(checks(72, 5, index => index >= 7 && index <= 11));
+    const status = await new SloTracker(history).evaluate(SLO, EVALUATED_AT);
+
+    assert.ok(status.burnRates.fast.long >= 14.4);
+    assert.equal(status.burnRates.fast.short, 0);
+    assert.equal(status.burnRates.slow.short, 0);
+    assert.equal(status.burning, null);
+  });
+
+  it('usa a última verificação quando a janela curta está vazia', async () => {
+    // Verificações de hora em hora: nenhuma nos últimos 5 minutos antes da avaliação
+    const history = fakeHistory(checks(6, 60, index => index === 0));
+    const status = await new SloTracker(history).evaluate(SLO, EVALUATED_AT.clone().add(10, 'minutes'));
+
+    assert.equal(round(status.burnRates.fast.short), 100);
+  });
+
+  it('desconsidera re-verificações e consultas sem custo', async () => {
+    const entries = [
+      ...checks(10, 5),
+      { time: NOW.toISOString(), method: 'pix', result: 'failure', attempt: 1 },
+      { time: NOW.toISOString(), method: 'pix', result: 'failure', readOnly: true },
+      { time: NOW.toISOString(), method: 'card', result: 'failure' }
+    ];
+    const status = await new SloTracker(fakeHistory(entries)).evaluate(SLO, EVALUATED_AT);
+
+    assert.equal(status.total, 10);
+    assert.equal(status.bad, 0);
+    assert.equal(status.sli, 100);
+  });
+
+  it('calcula o SLI e o orçamento restante na janela do SLO', async () => {
+    const history = fakeHistory(checks(200, 60, index => index === 100));
+    const status = await new SloTracker(history).evaluate(SLO, EVALUATED_AT);
+
+    assert.equal(status.sli, 99.5);
+    assert.equal(status.budgetRemaining, 50);
+    assert.equal(status.exhausted, false);
+  });
+
+  it('marca o orçamento esgotado', async () => {
+    const history = fakeHistory(checks(100, 60, index => index === 50 || index === 60));
+    const status = await new SloTracker(history).evaluate(SLO, EVALUATED_AT);
+
+    assert.equal(status.budgetRemaining, -100);
+    assert.equal(status.exhausted, true);
+  });
+});
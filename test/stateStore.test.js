@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnvironment } = require('./helpers');
+
+const dir = setupTestEnvironment();
+
+const { StateStore } = require('../src/utils/stateStore');
+
+let sequence = 0;
+
+/**
+ * Caminho de um arquivo de estado novo
+ */
+function stateFile() {
+  return path.join(dir, 'state', `estado-${++sequence}.json`);
+}
+
+/**
+ * Altera os dados gravados sem atualizar o checksum
+ */
+function tamper(file) {
+  const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+  envelope.data.count = 999;
+  fs.writeFileSync(file, JSON.stringify(envelope));
+}
+
+/**
+ * Arquivos preservados como corrompidos
+ */
+function corruptCopies(file) {
+  return fs.readdirSync(path.dirname(file)).filter(name => name.startsWith(`${path.basename(file)}.corrupt-`));
+}
+
+describe('StateStore', () => {
+  it('grava com envelope e checksum e lê os dados de volta', async () => {
+    const store = new StateStore();
+    const file = stateFile();
+
+    await store.write(file, { count: 1, items: ['a'] });
+
+    const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(envelope.version, 1);
+    assert.match(envelope.checksum, /^[0-9a-f]{64}$/);
+    assert.deepEqual(await new StateStore().read(file), { count: 1, items: ['a'] });
+  });
+
+  it('grava JSON comum, sem envelope nem backup, com writeJson', async () => {
+    const store = new StateStore();
+    const file = stateFile();
+
+    await store.writeJson(file, { date: '2024-03-11' });
+    await store.writeJson(file, { date: '2024-03-12' });
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { date: '2024-03-12' });
+    assert.equal(fs.existsSync(`${file}.bak`), false);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+  });
+
+  it('devolve null para arquivo inexistente', async () => {
+    assert.equal(await new StateStore().read(stateFile()), null);
+  });
+
+  it('aceita arquivos de versões anteriores (sem envelope)', async () => {
+    const file = stateFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ count: 7 }));
+
+    assert.deepEqual(await new StateStore().read(file), { count: 7 });
+  });
+
+  it('serializa na chamada e aplica as gravações em ordem', async () => {
+    const store = new StateStore();
+    const file = stateFile();
+    const data = { count: 1 };
+
+    const first = store.write(file, data);
+    data.count = 2;
+    const second = store.write(file, data);
+
+    await first;
+    assert.deepEqual(store.decode(fs.readFileSync(file, 'utf8')), { count: 1 });
+
+    await second;
+    await store.flush();
+    assert.deepEqual(await store.read(file), { count: 2 });
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+  });
+
+  it('guarda a versão anterior em .bak', async () => {
+    const store = new StateStore();
+    const file = stateFile();
+
+    await store.write(file, { count: 1 });
+    await store.write(file, { count: 2 });
+
+    assert.deepEqual(store.decode(fs.readFileSync(`${file}.bak`, 'utf8')), { count: 1 });
+  });
+
+  it('recupera a partir do backup quando o checksum não confere', async () => {
+    const store = new StateStore();
+    const file = stateFile();
+
+    await store.write(file, { count: 1 });
+    await store.write(file, { count: 2 });
+    tamper(file);
+
+    const events = [];
+    const reader = new StateStore();
+    reader.onRecovery(event => events.push(event));
+
+    assert.deepEqual(await reader.read(file), { count: 1 });
+    await reader.flush();
+
+    // O arquivo volta a ser válido e o corrompido é preservado para análise
+    assert.deepEqual(await new StateStore().read(file), { count: 1 });
+    assert.equal(corruptCopies(file).length, 1);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(events.length, 1);
+    assert.equal(events[0].file, file);
+    assert.equal(events[0].restored, true);
+    assert.equal(events[0].error, 'Checksum não confere');
+  });
+
+  it('devolve null quando o backup também não serve', async () => {
+    const file = stateFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, '{"version":1,"checksum":');
+
+    const store = new StateStore();
+    assert.equal(await store.read(file), null);
+    assert.equal(corruptCopies(file).length, 1);
+
+    // Sem handler registrado, a recuperação fica guardada até haver quem notifique
+    const events = [];
+    store.onRecovery(event => events.push(event));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].restored, false);
+  });
+});
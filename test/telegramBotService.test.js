@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnvironment } = require('./helpers');
+
+setupTestEnvironment();
+
+const config = require('../src/config/config');
+const monitorManager = require('../src/monitorManager');
+const telegramService = require('../src/services/telegramService');
+const telegramBotService = require('../src/services/telegramBotService');
+
+/**
+ * Monitor com apenas o que os comandos de leitura consultam
+ */
+function fakeMonitor({ name = 'default', chatId = null, recentErrors = [], errorState = {} } = {}) {
+  return {
+    target: { name, telegramChatId: chatId },
+    getTargetLabel: () => null,
+    history: { getRecent: async () => recentErrors.slice() },
+    errorHandler: { errorState }
+  };
+}
+
+describe('TelegramBotService.commandErrors', () => {
+  it('escapa o tipo e a mensagem do erro', async () => {
+    const monitor = fakeMonitor({
+      recentErrors: [{
+        time: '2024-03-11T10:00:00',
+        errorType: 'TIMEOUT_ERROR',
+        message: 'timeout of 30000ms exceeded [pix_create]'
+      }]
+    });
+
+    const text = await telegramBotService.commandErrors(monitor);
+
+    assert.match(text, /TIMEOUT\\_ERROR: timeout of 30000ms exceeded \\\[pix\\_create\]/);
+    assert.doesNotMatch(text, /TIMEOUT_ERROR/);
+  });
+
+  it('informa quando não há erros', async () => {
+    const text = await telegramBotService.commandErrors(fakeMonitor());
+    assert.match(text, /Nenhum erro registrado/);
+  });
+});
+
+describe('TelegramBotService.commandReport', () => {
+  it('escapa o tipo e a mensagem dos erros do PIX e do cartão', async () => {
+    const error = { time: '10:00:00', type: 'TIMEOUT_ERROR', message: 'timeout em pix_create' };
+    const monitor = {
+      ...fakeMonitor(),
+      buildDailyReport: async () => ({
+        date: '11/03/2024',
+        checks: { total: 2, success: 1, failed: 1 },
+        errors: [error],
+        uptime: 50,
+        avgResponseTime: 1000,
+        totalCost: 0,
+        card: {
+          checks: { total: 1, success: 0, failed: 1 },
+          uptime: 0,
+          avgResponseTime: 800,
+          errors: [{ ...error, type: 'CARD_PURCHASE_DECLINED' }]
+        }
+      })
+    };
+
+    const text = await telegramBotService.commandReport([], monitor);
+
+    assert.match(text, /• 10:00:00 - TIMEOUT\\_ERROR: timeout em pix\\_create/);
+    assert.match(text, /◦ 10:00:00 - CARD\\_PURCHASE\\_DECLINED: timeout em pix\\_create/);
+    assert.doesNotMatch(text, /[^\\]_/);
+  });
+});
+
+describe('TelegramBotService: alvos do chat', () => {
+  const producao = fakeMonitor({ name: 'producao', chatId: '100' });
+  const homologacao = fakeMonitor({ name: 'homologacao', chatId: '200' });
+  let originalMonitors;
+  let originalLevels;
+
+  beforeEach(() => {
+    originalMonitors = monitorManager.monitors;
+    originalLevels = config.escalation.levels;
+    monitorManager.monitors = [producao, homologacao];
+    config.escalation.levels = [{ level: 1, afterMinutes: 15, telegramChatId: '900' }];
+  });
+
+  afterEach(() => {
+    monitorManager.monitors = originalMonitors;
+    config.escalation.levels = originalLevels;
+    mock.restoreAll();
+  });
+
+  it('sem alvo informado, seleciona os alvos do chat', () => {
+    const { monitors, args } = telegramBotService.selectMonitors({ id: 100 }, ['30']);
+
+    assert.deepEqual(monitors, [producao]);
+    assert.deepEqual(args, ['30']);
+  });
+
+  it('seleciona o alvo informado quando é do chat', () => {
+    const { monitors, args } = telegramBotService.selectMonitors({ id: 100 }, ['producao', '30']);
+
+    assert.deepEqual(monitors, [producao]);
+    assert.deepEqual(args, ['30']);
+  });
+
+  it('não seleciona o alvo de outro chat', () => {
+    const { monitors, args } = telegramBotService.selectMonitors({ id: 100 }, ['homologacao']);
+
+    assert.deepEqual(monitors, [producao]);
+    assert.deepEqual(args, ['homologacao']);
+  });
+
+  it('o chat de escalonamento acessa todos os alvos', () => {
+    assert.deepEqual(telegramBotService.selectMonitors({ id: 900 }, []).monitors, [producao, homologacao]);
+    assert.deepEqual(telegramBotService.selectMonitors({ id: 900 }, ['homologacao']).monitors, [homologacao]);
+  });
+
+  it('responde que não há alvos quando a lista está vazia', async () => {
+    const fn = mock.fn(async () => 'status');
+
+    const text = await telegramBotService.eachMonitor([], fn);
+
+    assert.match(text, /Nenhum alvo monitorado neste chat/);
+    assert.equal(fn.mock.callCount(), 0);
+  });
+
+  it('recusa botões de alvos de outro chat', async () => {
+    const answer = mock.method(telegramService, 'answerCallbackQuery', async () => true);
+    const report = mock.method(telegramBotService, 'handleFullReport', async () => 'relatório');
+
+    await telegramBotService.handleCallbackQuery({
+      id: 'q1',
+      data: 'full_report:homologacao',
+      from: { id: 1 },
+      message: { chat: { id: 100 }, message_id: 10 }
+    });
+
+    assert.equal(answer.mock.calls[0].arguments[1], '❓ Ação desconhecida');
+    assert.equal(report.mock.callCount(), 0);
+  });
+});